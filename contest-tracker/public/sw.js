@@ -0,0 +1,18 @@
+// Service worker for contest push notifications.
+// The server sends JSON payloads of the form { title, body, url, tag }.
+
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'Contest Tracker', {
+            body: data.body,
+            tag: data.tag,
+            data: { url: data.url || '/' }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
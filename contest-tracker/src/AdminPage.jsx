@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { formatContestTime, toDateTimeLocal } from './time.js';
+import { API_BASE_URL } from './api.js';
+import { emptyContestForm } from './contestForm.js';
+import { LoaderCircle, Search, AlertTriangle } from 'lucide-react';
+
+// ModerationQueue Component: Pending community submissions for admins to approve or reject
+const ModerationQueue = ({ showNotification, onReviewed, timePrefs }) => {
+    const [submissions, setSubmissions] = useState([]);
+
+    const loadSubmissions = React.useCallback(async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/admin/submissions`, { credentials: 'include' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to load submissions.');
+            setSubmissions(result);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    }, [showNotification]);
+
+    useEffect(() => { loadSubmissions(); }, [loadSubmissions]);
+
+    const review = async (submission, decision) => {
+        const note = decision === 'reject' ? window.prompt(`Why is "${submission.name}" rejected? The submitter sees this.`, '') : '';
+        if (note === null) return;
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/admin/submissions/${submission._id}/${decision}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ note }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Review failed.');
+            showNotification(decision === 'approve' ? `"${submission.name}" is now listed.` : `"${submission.name}" was rejected.`, 'success');
+            loadSubmissions();
+            onReviewed();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    if (submissions.length === 0) return null;
+
+    return (
+        <div className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-6 space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Moderation queue ({submissions.length})</h3>
+            {submissions.map(submission => (
+                <div key={submission._id} className="rounded-md bg-gray-100 dark:bg-gray-800 p-4 text-sm space-y-2">
+                    <div className="flex flex-col sm:flex-row justify-between gap-2">
+                        <div className="min-w-0">
+                            <a href={submission.url} target="_blank" rel="noopener noreferrer" className="font-medium text-gray-900 dark:text-white hover:text-purple-600 dark:hover:text-purple-400">{submission.name}</a>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">{submission.platform} · {formatContestTime(submission.startTime, timePrefs)} to {formatContestTime(submission.endTime, timePrefs)} · by {submission.submitter?.displayName || 'unknown'}</p>
+                        </div>
+                        <div className="flex gap-2 flex-shrink-0">
+                            <button onClick={() => review(submission, 'approve')} className="text-xs px-3 py-1.5 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black">Approve</button>
+                            <button onClick={() => review(submission, 'reject')} className="text-xs px-3 py-1.5 rounded-md font-semibold bg-white dark:bg-gray-700 text-red-600 dark:text-red-400">Reject</button>
+                        </div>
+                    </div>
+                    {submission.possibleDuplicates.length > 0 && (
+                        <div className="text-xs text-amber-700 dark:text-amber-300">
+                            <p className="flex items-center gap-1 font-medium"><AlertTriangle size={12} /> Possible duplicates:</p>
+                            {submission.possibleDuplicates.map(contest => (
+                                <p key={contest._id} className="ml-4"><a href={contest.url} target="_blank" rel="noopener noreferrer" className="hover:underline">{contest.name}</a> ({contest.platform}, {formatContestTime(contest.startTime, timePrefs)})</p>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// AdminPage Component: Add, edit, hide and merge contests
+const AdminPage = ({ showNotification, platformOptions, timePrefs }) => {
+    const [contests, setContests] = useState(null);
+    const [search, setSearch] = useState('');
+    const [sourceFilter, setSourceFilter] = useState('');
+    const [hiddenFilter, setHiddenFilter] = useState('');
+    const [form, setForm] = useState(emptyContestForm);
+    const [editingId, setEditingId] = useState(null);
+    const [mergingContest, setMergingContest] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        const fetchContests = async () => {
+            const params = new URLSearchParams();
+            if (search.trim()) params.set('q', search.trim());
+            if (sourceFilter) params.set('source', sourceFilter);
+            if (hiddenFilter) params.set('hidden', hiddenFilter);
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/admin/contests?${params}`, { credentials: 'include', signal: controller.signal });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.message || 'Failed to load contests.');
+                setContests(result);
+            } catch (error) {
+                if (error.name !== 'AbortError') showNotification(error.message, 'error');
+            }
+        };
+        const timer = setTimeout(fetchContests, 300);
+        return () => { clearTimeout(timer); controller.abort(); };
+    }, [search, sourceFilter, hiddenFilter, reloadKey, showNotification]);
+
+    const reload = () => setReloadKey(key => key + 1);
+    // A fetched contest is matched to the platform's data by platform and id
+    const isEditingFetched = Boolean(editingId && contests?.find(c => c._id === editingId)?.externalId);
+
+    // Sends an admin request and reloads the list on success
+    const adminRequest = async (path, method, body, successMessage) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/admin/contests${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                ...(body && { body: JSON.stringify(body) }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Request failed.');
+            showNotification(successMessage, 'success');
+            reload();
+            return true;
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return false;
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const body = { ...form, startTime: new Date(form.startTime).toISOString(), endTime: new Date(form.endTime).toISOString() };
+        const ok = editingId
+            ? await adminRequest(`/${editingId}`, 'PUT', body, 'Contest updated!')
+            : await adminRequest('', 'POST', body, 'Contest added!');
+        if (ok) {
+            setForm(emptyContestForm);
+            setEditingId(null);
+        }
+    };
+
+    const startEditing = (contest) => {
+        setEditingId(contest._id);
+        setForm({
+            name: contest.name,
+            platform: contest.platform,
+            url: contest.url || '',
+            startTime: toDateTimeLocal(contest.startTime),
+            endTime: toDateTimeLocal(contest.endTime),
+        });
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    const handleMerge = async (target) => {
+        const ok = await adminRequest(`/${mergingContest._id}/merge`, 'POST', { targetId: target._id }, `Merged "${mergingContest.name}" into "${target.name}".`);
+        if (ok) setMergingContest(null);
+    };
+
+    const handleDelete = (contest) => {
+        if (window.confirm(`Delete "${contest.name}"? Bookmarks and calendar events for it are removed too.`)) {
+            adminRequest(`/${contest._id}`, 'DELETE', null, 'Contest deleted.');
+        }
+    };
+
+    const inputClass = 'bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-white text-sm rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 block w-full p-2.5';
+    const smallButtonClass = 'text-xs px-2.5 py-1 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200';
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-8">
+            <ModerationQueue showNotification={showNotification} onReviewed={reload} timePrefs={timePrefs} />
+            <form onSubmit={handleSubmit} className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-6 space-y-4">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{editingId ? 'Edit contest' : 'Add a contest'}</h3>
+                {editingId && <p className="text-sm text-gray-500 dark:text-gray-400">Fields you change on a scraped contest are kept when the platform is fetched again.{isEditingFetched && ' Its platform cannot be changed.'}</p>}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <input type="text" required value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Contest name" className={inputClass} />
+                    <input type="text" required list="admin-platforms" value={form.platform} onChange={(e) => setForm({ ...form, platform: e.target.value })} disabled={isEditingFetched} placeholder="Platform or organiser" className={`${inputClass} disabled:opacity-60`} />
+                    <datalist id="admin-platforms">
+                        {platformOptions.filter(o => o.value !== 'All Platforms').map(o => <option key={o.value} value={o.value} />)}
+                    </datalist>
+                    <input type="url" required value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })} placeholder="https://..." className={`${inputClass} sm:col-span-2`} />
+                    <label className="block text-sm font-medium">
+                        <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Starts (your local time)</span>
+                        <input type="datetime-local" required value={form.startTime} onChange={(e) => setForm({ ...form, startTime: e.target.value })} className={inputClass} />
+                    </label>
+                    <label className="block text-sm font-medium">
+                        <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Ends (your local time)</span>
+                        <input type="datetime-local" required value={form.endTime} onChange={(e) => setForm({ ...form, endTime: e.target.value })} className={inputClass} />
+                    </label>
+                </div>
+                <div className="flex gap-2">
+                    <button type="submit" className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black">{editingId ? 'Save changes' : 'Add contest'}</button>
+                    {editingId && <button type="button" onClick={() => { setEditingId(null); setForm(emptyContestForm); }} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200">Cancel</button>}
+                </div>
+            </form>
+
+            <div className="space-y-4">
+                <div className="flex flex-col sm:flex-row gap-2">
+                    <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search contests..." className={inputClass} />
+                    <select value={sourceFilter} onChange={(e) => setSourceFilter(e.target.value)} className={`${inputClass} sm:w-40`}>
+                        <option value="">All sources</option>
+                        <option value="scraper">Scraped</option>
+                        <option value="manual">Manual</option>
+                        <option value="community">Community</option>
+                    </select>
+                    <select value={hiddenFilter} onChange={(e) => setHiddenFilter(e.target.value)} className={`${inputClass} sm:w-40`}>
+                        <option value="">Visible & hidden</option>
+                        <option value="false">Visible only</option>
+                        <option value="true">Hidden only</option>
+                    </select>
+                </div>
+                {mergingContest && (
+                    <div className="flex justify-between items-center rounded-lg border border-purple-300 dark:border-purple-700 bg-purple-50 dark:bg-purple-900/20 px-4 py-3 text-sm text-purple-800 dark:text-purple-300">
+                        <span>Merging <strong>{mergingContest.name}</strong>: pick the contest to keep below.</span>
+                        <button onClick={() => setMergingContest(null)} className="font-semibold hover:underline">Cancel</button>
+                    </div>
+                )}
+                {!contests ? (
+                    <div className="flex justify-center items-center py-20"><LoaderCircle className="animate-spin text-purple-500" size={48} /></div>
+                ) : contests.length === 0 ? (
+                    <p className="text-gray-500 dark:text-gray-400 text-center py-10">No contests match.</p>
+                ) : (
+                    <ul className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg divide-y divide-gray-100 dark:divide-gray-800">
+                        {contests.map(contest => (
+                            <li key={contest._id} className={`p-4 flex flex-col sm:flex-row justify-between gap-3 ${contest.hidden ? 'opacity-60' : ''}`}>
+                                <div className="min-w-0">
+                                    <p className="font-medium text-gray-900 dark:text-white truncate">{contest.name}</p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">{contest.platform} · {formatContestTime(contest.startTime, timePrefs)} · {contest.status}</p>
+                                    <div className="flex flex-wrap gap-1.5 mt-1.5 text-xs">
+                                        <span className={`px-2 py-0.5 rounded-full ${contest.source === 'scraper' ? 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300' : 'bg-purple-100 dark:bg-purple-900/50 text-purple-700 dark:text-purple-300'}`}>{contest.source === 'manual' ? 'Manual' : contest.source === 'community' ? 'Community' : 'Scraped'}</span>
+                                        {contest.hidden && <span className="px-2 py-0.5 rounded-full bg-gray-200 dark:bg-gray-700">{contest.mergedInto ? 'Merged' : 'Hidden'}</span>}
+                                        {contest.overrides?.length > 0 && <span className="px-2 py-0.5 rounded-full bg-amber-100 dark:bg-amber-900/50 text-amber-700 dark:text-amber-300">Overrides: {contest.overrides.join(', ')}</span>}
+                                    </div>
+                                </div>
+                                <div className="flex flex-wrap items-start gap-2 flex-shrink-0">
+                                    {mergingContest ? (
+                                        mergingContest._id !== contest._id && !contest.hidden && <button onClick={() => handleMerge(contest)} className={smallButtonClass}>Keep this one</button>
+                                    ) : (
+                                        <>
+                                            <button onClick={() => startEditing(contest)} className={smallButtonClass}>Edit</button>
+                                            <button onClick={() => adminRequest(`/${contest._id}`, 'PUT', { hidden: !contest.hidden }, contest.hidden ? 'Contest shown again.' : 'Contest hidden.')} className={smallButtonClass}>{contest.hidden ? 'Unhide' : 'Hide'}</button>
+                                            {!contest.hidden && <button onClick={() => setMergingContest(contest)} className={smallButtonClass}>Merge</button>}
+                                            {contest.overrides?.length > 0 && <button onClick={() => adminRequest(`/${contest._id}/overrides`, 'DELETE', null, 'Overrides cleared. The next fetch restores the platform data.')} className={smallButtonClass}>Reset overrides</button>}
+                                            {contest.source !== 'scraper' && <button onClick={() => handleDelete(contest)} className={`${smallButtonClass} text-red-600 dark:text-red-400`}>Delete</button>}
+                                        </>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AdminPage;
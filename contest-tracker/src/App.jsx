@@ -1,8 +1,18 @@
 import React, { useState, useMemo, useEffect, useRef } from 'react';
-import { Calendar, Bookmark, ExternalLink, Sun, Moon, Trophy, List, LoaderCircle, ChevronDown, CheckCircle, XCircle, Heart, Youtube, LogIn, LogOut, Search } from 'lucide-react';
-
-// Use the environment variable for the API base URL
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+import { getBrowserTimePrefs, formatContestTime, getZonedDayRange, formatCountdown, getContestProgress, isStartingSoon } from './time.js';
+import { getCalendarDays, shiftCalendarAnchor, getConflictIds } from './calendar.js';
+import { useNow } from './clock.js';
+import { API_BASE_URL } from './api.js';
+import { platformColorMap } from './platformColors.js';
+import AdminPage from './AdminPage.jsx';
+import { MonthView, WeekView, TimelineView } from './CalendarViews.jsx';
+import GroupsPage from './GroupsPage.jsx';
+import ProfilePage from './ProfilePage.jsx';
+import SettingsPage from './SettingsPage.jsx';
+import StatusPage from './StatusPage.jsx';
+import SubmitContestPage from './SubmitContestPage.jsx';
+import UpsolvePage from './UpsolvePage.jsx';
+import { Calendar, Bookmark, ExternalLink, Sun, Moon, Trophy, List, LoaderCircle, ChevronDown, CheckCircle, XCircle, Heart, Youtube, LogIn, LogOut, Search, Bell, X, AlertTriangle, LayoutGrid, CalendarDays, CalendarRange, GanttChart, ChevronLeft, ChevronRight, BookOpen } from 'lucide-react';
 
 // --- Components ---
 
@@ -39,8 +49,8 @@ const Notification = ({ id, message, type, onDismiss }) => {
         setTimeout(() => onDismiss(id), 500);
     };
     
-    const bgColor = type === 'success' ? 'bg-green-500' : 'bg-red-500';
-    const Icon = type === 'success' ? CheckCircle : XCircle;
+    const bgColor = type === 'success' ? 'bg-green-500' : type === 'info' ? 'bg-purple-600' : 'bg-red-500';
+    const Icon = type === 'success' ? CheckCircle : type === 'info' ? Bell : XCircle;
 
     return (
         <div 
@@ -73,10 +83,9 @@ const NotificationContainer = ({ notifications, onDismiss }) => {
 
 // --- END NOTIFICATION SYSTEM ---
 
-
-// AddToCalendarButton Component: Handles adding events to Google Calendar
-const AddToCalendarButton = ({ contest, user, showNotification, onAddSuccess, isAdded }) => {
-    const [isAdding, setIsAdding] = useState(false);
+// AddToCalendarButton Component: Adds events to Google Calendar or removes them again
+const AddToCalendarButton = ({ contest, user, showNotification, onCalendarChange, isAdded }) => {
+    const [isWorking, setIsWorking] = useState(false);
 
     const handleCalendarClick = async () => {
         if (!user) {
@@ -84,44 +93,55 @@ const AddToCalendarButton = ({ contest, user, showNotification, onAddSuccess, is
             return;
         }
 
-        setIsAdding(true);
+        setIsWorking(true);
         try {
-            const response = await fetch(`${API_BASE_URL}/api/calendar-event`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ contest }),
-                credentials: 'include',
-            });
+            const response = isAdded
+                ? await fetch(`${API_BASE_URL}/api/calendar-event/${contest._id}`, {
+                    method: 'DELETE',
+                    credentials: 'include',
+                })
+                : await fetch(`${API_BASE_URL}/api/calendar-event`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ contest }),
+                    credentials: 'include',
+                });
 
             const result = await response.json();
 
             if (!response.ok) {
-                throw new Error(result.message || 'Failed to create event.');
+                throw new Error(result.message || 'Failed to update calendar.');
             }
             
-            showNotification(result.message || 'Event added to calendar!', 'success');
-            onAddSuccess(contest._id);
+            showNotification(result.message || (isAdded ? 'Event removed from calendar.' : 'Event added to calendar!'), 'success');
+            onCalendarChange(contest._id, !isAdded);
 
         } catch (error) {
-            console.error('Error adding to calendar:', error);
-            showNotification(error.message || 'Could not add event to calendar.', 'error');
+            console.error('Error updating calendar:', error);
+            showNotification(error.message || 'Could not update your calendar.', 'error');
         } finally {
-            setIsAdding(false);
+            setIsWorking(false);
         }
     };
 
     return (
         <button
             onClick={handleCalendarClick}
-            disabled={isAdding || isAdded}
-            className={`flex items-center gap-2 text-sm font-medium disabled:opacity-60 transition-colors ${
+            disabled={isWorking}
+            title={isAdded ? 'Remove from Google Calendar' : undefined}
+            className={`group flex items-center gap-2 text-sm font-medium disabled:opacity-60 transition-colors ${
                 isAdded 
-                ? 'text-green-600 dark:text-green-400 cursor-default' 
+                ? 'text-green-600 dark:text-green-400 hover:text-red-500 dark:hover:text-red-400' 
                 : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white'
             }`}
         >
             {isAdded ? <CheckCircle size={16} /> : <Calendar size={16} />}
-            {isAdding ? 'Adding...' : isAdded ? 'Added' : 'Add to Google Calendar'}
+            {isWorking ? (isAdded ? 'Removing...' : 'Adding...') : isAdded ? (
+                <>
+                    <span className="group-hover:hidden">Added</span>
+                    <span className="hidden group-hover:inline">Remove</span>
+                </>
+            ) : 'Add to Google Calendar'}
         </button>
     );
 };
@@ -143,6 +163,13 @@ const Header = ({ theme, setTheme, isScrolled, setPage, page, user }) => {
                         <a href="#" onClick={(e) => { e.preventDefault(); setPage('home'); }} className={`hover:text-gray-900 dark:hover:text-white ${page === 'home' ? 'text-purple-600 dark:text-purple-400' : ''}`}>Home</a>
                         <a href="#" onClick={(e) => { e.preventDefault(); setPage('today'); }} className={`flex items-center gap-1.5 hover:text-gray-900 dark:hover:text-white ${page === 'today' ? 'text-purple-600 dark:text-purple-400' : ''}`}><Calendar size={14}/> Today</a>
                         {user && <a href="#" onClick={(e) => { e.preventDefault(); setPage('bookmarks'); }} className={`hover:text-gray-900 dark:hover:text-white ${page === 'bookmarks' ? 'text-purple-600 dark:text-purple-400' : ''}`}>Bookmarks</a>}
+                        {user && <a href="#" onClick={(e) => { e.preventDefault(); setPage('groups'); }} className={`hover:text-gray-900 dark:hover:text-white ${page === 'groups' ? 'text-purple-600 dark:text-purple-400' : ''}`}>Groups</a>}
+                        {user && <a href="#" onClick={(e) => { e.preventDefault(); setPage('upsolve'); }} className={`hover:text-gray-900 dark:hover:text-white ${page === 'upsolve' ? 'text-purple-600 dark:text-purple-400' : ''}`}>To Upsolve</a>}
+                        {user && <a href="#" onClick={(e) => { e.preventDefault(); setPage('profile'); }} className={`hover:text-gray-900 dark:hover:text-white ${page === 'profile' ? 'text-purple-600 dark:text-purple-400' : ''}`}>Profile</a>}
+                        {user && <a href="#" onClick={(e) => { e.preventDefault(); setPage('submit'); }} className={`hover:text-gray-900 dark:hover:text-white ${page === 'submit' ? 'text-purple-600 dark:text-purple-400' : ''}`}>Submit</a>}
+                        {user?.role === 'admin' && <a href="#" onClick={(e) => { e.preventDefault(); setPage('admin'); }} className={`hover:text-gray-900 dark:hover:text-white ${page === 'admin' ? 'text-purple-600 dark:text-purple-400' : ''}`}>Admin</a>}
+                        {user?.role === 'admin' && <a href="#" onClick={(e) => { e.preventDefault(); setPage('status'); }} className={`hover:text-gray-900 dark:hover:text-white ${page === 'status' ? 'text-purple-600 dark:text-purple-400' : ''}`}>Status</a>}
+                        {user && <a href="#" onClick={(e) => { e.preventDefault(); setPage('settings'); }} className={`hover:text-gray-900 dark:hover:text-white ${page === 'settings' ? 'text-purple-600 dark:text-purple-400' : ''}`}>Settings</a>}
                     </nav>
                 </div>
                 <div className="flex items-center gap-2 sm:gap-4">
@@ -165,28 +192,87 @@ const Header = ({ theme, setTheme, isScrolled, setPage, page, user }) => {
 };
 
 // ContestCard Component: Displays individual contest information
-const ContestCard = ({ contest, onSave, user, showNotification, onAddToCalendar, isAddedToCalendar }) => {
-  const platformColorMap = {
-    'Codeforces': 'bg-rose-500', 'LeetCode': 'bg-amber-500', 'HackerEarth': 'bg-blue-500', 'TopCoder': 'bg-indigo-500',
-  };
+const ContestCard = ({ contest, onSave, user, showNotification, onCalendarChange, isAddedToCalendar, timePrefs }) => {
   const platformColor = platformColorMap[contest.platform] || 'bg-gray-400';
+  const isLive = contest.status === 'Upcoming' || contest.status === 'On-going';
+  const now = useNow(isLive);
+  const startingSoon = contest.status === 'Upcoming' && isStartingSoon(contest, now);
+  const [showVideos, setShowVideos] = useState(false);
+  const [showProblems, setShowProblems] = useState(false);
+  const problems = contest.problems || [];
+  const otherVideos = (contest.solutions || []).filter(video => video.videoId !== contest.solutionUrl);
+  const borderClass = startingSoon ? 'border-amber-400 dark:border-amber-500 ring-1 ring-amber-400/50' : 'border-gray-200 dark:border-gray-800';
 
   return (
-    <div className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-5 flex flex-col justify-between hover:border-purple-500 transition-all duration-300 shadow-sm dark:shadow-none">
+    <div className={`bg-white dark:bg-[#1e1e1e] border ${borderClass} rounded-lg p-5 flex flex-col justify-between hover:border-purple-500 transition-all duration-300 shadow-sm dark:shadow-none`}>
       <div>
         <div className="flex justify-between items-start mb-3">
           <h3 className="text-lg font-semibold text-gray-900 dark:text-white pr-2">{contest.name}</h3>
           <div className="flex items-center gap-2 flex-shrink-0">
             <span className={`text-xs px-2 py-1 rounded-full text-white font-medium shadow-md ${platformColor}`}>{contest.platform}</span>
+            {startingSoon && <span className="text-xs px-2 py-1 rounded-full bg-amber-100 dark:bg-amber-900/50 text-amber-700 dark:text-amber-300 font-medium">Starting soon</span>}
+            {contest.status === 'Cancelled' && <span className="text-xs px-2 py-1 rounded-full bg-red-100 dark:bg-red-900/50 text-red-700 dark:text-red-300 font-medium">Cancelled</span>}
             <span className="text-xs px-2 py-1 rounded-full bg-purple-200 dark:bg-purple-900/50 text-purple-800 dark:text-purple-300 font-medium shadow-md shadow-purple-500/20">{contest.duration}</span>
           </div>
         </div>
-        <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">{contest.displayStartTime}</p>
+        <p className={`text-sm text-gray-500 dark:text-gray-400 ${isLive ? 'mb-2' : 'mb-6'}`}>{formatContestTime(contest.startTime, timePrefs)}</p>
+        {contest.status === 'Upcoming' && (
+            <p className={`text-sm font-medium mb-6 tabular-nums ${startingSoon ? 'text-amber-600 dark:text-amber-400' : 'text-gray-700 dark:text-gray-300'}`}>
+                {new Date(contest.startTime).getTime() > now ? `Starts in ${formatCountdown(new Date(contest.startTime).getTime() - now)}` : 'Starting now'}
+            </p>
+        )}
+        {contest.status === 'On-going' && (
+            <div className="mb-6">
+                <div className="h-2 w-full rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                    <div className="h-full bg-purple-500 transition-[width] duration-1000 ease-linear" style={{ width: `${getContestProgress(contest, now) * 100}%` }} />
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 tabular-nums">
+                    {new Date(contest.endTime).getTime() > now ? `Ends in ${formatCountdown(new Date(contest.endTime).getTime() - now)}` : 'Ending now'}
+                </p>
+            </div>
+        )}
+        {contest.participation && (
+            <p className="text-xs font-medium mb-4 -mt-3 flex items-center gap-2">
+                <span className="px-2 py-1 rounded-full bg-emerald-100 dark:bg-emerald-900/50 text-emerald-700 dark:text-emerald-300">Participated</span>
+                <span className="text-gray-500 dark:text-gray-400">Rank #{contest.participation.rank}</span>
+                <span className={contest.participation.ratingChange >= 0 ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-500'}>
+                    {contest.participation.ratingChange >= 0 ? '+' : ''}{contest.participation.ratingChange}
+                </span>
+            </p>
+        )}
+        {showProblems && (
+            <ul className="mb-4 divide-y divide-gray-100 dark:divide-gray-800">
+                {problems.map(problem => (
+                    <li key={problem.index} className="py-1.5 text-sm">
+                        <div className="flex justify-between gap-2">
+                            <a href={problem.url} target="_blank" rel="noopener noreferrer" className="truncate text-gray-700 dark:text-gray-200 hover:text-purple-600 dark:hover:text-purple-400"><span className="font-semibold">{problem.index}.</span> {problem.name}</a>
+                            {(problem.rating || problem.difficulty) && (
+                                <span className={`flex-shrink-0 text-xs font-medium ${problem.difficulty === 'Easy' ? 'text-emerald-500' : problem.difficulty === 'Medium' ? 'text-amber-500' : problem.difficulty === 'Hard' ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'}`}>{problem.rating || problem.difficulty}</span>
+                            )}
+                        </div>
+                        {problem.tags.length > 0 && <p className="text-xs text-gray-400 truncate">{problem.tags.join(', ')}</p>}
+                    </li>
+                ))}
+            </ul>
+        )}
+        {showVideos && (
+            <ul className="mb-4 space-y-1.5">
+                {otherVideos.map(video => (
+                    <li key={video.videoId} className="text-xs flex justify-between gap-2">
+                        <a href={`https://www.youtube.com/watch?v=${video.videoId}`} target="_blank" rel="noopener noreferrer" className="truncate text-gray-600 dark:text-gray-300 hover:text-red-500" title={video.title}>{video.title}</a>
+                        <span className="flex-shrink-0 text-gray-400">{video.channelTitle} · {Math.round(video.score * 100)}%</span>
+                    </li>
+                ))}
+            </ul>
+        )}
       </div>
       <div className="flex justify-between items-center mt-auto">
         <div className="flex items-center gap-4 flex-wrap">
+            {problems.length > 0 && (<button onClick={() => setShowProblems(!showProblems)} className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white font-medium"><List size={16} /> {problems.length} problems <ChevronDown size={14} className={`transition-transform ${showProblems ? 'rotate-180' : ''}`} /></button>)}
+            {contest.editorialUrl && (<a href={contest.editorialUrl} target="_blank" rel="noopener noreferrer" className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white font-medium"><BookOpen size={16} /> Editorial</a>)}
+            {contest.status === 'Past' && otherVideos.length > 0 && (<button onClick={() => setShowVideos(!showVideos)} className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white font-medium">{contest.solutionUrl ? `+${otherVideos.length} videos` : 'Possible solutions'} <ChevronDown size={14} className={`transition-transform ${showVideos ? 'rotate-180' : ''}`} /></button>)}
             {contest.status === 'Past' && contest.solutionUrl && (<a href={`https://www.youtube.com/watch?v=${contest.solutionUrl}`} target="_blank" rel="noopener noreferrer" className="flex items-center gap-2 text-sm text-red-500 hover:text-red-600 font-medium"><Youtube size={16} /> Solution</a>)}
-            {contest.status === 'Upcoming' && <AddToCalendarButton contest={contest} user={user} showNotification={showNotification} onAddSuccess={onAddToCalendar} isAdded={isAddedToCalendar} />}
+            {contest.status === 'Upcoming' && <AddToCalendarButton contest={contest} user={user} showNotification={showNotification} onCalendarChange={onCalendarChange} isAdded={isAddedToCalendar} />}
             <a href={contest.url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white font-medium"><ExternalLink size={16} /> Visit</a>
         </div>
         {user && (<button onClick={() => onSave(contest._id, !contest.saved)} className={`flex items-center gap-2 text-sm px-4 py-2 rounded-md transition-colors font-semibold ${ contest.saved ? 'bg-gray-900 dark:bg-white text-white dark:text-black' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200'}`}><Bookmark size={16} /> {contest.saved ? 'Saved' : 'Save'}</button>)}
@@ -195,6 +281,55 @@ const ContestCard = ({ contest, onSave, user, showNotification, onAddToCalendar,
   );
 };
 
+// ContestModal Component: A single contest card over the page, opened from the calendar views
+const ContestModal = ({ onClose, ...cardProps }) => {
+    useEffect(() => {
+        const handleKeyDown = (event) => { if (event.key === 'Escape') onClose(); };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div className="relative w-full max-w-md" onClick={(e) => e.stopPropagation()}>
+                <button onClick={onClose} aria-label="Close" className="absolute -top-3 -right-3 z-10 p-1.5 rounded-full bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-200 shadow-md hover:text-gray-900 dark:hover:text-white"><X size={16} /></button>
+                <ContestCard {...cardProps} />
+            </div>
+        </div>
+    );
+};
+
+// ConflictDialog Component: Lists clashing contests with a suggestion of which to keep
+const ConflictDialog = ({ conflicts, onClose, onUnsave, timePrefs }) => (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+        <div className="w-full max-w-lg max-h-[80vh] overflow-y-auto bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-6 space-y-4" onClick={(e) => e.stopPropagation()}>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2"><AlertTriangle size={18} className="text-amber-500" /> Schedule conflicts</h3>
+            {conflicts.map(conflict => {
+                const [first, second] = conflict.contests;
+                const drop = conflict.contests.find(c => c._id === conflict.recommendation.drop);
+                const keep = conflict.contests.find(c => c._id === conflict.recommendation.keep);
+                return (
+                    <div key={`${first._id}-${second._id}`} className="rounded-md bg-gray-100 dark:bg-gray-800 p-3 text-sm space-y-2">
+                        <p className="font-medium text-gray-900 dark:text-white">
+                            {conflict.type === 'overlap' ? `Overlap of ${conflict.minutes} min` : `Only ${conflict.minutes} min in between`}
+                        </p>
+                        {[first, second].map(contest => (
+                            <p key={contest._id} className="text-gray-600 dark:text-gray-300">
+                                <span className="font-medium">{contest.name}</span> <span className="text-gray-500 dark:text-gray-400">({contest.platform}, {formatContestTime(contest.startTime, timePrefs)})</span>
+                            </p>
+                        ))}
+                        <p className="text-gray-500 dark:text-gray-400">Suggested: keep <strong className="text-gray-900 dark:text-white">{keep.name}</strong>. {conflict.recommendation.reason}</p>
+                        <button onClick={() => onUnsave(drop._id)} className="text-sm px-3 py-1.5 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black">Unsave {drop.name}</button>
+                    </div>
+                );
+            })}
+            <div className="flex justify-end">
+                <button onClick={onClose} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200">Keep both</button>
+            </div>
+        </div>
+    </div>
+);
+
 // CustomSelect Component: Dropdown for platform filtering
 const CustomSelect = ({ options, selected, onChange }) => {
     const [isOpen, setIsOpen] = useState(false);
@@ -242,20 +377,39 @@ export default function App() {
   const [theme, setTheme] = useState('dark');
   const [page, setPage] = useState('home');
   const [activeTab, setActiveTab] = useState('Upcoming');
+  const [viewMode, setViewMode] = useState('grid');
+  const [calendarAnchor, setCalendarAnchor] = useState(() => new Date());
+  const [selectedContestId, setSelectedContestId] = useState(null);
   const [selectedPlatform, setSelectedPlatform] = useState('All Platforms');
   const [isScrolled, setIsScrolled] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [allContests, setAllContests] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [user, setUser] = useState(null);
   
   const [notifications, setNotifications] = useState([]);
 
+  // Saved preferences win; otherwise fall back to this browser's settings
+  const timePrefs = useMemo(() => {
+    const browserPrefs = getBrowserTimePrefs();
+    return {
+        timeZone: user?.timezone || browserPrefs.timeZone,
+        locale: user?.locale || browserPrefs.locale,
+    };
+  }, [user]);
+
   const platformOptions = [
     { value: 'All Platforms', label: 'All Platforms', color: 'text-gray-800 dark:text-white' },
+    { value: 'AtCoder', label: 'AtCoder', color: 'text-sky-600' },
+    { value: 'CodeChef', label: 'CodeChef', color: 'text-orange-700' },
     { value: 'Codeforces', label: 'Codeforces', color: 'text-rose-500' },
+    { value: 'GeeksforGeeks', label: 'GeeksforGeeks', color: 'text-green-600' },
     { value: 'HackerEarth', label: 'HackerEarth', color: 'text-blue-500' },
+    { value: 'Kattis', label: 'Kattis', color: 'text-yellow-500' },
     { value: 'LeetCode', label: 'LeetCode', color: 'text-amber-500' },
     { value: 'TopCoder', label: 'TopCoder', color: 'text-indigo-500' }
   ];
@@ -272,32 +426,223 @@ export default function App() {
   }, []);
 
   useEffect(() => {
-    const fetchData = async () => {
-        setIsLoading(true);
-        setError(null);
+    // Keep an invite code across the Google login redirect
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('join')) {
+        sessionStorage.setItem('pendingGroupInvite', params.get('join'));
+        window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    const fetchUser = async () => {
         try {
             const userRes = await fetch(`${API_BASE_URL}/api/user`, { credentials: 'include' });
             if (userRes.ok) {
                 const userData = await userRes.json();
                 setUser(userData);
+
+                // Accept a pending group invite from a ?join= link
+                const joinCode = sessionStorage.getItem('pendingGroupInvite');
+                if (joinCode) {
+                    sessionStorage.removeItem('pendingGroupInvite');
+                    const joinRes = await fetch(`${API_BASE_URL}/api/groups/join/${encodeURIComponent(joinCode)}`, { method: 'POST', credentials: 'include' });
+                    const joinResult = await joinRes.json();
+                    setNotifications(prev => [{
+                        id: `join-${joinCode}`,
+                        message: joinRes.ok ? `You joined ${joinResult.name}!` : joinResult.message,
+                        type: joinRes.ok ? 'success' : 'error',
+                    }, ...prev]);
+                    if (joinRes.ok) setPage('groups');
+                }
+
+                // Adopt this browser's timezone and locale the first time an account is used
+                if (!userData.timezone || !userData.locale) {
+                    const { timeZone, locale } = getBrowserTimePrefs();
+                    const prefsRes = await fetch(`${API_BASE_URL}/api/user/preferences`, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ timezone: userData.timezone || timeZone, locale: userData.locale || locale }),
+                        credentials: 'include',
+                    });
+                    if (prefsRes.ok) {
+                        const prefs = await prefsRes.json();
+                        setUser(prev => ({ ...prev, ...prefs }));
+                    }
+                }
+
+                // Surface server-side notices such as rescheduled or cancelled contests
+                const notificationsRes = await fetch(`${API_BASE_URL}/api/notifications`, { credentials: 'include' });
+                if (notificationsRes.ok) {
+                    const unread = await notificationsRes.json();
+                    if (unread.length > 0) {
+                        setNotifications(prev => [...unread.map(n => ({ id: n._id, message: n.message, type: 'info' })), ...prev]);
+                        fetch(`${API_BASE_URL}/api/notifications/read`, { method: 'POST', credentials: 'include' });
+                    }
+                }
+            } else if (sessionStorage.getItem('pendingGroupInvite')) {
+                setNotifications(prev => [{ id: 'join-login', message: 'Log in to join the group you were invited to.', type: 'info' }, ...prev]);
             }
-            const contestsRes = await fetch(`${API_BASE_URL}/api/contests`, { credentials: 'include' });
+        } catch (err) {
+            console.error('Failed to fetch user:', err);
+        }
+    };
+    fetchUser();
+  }, []);
+
+  // Wait for the user to stop typing before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Month, week and timeline views are offered on the home and bookmarks lists
+  const isCalendarView = viewMode !== 'grid' && (page === 'home' || page === 'bookmarks');
+  const calendarDays = useMemo(
+    () => isCalendarView ? getCalendarDays(viewMode, calendarAnchor, timePrefs.timeZone) : null,
+    [isCalendarView, viewMode, calendarAnchor, timePrefs.timeZone]
+  );
+
+  // Query string for the current view; filtering happens on the server
+  const contestQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    if (calendarDays) {
+      // Calendar views show every status within the visible days
+      if (page === 'bookmarks') params.set('saved', 'true');
+      params.set('from', calendarDays[0].start.toISOString());
+      params.set('to', calendarDays[calendarDays.length - 1].end.toISOString());
+      params.set('sort', 'asc');
+      params.set('limit', '100');
+    } else if (page === 'bookmarks') {
+      params.set('saved', 'true');
+    } else if (page === 'today') {
+      const { start, end } = getZonedDayRange(timePrefs.timeZone);
+      params.set('from', start.toISOString());
+      params.set('to', end.toISOString());
+    } else {
+      params.set('status', activeTab);
+    }
+    if (selectedPlatform !== 'All Platforms') params.set('platform', selectedPlatform);
+    if (debouncedSearch) params.set('q', debouncedSearch);
+    return params.toString();
+  }, [page, activeTab, selectedPlatform, debouncedSearch, timePrefs.timeZone, calendarDays]);
+
+  // The query the loaded pages belong to, so a late "load more" response for
+  // an old view is dropped instead of being appended to the new one.
+  const activeQueryRef = useRef(contestQuery);
+
+  useEffect(() => {
+    activeQueryRef.current = contestQuery;
+    const controller = new AbortController();
+    const fetchContests = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const contestsRes = await fetch(`${API_BASE_URL}/api/contests?${contestQuery}`, { credentials: 'include', signal: controller.signal });
             if (!contestsRes.ok) throw new Error('Failed to fetch');
             const contestData = await contestsRes.json();
-            setAllContests(contestData);
+            setAllContests(contestData.contests);
+            setNextCursor(contestData.nextCursor);
         } catch (err) {
-            setError(err.message);
+            if (err.name !== 'AbortError') setError(err.message);
         } finally {
-            setIsLoading(false);
+            if (!controller.signal.aborted) setIsLoading(false);
         }
     };
-    fetchData();
+    fetchContests();
+    return () => controller.abort();
+  }, [contestQuery]);
+
+  // Whether a contest pushed by the server belongs in the list currently on screen
+  const matchesCurrentView = React.useCallback((contest) => {
+    if (page === 'bookmarks') return false;
+    if (calendarDays) {
+      const startTime = new Date(contest.startTime);
+      if (startTime < calendarDays[0].start || startTime >= calendarDays[calendarDays.length - 1].end) return false;
+    } else if (page === 'today') {
+      const { start, end } = getZonedDayRange(timePrefs.timeZone);
+      const startTime = new Date(contest.startTime);
+      if (startTime < start || startTime >= end) return false;
+    } else if (contest.status !== activeTab) {
+      return false;
+    }
+    if (selectedPlatform !== 'All Platforms' && contest.platform !== selectedPlatform) return false;
+    return !debouncedSearch || contest.name.toLowerCase().includes(debouncedSearch.toLowerCase());
+  }, [page, activeTab, selectedPlatform, debouncedSearch, timePrefs.timeZone, calendarDays]);
+
+  // Read through a ref so switching views does not reopen the event stream
+  const matchesCurrentViewRef = useRef(matchesCurrentView);
+  useEffect(() => { matchesCurrentViewRef.current = matchesCurrentView; }, [matchesCurrentView]);
+
+  // Live updates: status changes, new contests and solution links from the server's jobs
+  useEffect(() => {
+    const source = new EventSource(`${API_BASE_URL}/api/events`, { withCredentials: true });
+    const handleContestEvent = (event) => {
+        const contest = JSON.parse(event.data);
+        setAllContests(prev => {
+            const index = prev.findIndex(c => c._id === contest._id);
+            if (index >= 0) {
+                // Keep the per-user fields (saved, calendar, participation) from the list
+                const next = [...prev];
+                next[index] = { ...prev[index], ...contest };
+                return next;
+            }
+            if (!matchesCurrentViewRef.current(contest)) return prev;
+            const direction = contest.status === 'Past' ? -1 : 1;
+            return [...prev, contest].sort((a, b) => direction * (new Date(a.startTime) - new Date(b.startTime)));
+        });
+    };
+    source.addEventListener('contest-created', handleContestEvent);
+    source.addEventListener('contest-updated', handleContestEvent);
+    source.addEventListener('contest-removed', (event) => {
+        const { _id } = JSON.parse(event.data);
+        setAllContests(prev => prev.filter(c => c._id !== _id));
+    });
+    return () => source.close();
   }, []);
 
-  const showNotification = (message, type = 'success') => {
-    const newNotification = { id: Date.now(), message, type };
+  const showNotification = React.useCallback((message, type = 'success') => {
+    const newNotification = { id: `${Date.now()}-${Math.random()}`, message, type };
     setNotifications(prev => [newNotification, ...prev]);
-  };
+  }, []);
+
+  const loadMoreContests = React.useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+    const query = contestQuery;
+    setIsLoadingMore(true);
+    try {
+        const contestsRes = await fetch(`${API_BASE_URL}/api/contests?${query}&cursor=${encodeURIComponent(nextCursor)}`, { credentials: 'include' });
+        if (!contestsRes.ok) throw new Error('Failed to fetch');
+        const contestData = await contestsRes.json();
+        if (activeQueryRef.current !== query) return;
+        // Skip contests that already arrived through the live event stream
+        setAllContests(prev => {
+            const loadedIds = new Set(prev.map(c => c._id));
+            return [...prev, ...contestData.contests.filter(c => !loadedIds.has(c._id))];
+        });
+        setNextCursor(contestData.nextCursor);
+    } catch (err) {
+        console.error('Failed to load more contests:', err);
+        showNotification('Failed to load more contests.', 'error');
+    } finally {
+        setIsLoadingMore(false);
+    }
+  }, [nextCursor, isLoadingMore, contestQuery, showNotification]);
+
+  // Infinite scroll: load the next page when the sentinel below the grid comes into view
+  const loadMoreRef = useRef(null);
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor) return;
+    const observer = new IntersectionObserver(entries => {
+        if (entries[0].isIntersecting) loadMoreContests();
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMoreContests]);
+
+  // Calendar views need every contest in the visible days, not just the first page
+  useEffect(() => {
+    if (isCalendarView && !isLoading && nextCursor) loadMoreContests();
+  }, [isCalendarView, isLoading, nextCursor, loadMoreContests]);
 
   // We wrap dismissNotification in useCallback to prevent it from being recreated on every render.
   // This gives it a stable identity, which is crucial for the useEffect hook in the Notification component.
@@ -305,18 +650,49 @@ export default function App() {
     setNotifications(prev => prev.filter(n => n.id !== id));
   }, []);
   
+  // Clashes shown in the conflict dialog, and when bookmarks last changed so
+  // the bookmarks page re-checks its conflicts
+  const [scheduleConflicts, setScheduleConflicts] = useState(null);
+  const [bookmarkConflicts, setBookmarkConflicts] = useState([]);
+  const [scheduleChangedAt, setScheduleChangedAt] = useState(0);
+
+  useEffect(() => {
+    if (!user || page !== 'bookmarks') return;
+    const fetchConflicts = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/schedule/conflicts`, { credentials: 'include' });
+            if (response.ok) setBookmarkConflicts(await response.json());
+        } catch (error) {
+            console.error('Failed to check schedule conflicts:', error);
+        }
+    };
+    fetchConflicts();
+  }, [user, page, scheduleChangedAt]);
+
+  const handleUnsaveConflicting = (contestId) => {
+    handleToggleSave(contestId, false);
+    setScheduleConflicts(prev => {
+        const remaining = (prev || []).filter(conflict => !conflict.contests.some(c => c._id === contestId));
+        return remaining.length > 0 ? remaining : null;
+    });
+  };
+
   const handleToggleSave = async (contestId, newSavedStatus) => {
     if (!user) { showNotification('Please log in to save contests.', 'error'); return; }
     const originalContests = [...allContests];
     try {
         setAllContests(allContests.map(c => c._id === contestId ? { ...c, saved: newSavedStatus } : c));
         showNotification(newSavedStatus ? 'Contest saved!' : 'Removed from bookmarks.', 'success');
-        await fetch(`${API_BASE_URL}/api/contests/${contestId}`, {
+        const response = await fetch(`${API_BASE_URL}/api/contests/${contestId}`, {
             method: 'PATCH',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ saved: newSavedStatus }),
             credentials: 'include'
         });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || 'Failed to update bookmark.');
+        if (result.conflicts?.length > 0) setScheduleConflicts(result.conflicts);
+        setScheduleChangedAt(Date.now());
     } catch (error) {
         console.error('Failed to update contest:', error);
         setAllContests(originalContests);
@@ -324,45 +700,71 @@ export default function App() {
     }
   };
 
-  const handleContestAddedToCalendar = (contestId) => {
+  const handleCalendarChange = (contestId, isAdded) => {
     setAllContests(prevContests => 
         prevContests.map(c => 
-            c._id === contestId ? { ...c, isAddedToCalendar: true } : c
+            c._id === contestId ? { ...c, isAddedToCalendar: isAdded } : c
         )
     );
   };
   
-  const filteredContests = useMemo(() => {
-    let contests = allContests;
-    
-    if (page === 'bookmarks') {
-      contests = contests.filter(c => c.saved);
-    } else if (page === 'today') {
-      const today = new Date();
-      contests = allContests.filter(c => {
-        const contestDate = new Date(c.startTime);
-        return contestDate.getDate() === today.getDate() &&
-               contestDate.getMonth() === today.getMonth() &&
-               contestDate.getFullYear() === today.getFullYear();
-      });
+  const [isSyncingBookmarks, setIsSyncingBookmarks] = useState(false);
+
+  const handleSyncBookmarks = async () => {
+    setIsSyncingBookmarks(true);
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/calendar/sync-bookmarks`, { method: 'POST', credentials: 'include' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || 'Failed to sync bookmarks.');
+        const addedIds = new Set(result.added);
+        setAllContests(prevContests => prevContests.map(c => addedIds.has(c._id) ? { ...c, isAddedToCalendar: true } : c));
+        showNotification(result.message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    } finally {
+        setIsSyncingBookmarks(false);
     }
-    
-    if (searchQuery) {
-        contests = contests.filter(contest => 
-            contest.name.toLowerCase().includes(searchQuery.toLowerCase())
-        );
+  };
+  
+  // The server already filtered the list; only drop bookmarks removed and
+  // contests whose status changed since it loaded
+  const filteredContests = useMemo(() => {
+    if (page === 'bookmarks') return allContests.filter(c => c.saved);
+    if (page === 'home' && !isCalendarView) return allContests.filter(c => c.status === activeTab);
+    return allContests;
+  }, [page, activeTab, allContests, isCalendarView]);
+
+  const conflictIds = useMemo(() => isCalendarView ? getConflictIds(filteredContests) : new Set(), [isCalendarView, filteredContests]);
+  const selectedContest = selectedContestId && allContests.find(c => c._id === selectedContestId);
+  const closeContestModal = React.useCallback(() => setSelectedContestId(null), []);
+
+  const getCalendarTitle = () => {
+    const { locale } = timePrefs;
+    if (viewMode === 'month') {
+      const middle = calendarDays[Math.floor(calendarDays.length / 2)].date;
+      return middle.toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
     }
+    const format = (date) => date.toLocaleDateString(locale, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return `${format(calendarDays[0].date)} – ${format(calendarDays[calendarDays.length - 1].date)}`;
+  };
 
-    return contests.filter(contest => {
-      const statusMatch = (page === 'today' || page === 'bookmarks') ? true : contest.status === activeTab;
-      const platformMatch = selectedPlatform === 'All Platforms' || contest.platform === selectedPlatform;
-      return statusMatch && platformMatch;
-    });
-  }, [page, activeTab, selectedPlatform, allContests, searchQuery]);
+  const viewOptions = [
+    { value: 'grid', label: 'Cards', icon: <LayoutGrid size={14} /> },
+    { value: 'month', label: 'Month', icon: <CalendarDays size={14} /> },
+    { value: 'week', label: 'Week', icon: <CalendarRange size={14} /> },
+    { value: 'timeline', label: 'Timeline', icon: <GanttChart size={14} /> },
+  ];
 
   const getPageTitle = () => {
     if (page === 'bookmarks') return 'My Bookmarks';
     if (page === 'today') return "Today's Contests";
+    if (page === 'settings') return 'Settings';
+    if (page === 'profile') return 'My Profile';
+    if (page === 'upsolve') return 'To Upsolve';
+    if (page === 'admin') return 'Admin';
+    if (page === 'status') return 'System Status';
+    if (page === 'submit') return 'Submit a Contest';
+    if (page === 'groups') return 'My Groups';
     return 'Coding Contest Tracker';
   };
 
@@ -375,43 +777,118 @@ export default function App() {
           <div className="text-center mb-10">
             <h2 className="text-3xl sm:text-4xl font-bold tracking-tight text-gray-900 dark:text-white">{getPageTitle()}</h2>
             <p className="text-gray-500 dark:text-gray-400 mt-2 max-w-2xl mx-auto">
-              { page === 'bookmarks' ? 'Your saved contests for quick access.' : page === 'today' ? 'All coding challenges scheduled for today.' : 'Stay updated with upcoming and past coding contests from popular platforms' }
+              { page === 'bookmarks' ? 'Your saved contests for quick access.' : page === 'today' ? 'All coding challenges scheduled for today.' : page === 'settings' ? 'Choose where contests go and when you are reminded.' : page === 'profile' ? 'Your linked accounts, rating history and contests you took part in.' : page === 'groups' ? 'Plan contests together with your team.' : page === 'upsolve' ? 'Problems from past contests you still have to solve.' : page === 'admin' ? 'Add contests the scrapers miss and fix the ones they get wrong.' : page === 'status' ? 'How the scheduled jobs and contest sources have been doing.' : page === 'submit' ? 'Know a contest we are missing? Tell us about it.' : 'Stay updated with upcoming and past coding contests from popular platforms' }
             </p>
           </div>
-          <div className="flex flex-col sm:flex-row justify-between items-center mb-8 gap-4">
-            {page === 'home' ? (
-                <div className="flex bg-gray-100 dark:bg-[#1e1e1e] p-1 rounded-lg">
-                    <button onClick={() => setActiveTab('Upcoming')} className={`px-4 py-1.5 text-sm rounded-md font-medium ${activeTab === 'Upcoming' ? 'bg-white dark:bg-gray-600 shadow-sm' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}>Upcoming</button>
-                    <button onClick={() => setActiveTab('On-going')} className={`px-4 py-1.5 text-sm rounded-md font-medium ${activeTab === 'On-going' ? 'bg-white dark:bg-gray-600 shadow-sm' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}>On-going</button>
-                    <button onClick={() => setActiveTab('Past')} className={`px-4 py-1.5 text-sm rounded-md font-medium ${activeTab === 'Past' ? 'bg-white dark:bg-gray-600 shadow-sm' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}>Past</button>
+          {page === 'settings' && user ? (
+            <SettingsPage user={user} setUser={setUser} showNotification={showNotification} platformOptions={platformOptions} />
+          ) : page === 'profile' && user ? (
+            <ProfilePage showNotification={showNotification} timePrefs={timePrefs} />
+          ) : page === 'admin' && user?.role === 'admin' ? (
+            <AdminPage showNotification={showNotification} platformOptions={platformOptions} timePrefs={timePrefs} />
+          ) : page === 'status' && user?.role === 'admin' ? (
+            <StatusPage showNotification={showNotification} timePrefs={timePrefs} />
+          ) : page === 'submit' && user ? (
+            <SubmitContestPage showNotification={showNotification} platformOptions={platformOptions} timePrefs={timePrefs} />
+          ) : page === 'upsolve' && user ? (
+            <UpsolvePage user={user} showNotification={showNotification} timePrefs={timePrefs} />
+          ) : page === 'groups' && user ? (
+            <GroupsPage user={user} showNotification={showNotification} timePrefs={timePrefs} />
+          ) : (
+            <>
+              <div className="flex flex-col sm:flex-row justify-between items-center mb-8 gap-4">
+                {page === 'home' && !isCalendarView ? (
+                    <div className="flex bg-gray-100 dark:bg-[#1e1e1e] p-1 rounded-lg">
+                        <button onClick={() => setActiveTab('Upcoming')} className={`px-4 py-1.5 text-sm rounded-md font-medium ${activeTab === 'Upcoming' ? 'bg-white dark:bg-gray-600 shadow-sm' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}>Upcoming</button>
+                        <button onClick={() => setActiveTab('On-going')} className={`px-4 py-1.5 text-sm rounded-md font-medium ${activeTab === 'On-going' ? 'bg-white dark:bg-gray-600 shadow-sm' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}>On-going</button>
+                        <button onClick={() => setActiveTab('Past')} className={`px-4 py-1.5 text-sm rounded-md font-medium ${activeTab === 'Past' ? 'bg-white dark:bg-gray-600 shadow-sm' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}>Past</button>
+                    </div>
+                ) : page === 'bookmarks' && user ? (
+                  <button onClick={handleSyncBookmarks} disabled={isSyncingBookmarks} className="flex items-center gap-2 text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 disabled:opacity-60">
+                      <Calendar size={16} /> {isSyncingBookmarks ? 'Syncing...' : 'Sync all to Google Calendar'}
+                  </button>
+              ) : <div />}
+                <div className="relative w-full sm:w-auto flex-grow sm:flex-grow-0 flex items-center gap-4">
+                    <div className="relative w-full">
+                        <div className="absolute inset-y-0 left-0 flex items-center pl-3 pointer-events-none"><Search size={16} className="text-gray-400" /></div>
+                        <input type="text" placeholder="Search contests..." value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-white text-sm rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 block w-full pl-10 p-2.5"/>
+                    </div>
+                    {page === 'home' && (<CustomSelect options={platformOptions} selected={selectedPlatform} onChange={(option) => setSelectedPlatform(option.value)}/>)}
                 </div>
-            ) : <div />}
-            <div className="relative w-full sm:w-auto flex-grow sm:flex-grow-0 flex items-center gap-4">
-                <div className="relative w-full">
-                    <div className="absolute inset-y-0 left-0 flex items-center pl-3 pointer-events-none"><Search size={16} className="text-gray-400" /></div>
-                    <input type="text" placeholder="Search contests..." value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-white text-sm rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 block w-full pl-10 p-2.5"/>
+              </div>
+              {(page === 'home' || page === 'bookmarks') && (
+                <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4">
+                    <div className="flex bg-gray-100 dark:bg-[#1e1e1e] p-1 rounded-lg">
+                        {viewOptions.map(({ value, label, icon }) => (
+                            <button key={value} onClick={() => setViewMode(value)} className={`flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-md font-medium ${viewMode === value ? 'bg-white dark:bg-gray-600 shadow-sm' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}>{icon} {label}</button>
+                        ))}
+                    </div>
+                    {isCalendarView && (
+                        <div className="flex items-center gap-2">
+                            <button onClick={() => setCalendarAnchor(shiftCalendarAnchor(viewMode, calendarAnchor, timePrefs.timeZone, -1))} aria-label="Previous" className="p-1.5 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"><ChevronLeft size={16} /></button>
+                            <button onClick={() => setCalendarAnchor(new Date())} className="px-3 py-1.5 text-sm rounded-md font-medium bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">Today</button>
+                            <button onClick={() => setCalendarAnchor(shiftCalendarAnchor(viewMode, calendarAnchor, timePrefs.timeZone, 1))} aria-label="Next" className="p-1.5 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"><ChevronRight size={16} /></button>
+                            <span className="ml-2 text-sm font-semibold text-gray-900 dark:text-white min-w-[9rem]">{getCalendarTitle()}</span>
+                            {conflictIds.size > 0 && <span className="flex items-center gap-1 text-xs font-medium text-red-500"><AlertTriangle size={14} /> {conflictIds.size} overlapping</span>}
+                        </div>
+                    )}
                 </div>
-                {page === 'home' && (<CustomSelect options={platformOptions} selected={selectedPlatform} onChange={(option) => setSelectedPlatform(option.value)}/>)}
-            </div>
-          </div>
-          {isLoading ? ( <div className="flex justify-center items-center py-20"><LoaderCircle className="animate-spin text-purple-500" size={48} /></div> ) 
-          : error ? ( <p className="text-red-500 text-center py-10">Error: {error}</p> ) 
-          : (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {filteredContests.length > 0 ? (
-                filteredContests.map((contest) => (
-                    <ContestCard 
-                        key={contest._id} 
-                        contest={contest} 
-                        onSave={handleToggleSave} 
-                        user={user} 
-                        showNotification={showNotification}
-                        onAddToCalendar={handleContestAddedToCalendar}
-                        isAddedToCalendar={contest.isAddedToCalendar}
-                    />
-                ))
-              ) : ( <p className="text-gray-500 dark:text-gray-400 col-span-full text-center py-10">No contests found for the selected filters.</p> )}
-            </div>
+              )}
+              {page === 'bookmarks' && user && bookmarkConflicts.length > 0 && (
+                <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mb-6 rounded-lg border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/20 px-4 py-3 text-sm text-amber-800 dark:text-amber-300">
+                    <span className="flex items-center gap-2"><AlertTriangle size={16} /> {bookmarkConflicts.length} {bookmarkConflicts.length === 1 ? 'clash' : 'clashes'} among your bookmarked and calendar contests.</span>
+                    <button onClick={() => setScheduleConflicts(bookmarkConflicts)} className="font-semibold hover:underline">Review</button>
+                </div>
+              )}
+              {isLoading ? ( <div className="flex justify-center items-center py-20"><LoaderCircle className="animate-spin text-purple-500" size={48} /></div> ) 
+              : error ? ( <p className="text-red-500 text-center py-10">Error: {error}</p> ) 
+              : isCalendarView ? (
+                viewMode === 'month' ? (
+                  <MonthView days={calendarDays} contests={filteredContests} conflictIds={conflictIds} onSelect={(contest) => setSelectedContestId(contest._id)} onShowWeek={(day) => { setCalendarAnchor(day); setViewMode('week'); }} timePrefs={timePrefs} />
+                ) : viewMode === 'week' ? (
+                  <WeekView days={calendarDays} contests={filteredContests} conflictIds={conflictIds} onSelect={(contest) => setSelectedContestId(contest._id)} timePrefs={timePrefs} />
+                ) : (
+                  <TimelineView days={calendarDays} contests={filteredContests} conflictIds={conflictIds} onSelect={(contest) => setSelectedContestId(contest._id)} timePrefs={timePrefs} />
+                )
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                  {filteredContests.length > 0 ? (
+                    filteredContests.map((contest) => (
+                        <ContestCard 
+                            key={contest._id} 
+                            contest={contest} 
+                            onSave={handleToggleSave} 
+                            user={user} 
+                            showNotification={showNotification}
+                            onCalendarChange={handleCalendarChange}
+                            isAddedToCalendar={contest.isAddedToCalendar}
+                            timePrefs={timePrefs}
+                        />
+                    ))
+                  ) : ( <p className="text-gray-500 dark:text-gray-400 col-span-full text-center py-10">No contests found for the selected filters.</p> )}
+                </div>
+              )}
+              {!isLoading && !error && nextCursor && !isCalendarView && (
+                <div ref={loadMoreRef} className="flex justify-center py-10">
+                    {isLoadingMore && <LoaderCircle className="animate-spin text-purple-500" size={32} />}
+                </div>
+              )}
+              {scheduleConflicts && (
+                <ConflictDialog conflicts={scheduleConflicts} onClose={() => setScheduleConflicts(null)} onUnsave={handleUnsaveConflicting} timePrefs={timePrefs} />
+              )}
+              {selectedContest && (
+                <ContestModal
+                    onClose={closeContestModal}
+                    contest={selectedContest}
+                    onSave={handleToggleSave}
+                    user={user}
+                    showNotification={showNotification}
+                    onCalendarChange={handleCalendarChange}
+                    isAddedToCalendar={selectedContest.isAddedToCalendar}
+                    timePrefs={timePrefs}
+                />
+              )}
+            </>
           )}
         </div>
       </main>
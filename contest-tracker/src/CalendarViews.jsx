@@ -0,0 +1,158 @@
+import React from 'react';
+import { formatClockTime, getZonedDayRange } from './time.js';
+import { layoutOverlaps, isLongContest } from './calendar.js';
+import { platformColorMap } from './platformColors.js';
+import { AlertTriangle } from 'lucide-react';
+
+// CalendarEntry Component: One contest inside a calendar view
+const CalendarEntry = ({ contest, conflict, onSelect, timePrefs, className = '', style, showTime = true }) => (
+    <button
+        onClick={() => onSelect(contest)}
+        style={style}
+        title={`${contest.name} (${contest.platform})${conflict ? ' - overlaps another contest' : ''}`}
+        className={`text-left text-xs rounded px-1.5 py-0.5 text-white overflow-hidden ${platformColorMap[contest.platform] || 'bg-gray-400'} ${contest.status === 'Cancelled' ? 'opacity-50 line-through' : ''} ${conflict ? 'ring-2 ring-red-500 ring-offset-1 ring-offset-white dark:ring-offset-[#1e1e1e]' : ''} hover:brightness-110 ${className}`}
+    >
+        <span className="flex items-center gap-1 truncate">
+            {conflict && <AlertTriangle size={11} className="flex-shrink-0" />}
+            {showTime && <span className="font-semibold flex-shrink-0">{formatClockTime(contest.startTime, timePrefs)}</span>}
+            <span className="truncate">{contest.name}</span>
+        </span>
+    </button>
+);
+
+const MAX_MONTH_ENTRIES = 3;
+
+// MonthView Component: Month grid with the contests starting on each day
+const MonthView = ({ days, contests, conflictIds, onSelect, onShowWeek, timePrefs }) => {
+    const today = getZonedDayRange(timePrefs.timeZone);
+    const weekdays = days.slice(0, 7).map(day => day.date.toLocaleDateString(timePrefs.locale, { weekday: 'short', timeZone: 'UTC' }));
+
+    return (
+        <div className="border border-gray-200 dark:border-gray-800 rounded-lg overflow-hidden">
+            <div className="grid grid-cols-7 bg-gray-50 dark:bg-[#1a1a1a] text-xs font-medium text-gray-500 dark:text-gray-400">
+                {weekdays.map(weekday => <div key={weekday} className="px-2 py-2 text-center">{weekday}</div>)}
+            </div>
+            <div className="grid grid-cols-7">
+                {days.map(day => {
+                    const dayContests = contests.filter(c => new Date(c.startTime) >= day.start && new Date(c.startTime) < day.end);
+                    const isToday = day.start.getTime() === today.start.getTime();
+                    return (
+                        <div key={day.start.toISOString()} className={`min-h-[110px] border-t border-l border-gray-200 dark:border-gray-800 p-1.5 flex flex-col gap-1 ${day.inMonth ? 'bg-white dark:bg-[#1e1e1e]' : 'bg-gray-50 dark:bg-[#161616] opacity-60'}`}>
+                            <span className={`text-xs font-medium self-end w-6 h-6 flex items-center justify-center rounded-full ${isToday ? 'bg-purple-600 text-white' : 'text-gray-500 dark:text-gray-400'}`}>{day.date.getUTCDate()}</span>
+                            {dayContests.slice(0, MAX_MONTH_ENTRIES).map(contest => (
+                                <CalendarEntry key={contest._id} contest={contest} conflict={conflictIds.has(contest._id)} onSelect={onSelect} timePrefs={timePrefs} />
+                            ))}
+                            {dayContests.length > MAX_MONTH_ENTRIES && (
+                                <button onClick={() => onShowWeek(day.start)} className="text-xs text-left text-purple-600 dark:text-purple-400 hover:underline">+{dayContests.length - MAX_MONTH_ENTRIES} more</button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+const WEEK_HOUR_HEIGHT = 40;
+
+// WeekView Component: Seven day columns on a 24-hour axis, overlapping contests side by side
+const WeekView = ({ days, contests, conflictIds, onSelect, timePrefs }) => {
+    const timedContests = contests.filter(c => !isLongContest(c));
+    const longContests = contests.filter(isLongContest);
+    const hourLabels = Array.from({ length: 24 }, (_, hour) => new Date(Date.UTC(2000, 0, 1, hour)).toLocaleTimeString(timePrefs.locale, { hour: 'numeric', timeZone: 'UTC' }));
+
+    return (
+        <div className="border border-gray-200 dark:border-gray-800 rounded-lg overflow-hidden bg-white dark:bg-[#1e1e1e]">
+            <div className="grid grid-cols-[3.5rem_repeat(7,minmax(0,1fr))] border-b border-gray-200 dark:border-gray-800">
+                <div />
+                {days.map(day => {
+                    const dayLong = longContests.filter(c => new Date(c.startTime) < day.end && new Date(c.endTime) > day.start);
+                    return (
+                        <div key={day.start.toISOString()} className="border-l border-gray-200 dark:border-gray-800 p-1.5 flex flex-col gap-1 min-w-0">
+                            <span className="text-xs font-medium text-center text-gray-500 dark:text-gray-400">{day.date.toLocaleDateString(timePrefs.locale, { weekday: 'short', day: 'numeric', timeZone: 'UTC' })}</span>
+                            {dayLong.map(contest => <CalendarEntry key={contest._id} contest={contest} onSelect={onSelect} timePrefs={timePrefs} showTime={false} />)}
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="max-h-[640px] overflow-y-auto">
+                <div className="grid grid-cols-[3.5rem_repeat(7,minmax(0,1fr))]" style={{ height: 24 * WEEK_HOUR_HEIGHT }}>
+                    <div className="relative">
+                        {hourLabels.map((label, hour) => <span key={label} className="absolute right-2 text-[10px] text-gray-400 -translate-y-1/2" style={{ top: hour * WEEK_HOUR_HEIGHT }}>{hour > 0 ? label : ''}</span>)}
+                    </div>
+                    {days.map(day => {
+                        const dayLength = day.end - day.start;
+                        return (
+                            <div key={day.start.toISOString()} className="relative border-l border-gray-200 dark:border-gray-800 bg-[linear-gradient(to_bottom,rgba(156,163,175,0.15)_1px,transparent_1px)]" style={{ backgroundSize: `100% ${WEEK_HOUR_HEIGHT}px` }}>
+                                {layoutOverlaps(timedContests, day).map(item => (
+                                    <CalendarEntry
+                                        key={item.contest._id}
+                                        contest={item.contest}
+                                        conflict={conflictIds.has(item.contest._id)}
+                                        onSelect={onSelect}
+                                        timePrefs={timePrefs}
+                                        className="absolute flex flex-col"
+                                        style={{
+                                            top: `${((item.start - day.start) / dayLength) * 100}%`,
+                                            height: `${((item.end - item.start) / dayLength) * 100}%`,
+                                            minHeight: 20,
+                                            left: `${(item.column / item.columns) * 100}%`,
+                                            width: `calc(${100 / item.columns}% - 2px)`,
+                                        }}
+                                    />
+                                ))}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const TIMELINE_HOUR_WIDTH = 16;
+
+const TIMELINE_LANE_HEIGHT = 32;
+
+// TimelineView Component: All contests of the next days as bars on one horizontal time axis
+const TimelineView = ({ days, contests, conflictIds, onSelect, timePrefs }) => {
+    const range = { start: days[0].start, end: days[days.length - 1].end };
+    const rangeLength = range.end - range.start;
+    const lanes = layoutOverlaps(contests, range);
+    const laneCount = Math.max(1, ...lanes.map(item => item.column + 1));
+    const width = days.length * 24 * TIMELINE_HOUR_WIDTH;
+    const toPercent = (time) => `${((time - range.start) / rangeLength) * 100}%`;
+    const toWidth = (duration) => `${(duration / rangeLength) * 100}%`;
+    const now = Date.now();
+
+    return (
+        <div className="border border-gray-200 dark:border-gray-800 rounded-lg overflow-x-auto bg-white dark:bg-[#1e1e1e]">
+            <div className="relative" style={{ width }}>
+                <div className="relative h-8 border-b border-gray-200 dark:border-gray-800">
+                    {days.map(day => (
+                        <span key={day.start.toISOString()} className="absolute top-0 h-full border-l border-gray-200 dark:border-gray-800 pl-2 pt-1.5 text-xs font-medium text-gray-500 dark:text-gray-400" style={{ left: toPercent(day.start) }}>
+                            {day.date.toLocaleDateString(timePrefs.locale, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' })}
+                        </span>
+                    ))}
+                </div>
+                <div className="relative" style={{ height: laneCount * TIMELINE_LANE_HEIGHT + 8 }}>
+                    {days.map(day => <div key={day.start.toISOString()} className="absolute inset-y-0 border-l border-gray-200 dark:border-gray-800" style={{ left: toPercent(day.start) }} />)}
+                    {now >= range.start && now < range.end && <div className="absolute inset-y-0 w-px bg-purple-500" style={{ left: toPercent(now) }} title="Now" />}
+                    {lanes.map(item => (
+                        <CalendarEntry
+                            key={item.contest._id}
+                            contest={item.contest}
+                            conflict={conflictIds.has(item.contest._id)}
+                            onSelect={onSelect}
+                            timePrefs={timePrefs}
+                            className="absolute"
+                            style={{ left: toPercent(item.start), width: `max(${toWidth(item.end - item.start)}, 24px)`, top: 4 + item.column * TIMELINE_LANE_HEIGHT, height: TIMELINE_LANE_HEIGHT - 6 }}
+                        />
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export { MonthView, WeekView, TimelineView };
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { formatContestTime } from './time.js';
+import { API_BASE_URL } from './api.js';
+import { LoaderCircle, XCircle } from 'lucide-react';
+
+// GroupView Component: Members, invite link and the shared contest plan of one group
+const GroupView = ({ groupId, user, showNotification, onLeave, timePrefs }) => {
+    const [group, setGroup] = useState(null);
+    const [contests, setContests] = useState([]);
+    const [onlyPlanned, setOnlyPlanned] = useState(false);
+
+    const responseStyles = {
+        going: 'bg-emerald-100 dark:bg-emerald-900/50 text-emerald-700 dark:text-emerald-300',
+        maybe: 'bg-amber-100 dark:bg-amber-900/50 text-amber-700 dark:text-amber-300',
+        skipping: 'bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300',
+    };
+
+    const loadGroup = React.useCallback(async () => {
+        try {
+            const [groupRes, contestsRes] = await Promise.all([
+                fetch(`${API_BASE_URL}/api/groups/${groupId}`, { credentials: 'include' }),
+                fetch(`${API_BASE_URL}/api/contests?status=Upcoming&limit=100`, { credentials: 'include' }),
+            ]);
+            if (!groupRes.ok || !contestsRes.ok) throw new Error('Failed to load group.');
+            setGroup(await groupRes.json());
+            setContests((await contestsRes.json()).contests);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    }, [groupId, showNotification]);
+
+    useEffect(() => { loadGroup(); }, [loadGroup]);
+
+    const setResponse = async (contestId, response) => {
+        const current = group.plan[contestId]?.[user._id];
+        const next = current === response ? null : response;
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/groups/${groupId}/plan/${contestId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ response: next }),
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error((await res.json()).message || 'Failed to update plan.');
+            setGroup(prev => {
+                const contestPlan = { ...prev.plan[contestId] };
+                if (next) contestPlan[user._id] = next; else delete contestPlan[user._id];
+                return { ...prev, plan: { ...prev.plan, [contestId]: contestPlan } };
+            });
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const inviteLink = group ? `${window.location.origin}${window.location.pathname}?join=${group.inviteCode}` : '';
+
+    const copyInvite = async () => {
+        try {
+            await navigator.clipboard.writeText(inviteLink);
+            showNotification('Invite link copied!', 'success');
+        } catch {
+            showNotification('Could not copy the invite link.', 'error');
+        }
+    };
+
+    const resetInvite = async () => {
+        const res = await fetch(`${API_BASE_URL}/api/groups/${groupId}/invite`, { method: 'POST', credentials: 'include' });
+        const result = await res.json();
+        if (!res.ok) return showNotification(result.message || 'Failed to reset invite link.', 'error');
+        setGroup(prev => ({ ...prev, inviteCode: result.inviteCode }));
+        showNotification('Invite link reset. The old link no longer works.', 'success');
+    };
+
+    const removeMember = async (memberId) => {
+        const res = await fetch(`${API_BASE_URL}/api/groups/${groupId}/members/${memberId}`, { method: 'DELETE', credentials: 'include' });
+        const result = await res.json();
+        if (!res.ok) return showNotification(result.message || 'Failed to update members.', 'error');
+        if (memberId === user._id) {
+            showNotification(`You left ${group.name}.`, 'success');
+            onLeave();
+        } else {
+            loadGroup();
+        }
+    };
+
+    if (!group) {
+        return <div className="flex justify-center items-center py-20"><LoaderCircle className="animate-spin text-purple-500" size={48} /></div>;
+    }
+
+    const plannedContests = contests.filter(c => Object.keys(group.plan[c._id] || {}).length > 0);
+    const visibleContests = onlyPlanned ? plannedContests : contests;
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-5 space-y-4">
+                <div className="flex justify-between items-center gap-4 flex-wrap">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{group.name}</h3>
+                    <div className="flex items-center gap-3 text-sm">
+                        <button onClick={copyInvite} className="text-purple-600 dark:text-purple-400 hover:underline">Copy invite link</button>
+                        {group.isOwner && <button onClick={resetInvite} className="text-gray-500 hover:text-gray-900 dark:hover:text-white">Reset link</button>}
+                        <button onClick={() => removeMember(user._id)} className="text-red-500 hover:text-red-600">Leave group</button>
+                    </div>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                    {group.members.map(member => (
+                        <span key={member._id} className="flex items-center gap-2 text-sm bg-gray-100 dark:bg-gray-800 rounded-full px-3 py-1">
+                            {member.displayName}
+                            {group.isOwner && member._id !== user._id && (
+                                <button onClick={() => removeMember(member._id)} className="text-gray-400 hover:text-red-500" title="Remove member"><XCircle size={14} /></button>
+                            )}
+                        </span>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex justify-between items-center">
+                <h4 className="font-semibold text-gray-900 dark:text-white">Contest plan</h4>
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                    <input type="checkbox" checked={onlyPlanned} onChange={(e) => setOnlyPlanned(e.target.checked)} className="accent-purple-600" /> Only planned contests
+                </label>
+            </div>
+            <div className="space-y-3">
+                {visibleContests.length === 0 && <p className="text-gray-500 dark:text-gray-400 text-center py-10">No contests planned yet. Mark the ones you are doing below.</p>}
+                {visibleContests.map(contest => {
+                    const contestPlan = group.plan[contest._id] || {};
+                    return (
+                        <div key={contest._id} className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-4 flex flex-col md:flex-row md:items-center justify-between gap-3">
+                            <div>
+                                <p className="font-medium text-gray-900 dark:text-white">{contest.name}</p>
+                                <p className="text-sm text-gray-500 dark:text-gray-400">{contest.platform} · {formatContestTime(contest.startTime, timePrefs)}</p>
+                                <div className="flex flex-wrap gap-1.5 mt-2">
+                                    {group.members.filter(m => contestPlan[m._id]).map(m => (
+                                        <span key={m._id} className={`text-xs px-2 py-0.5 rounded-full ${responseStyles[contestPlan[m._id]]}`}>{m.displayName.split(' ')[0]}: {contestPlan[m._id]}</span>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="flex gap-1.5 flex-shrink-0">
+                                {['going', 'maybe', 'skipping'].map(response => (
+                                    <button key={response} onClick={() => setResponse(contest._id, response)} className={`text-xs px-3 py-1.5 rounded-md font-medium capitalize ${contestPlan[user._id] === response ? responseStyles[response] : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'}`}>{response}</button>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// GroupsPage Component: The user's groups and a form to create new ones
+const GroupsPage = ({ user, showNotification, timePrefs }) => {
+    const [groups, setGroups] = useState(null);
+    const [selectedGroupId, setSelectedGroupId] = useState(null);
+    const [newGroupName, setNewGroupName] = useState('');
+
+    const loadGroups = React.useCallback(async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/groups`, { credentials: 'include' });
+            if (!response.ok) throw new Error('Failed to load groups.');
+            setGroups(await response.json());
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    }, [showNotification]);
+
+    useEffect(() => { loadGroups(); }, [loadGroups]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/groups`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: newGroupName }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to create group.');
+            setGroups(prev => [...(prev || []), result]);
+            setNewGroupName('');
+            setSelectedGroupId(result._id);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    if (selectedGroupId) {
+        return (
+            <div className="space-y-4">
+                <button onClick={() => setSelectedGroupId(null)} className="text-sm text-gray-500 hover:text-gray-900 dark:hover:text-white">← All groups</button>
+                <GroupView
+                    groupId={selectedGroupId}
+                    user={user}
+                    showNotification={showNotification}
+                    timePrefs={timePrefs}
+                    onLeave={() => { setSelectedGroupId(null); loadGroups(); }}
+                />
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-xl mx-auto space-y-4">
+            {groups === null ? (
+                <div className="flex justify-center items-center py-20"><LoaderCircle className="animate-spin text-purple-500" size={48} /></div>
+            ) : groups.length === 0 ? (
+                <p className="text-gray-500 dark:text-gray-400 text-center py-6">You are not in any group yet. Create one or open an invite link from a teammate.</p>
+            ) : groups.map(group => (
+                <button key={group._id} onClick={() => setSelectedGroupId(group._id)} className="w-full text-left bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-4 hover:border-purple-500 transition-colors flex justify-between items-center">
+                    <span className="font-medium text-gray-900 dark:text-white">{group.name}</span>
+                    <span className="text-sm text-gray-500 dark:text-gray-400">{group.memberCount} member{group.memberCount === 1 ? '' : 's'}{group.isOwner ? ' · owner' : ''}</span>
+                </button>
+            ))}
+            <form onSubmit={handleCreate} className="flex gap-2">
+                <input type="text" value={newGroupName} onChange={(e) => setNewGroupName(e.target.value)} placeholder="New group name" className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-white text-sm rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 block w-full p-2.5" />
+                <button type="submit" className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black flex-shrink-0">Create group</button>
+            </form>
+        </div>
+    );
+};
+
+export default GroupsPage;
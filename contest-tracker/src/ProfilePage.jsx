@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { API_BASE_URL } from './api.js';
+import { LoaderCircle } from 'lucide-react';
+
+// RatingChart Component: Line chart of one platform's rating history
+const RatingChart = ({ platform, participations, color }) => {
+    const width = 600;
+    const height = 200;
+    const padding = 30;
+    const ratings = participations.map(p => p.newRating);
+    const min = Math.min(...ratings);
+    const max = Math.max(...ratings);
+    const range = max - min || 1;
+    const points = participations.map((p, i) => ({
+        x: padding + (participations.length === 1 ? (width - 2 * padding) / 2 : (i / (participations.length - 1)) * (width - 2 * padding)),
+        y: height - padding - ((p.newRating - min) / range) * (height - 2 * padding),
+        participation: p,
+    }));
+
+    return (
+        <div className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-5">
+            <div className="flex justify-between items-baseline mb-2">
+                <h4 className="font-semibold text-gray-900 dark:text-white">{platform}</h4>
+                <span className="text-sm text-gray-500 dark:text-gray-400">Current: <strong className="text-gray-900 dark:text-white">{ratings[ratings.length - 1]}</strong> · Max: {max}</span>
+            </div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+                <text x={4} y={padding} className="fill-gray-400 text-[10px]">{max}</text>
+                <text x={4} y={height - padding} className="fill-gray-400 text-[10px]">{min}</text>
+                <polyline fill="none" stroke={color} strokeWidth="2" points={points.map(p => `${p.x},${p.y}`).join(' ')} />
+                {points.map(p => (
+                    <circle key={`${p.participation.contestName}-${p.participation.date}`} cx={p.x} cy={p.y} r="3" fill={color}>
+                        <title>{`${p.participation.contestName}: ${p.participation.newRating} (rank ${p.participation.rank})`}</title>
+                    </circle>
+                ))}
+            </svg>
+        </div>
+    );
+};
+
+// ProfilePage Component: Linked handles, rating graphs and contest history
+const ProfilePage = ({ showNotification, timePrefs }) => {
+    const [profile, setProfile] = useState(null);
+    const [handles, setHandles] = useState({ codeforces: '', leetcode: '', atcoder: '' });
+    const [isSaving, setIsSaving] = useState(false);
+
+    const ratingColors = { Codeforces: '#f43f5e', LeetCode: '#f59e0b', AtCoder: '#0284c7' };
+
+    const loadProfile = React.useCallback(async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/profile`, { credentials: 'include' });
+            if (!response.ok) throw new Error('Failed to load profile.');
+            const data = await response.json();
+            setProfile(data);
+            setHandles({
+                codeforces: data.handles?.codeforces || '',
+                leetcode: data.handles?.leetcode || '',
+                atcoder: data.handles?.atcoder || '',
+            });
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    }, [showNotification]);
+
+    useEffect(() => { loadProfile(); }, [loadProfile]);
+
+    const handleSaveHandles = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/profile/handles`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(handles),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to save handles.');
+            const failed = result.results.filter(r => r.error);
+            if (failed.length > 0) {
+                showNotification(`Could not load history from ${failed.map(r => r.platform).join(', ')}. Check the handle.`, 'error');
+            } else {
+                showNotification('Handles saved and history synced!', 'success');
+            }
+            await loadProfile();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (!profile) {
+        return <div className="flex justify-center items-center py-20"><LoaderCircle className="animate-spin text-purple-500" size={48} /></div>;
+    }
+
+    const byPlatform = profile.participations.reduce((groups, p) => {
+        (groups[p.platform] = groups[p.platform] || []).push(p);
+        return groups;
+    }, {});
+    const inputClass = 'bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-white text-sm rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 block w-full p-2.5';
+
+    return (
+        <div className="space-y-8">
+            <form onSubmit={handleSaveHandles} className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-5 flex flex-col sm:flex-row gap-3 sm:items-end">
+                {[['codeforces', 'Codeforces'], ['leetcode', 'LeetCode'], ['atcoder', 'AtCoder']].map(([key, label]) => (
+                    <label key={key} className="block text-sm font-medium w-full">
+                        <span className="block mb-1.5 text-gray-600 dark:text-gray-300">{label} handle</span>
+                        <input type="text" value={handles[key]} onChange={(e) => setHandles(prev => ({ ...prev, [key]: e.target.value }))} className={inputClass} />
+                    </label>
+                ))}
+                <button type="submit" disabled={isSaving} className="text-sm px-4 py-2.5 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black disabled:opacity-60 flex-shrink-0">
+                    {isSaving ? 'Syncing...' : 'Save & sync'}
+                </button>
+            </form>
+
+            {Object.keys(byPlatform).length === 0 ? (
+                <p className="text-gray-500 dark:text-gray-400 text-center py-10">Link a handle to see your rating history.</p>
+            ) : (
+                <>
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {Object.entries(byPlatform).map(([platform, participations]) => (
+                            <RatingChart key={platform} platform={platform} participations={participations} color={ratingColors[platform] || '#a855f7'} />
+                        ))}
+                    </div>
+                    <div className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-800">
+                                <tr><th className="p-3">Date</th><th className="p-3">Contest</th><th className="p-3">Platform</th><th className="p-3">Rank</th><th className="p-3">Rating</th></tr>
+                            </thead>
+                            <tbody>
+                                {[...profile.participations].reverse().map(p => {
+                                    const change = p.newRating - p.oldRating;
+                                    return (
+                                        <tr key={`${p.platform}-${p.contestName}-${p.date}`} className="border-b border-gray-100 dark:border-gray-800 last:border-0">
+                                            <td className="p-3 whitespace-nowrap">{new Date(p.date).toLocaleDateString(timePrefs.locale, { timeZone: timePrefs.timeZone })}</td>
+                                            <td className="p-3">{p.contestName}</td>
+                                            <td className="p-3">{p.platform}</td>
+                                            <td className="p-3">#{p.rank}</td>
+                                            <td className="p-3 whitespace-nowrap">{p.newRating} <span className={change >= 0 ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-500'}>({change >= 0 ? '+' : ''}{change})</span></td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ProfilePage;
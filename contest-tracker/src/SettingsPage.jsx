@@ -0,0 +1,463 @@
+import { useState, useMemo, useEffect } from 'react';
+import { getBrowserTimePrefs } from './time.js';
+import { API_BASE_URL } from './api.js';
+import { Calendar, ChevronDown, XCircle, Bell } from 'lucide-react';
+
+// Converts the server's base64url VAPID key into the format PushManager expects
+const urlBase64ToUint8Array = (base64String) => {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(window.atob(base64), c => c.charCodeAt(0));
+};
+
+// PushToggle Component: Subscribes this browser to Web Push notifications
+const PushToggle = ({ showNotification }) => {
+    const isSupported = 'serviceWorker' in navigator && 'PushManager' in window;
+    const [subscription, setSubscription] = useState(null);
+    const [isWorking, setIsWorking] = useState(false);
+
+    useEffect(() => {
+        if (!isSupported) return;
+        navigator.serviceWorker.getRegistration('/sw.js')
+            .then(registration => registration?.pushManager.getSubscription())
+            .then(existing => setSubscription(existing || null));
+    }, [isSupported]);
+
+    const enable = async () => {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') throw new Error('Notifications are blocked for this site.');
+        const keyRes = await fetch(`${API_BASE_URL}/api/push/public-key`);
+        const keyData = await keyRes.json();
+        if (!keyRes.ok) throw new Error(keyData.message);
+        const registration = await navigator.serviceWorker.register('/sw.js');
+        await navigator.serviceWorker.ready;
+        const newSubscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(keyData.publicKey),
+        });
+        const response = await fetch(`${API_BASE_URL}/api/push/subscriptions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(newSubscription),
+            credentials: 'include',
+        });
+        if (!response.ok) throw new Error('Failed to save the subscription.');
+        setSubscription(newSubscription);
+        showNotification('Browser notifications enabled!', 'success');
+    };
+
+    const disable = async () => {
+        await fetch(`${API_BASE_URL}/api/push/subscriptions`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: subscription.endpoint }),
+            credentials: 'include',
+        });
+        await subscription.unsubscribe();
+        setSubscription(null);
+        showNotification('Browser notifications disabled.', 'success');
+    };
+
+    const handleClick = async () => {
+        setIsWorking(true);
+        try {
+            await (subscription ? disable() : enable());
+        } catch (error) {
+            showNotification(error.message || 'Could not update browser notifications.', 'error');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    if (!isSupported) {
+        return <p className="text-sm text-gray-500 dark:text-gray-400">This browser does not support push notifications.</p>;
+    }
+
+    return (
+        <button type="button" onClick={handleClick} disabled={isWorking} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 disabled:opacity-60">
+            {isWorking ? 'Working...' : subscription ? 'Disable on this browser' : 'Enable on this browser'}
+        </button>
+    );
+};
+
+// SettingsPage Component: Per-user preferences for calendar, reminders and notifications
+const SettingsPage = ({ user, setUser, showNotification, platformOptions }) => {
+    const [calendars, setCalendars] = useState([]);
+    const [calendarId, setCalendarId] = useState(user.calendarSettings?.calendarId || 'primary');
+    const [reminders, setReminders] = useState((user.calendarSettings?.reminderMinutes || [60, 1440]).join(', '));
+    const [isSaving, setIsSaving] = useState(false);
+    const [timezone, setTimezone] = useState(user.timezone || getBrowserTimePrefs().timeZone);
+    const [locale, setLocale] = useState(user.locale || getBrowserTimePrefs().locale);
+    const [rulePlatform, setRulePlatform] = useState('');
+    const [ruleName, setRuleName] = useState('');
+    const [feedPlatform, setFeedPlatform] = useState('');
+    const [feeds, setFeeds] = useState([]);
+    const [reminderOffsets, setReminderOffsets] = useState('30');
+    const [emailEnabled, setEmailEnabled] = useState(false);
+    const [emailAddress, setEmailAddress] = useState('');
+    const [webhooks, setWebhooks] = useState([]);
+    const [minGapMinutes, setMinGapMinutes] = useState(String(user.schedulePreferences?.minGapMinutes ?? 15));
+    const [platformPriority, setPlatformPriority] = useState(user.schedulePreferences?.platformPriority || []);
+
+    useEffect(() => {
+        const fetchCalendars = async () => {
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/calendar/calendars`, { credentials: 'include' });
+                if (response.ok) setCalendars(await response.json());
+            } catch (error) {
+                console.error('Failed to load calendars:', error);
+            }
+        };
+        fetchCalendars();
+    }, []);
+
+    // Feed tokens and webhook URLs are secrets, so they are not part of the user object
+    useEffect(() => {
+        const fetchPrivateSettings = async () => {
+            try {
+                const [feedsResponse, remindersResponse] = await Promise.all([
+                    fetch(`${API_BASE_URL}/api/feeds`, { credentials: 'include' }),
+                    fetch(`${API_BASE_URL}/api/reminders/settings`, { credentials: 'include' }),
+                ]);
+                if (feedsResponse.ok) setFeeds(await feedsResponse.json());
+                if (remindersResponse.ok) {
+                    const settings = await remindersResponse.json();
+                    setReminderOffsets(settings.minutesBefore.join(', '));
+                    setEmailEnabled(settings.email.enabled);
+                    setEmailAddress(settings.email.address);
+                    setWebhooks(settings.webhooks.map(({ url, format }) => ({ url, format })));
+                }
+            } catch (error) {
+                console.error('Failed to load feeds and reminder settings:', error);
+            }
+        };
+        fetchPrivateSettings();
+    }, []);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const reminderMinutes = reminders.split(',').map(r => r.trim()).filter(Boolean).map(Number);
+        setIsSaving(true);
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/calendar/settings`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ calendarId, reminderMinutes }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to save settings.');
+            setUser(prev => ({ ...prev, calendarSettings: result }));
+            showNotification('Settings saved!', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSavePreferences = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/user/preferences`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ timezone, locale }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to save preferences.');
+            setUser(prev => ({ ...prev, ...result }));
+            showNotification('Time preferences saved!', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const handleAddRule = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/calendar/auto-sync-rules`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ platform: rulePlatform, nameContains: ruleName }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to add rule.');
+            setUser(prev => ({ ...prev, autoSyncRules: result }));
+            setRulePlatform('');
+            setRuleName('');
+            showNotification('Auto-sync rule added!', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const handleDeleteRule = async (ruleId) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/calendar/auto-sync-rules/${ruleId}`, { method: 'DELETE', credentials: 'include' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to delete rule.');
+            setUser(prev => ({ ...prev, autoSyncRules: result }));
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const handleCreateFeed = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/feeds`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ platforms: feedPlatform ? [feedPlatform] : [] }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to create feed.');
+            setFeeds(result);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const handleRevokeFeed = async (token) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/feeds/${token}`, { method: 'DELETE', credentials: 'include' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to revoke feed.');
+            setFeeds(result);
+            showNotification('Feed revoked. Subscriptions using it will stop updating.', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const copyToClipboard = async (text) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            showNotification('Feed URL copied!', 'success');
+        } catch {
+            showNotification('Could not copy the URL.', 'error');
+        }
+    };
+
+    const handleSaveReminders = async () => {
+        const minutesBefore = reminderOffsets.split(',').map(r => r.trim()).filter(Boolean).map(Number);
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/reminders/settings`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    minutesBefore,
+                    email: { enabled: emailEnabled, address: emailAddress },
+                    webhooks: webhooks.filter(w => w.url.trim())
+                }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to save reminders.');
+            showNotification('Reminder settings saved!', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const handleTestReminders = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/reminders/test`, { method: 'POST', credentials: 'include' });
+            const results = await response.json();
+            if (!response.ok) throw new Error(results.message || 'Failed to send test reminders.');
+            if (results.length === 0) {
+                showNotification('Save at least one reminder channel first.', 'error');
+            }
+            results.forEach(r => showNotification(
+                r.ok ? `Test ${r.channel} sent to ${r.target}.` : `Test ${r.channel} to ${r.target} failed: ${r.error}`,
+                r.ok ? 'success' : 'error'
+            ));
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const handleSaveSchedulePreferences = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/schedule/preferences`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ minGapMinutes: Number(minGapMinutes), platformPriority }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to save schedule preferences.');
+            setUser(prev => ({ ...prev, schedulePreferences: result }));
+            showNotification('Schedule preferences saved!', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const movePlatform = (index, offset) => {
+        setPlatformPriority(prev => {
+            const next = [...prev];
+            [next[index], next[index + offset]] = [next[index + offset], next[index]];
+            return next;
+        });
+    };
+
+    const updateWebhook = (index, changes) => {
+        setWebhooks(prev => prev.map((w, i) => i === index ? { ...w, ...changes } : w));
+    };
+
+    const publicFeedUrl = `${API_BASE_URL}/api/feeds/public.ics${feedPlatform ? `?platforms=${encodeURIComponent(feedPlatform)}` : ''}`;
+
+    const timeZones = useMemo(() => {
+        const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+        return zones.includes(timezone) ? zones : [timezone, ...zones];
+    }, [timezone]);
+
+    const inputClass = 'bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-white text-sm rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 block w-full p-2.5';
+
+    return (
+        <form onSubmit={handleSave} className="max-w-xl mx-auto bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-6 space-y-5">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Time & language</h3>
+            <div className="flex flex-col sm:flex-row gap-2">
+                <label className="block text-sm font-medium w-full">
+                    <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Timezone</span>
+                    <select value={timezone} onChange={(e) => setTimezone(e.target.value)} className={inputClass}>
+                        {timeZones.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+                    </select>
+                </label>
+                <label className="block text-sm font-medium w-full">
+                    <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Locale</span>
+                    <input type="text" value={locale} onChange={(e) => setLocale(e.target.value)} placeholder="en-US" className={inputClass} />
+                </label>
+            </div>
+            <button type="button" onClick={handleSavePreferences} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black">Save time preferences</button>
+
+            <div className="pt-5 border-t border-gray-200 dark:border-gray-800" />
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2"><Calendar size={18} /> Google Calendar</h3>
+            <label className="block text-sm font-medium">
+                <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Add contests to</span>
+                <select value={calendarId} onChange={(e) => setCalendarId(e.target.value)} className={inputClass}>
+                    {calendars.length === 0 && <option value={calendarId}>{calendarId === 'primary' ? 'Primary calendar' : calendarId}</option>}
+                    {calendars.map(c => <option key={c.id} value={c.primary ? 'primary' : c.id}>{c.summary}{c.primary ? ' (primary)' : ''}</option>)}
+                </select>
+            </label>
+            <label className="block text-sm font-medium">
+                <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Reminders (minutes before start, comma separated)</span>
+                <input type="text" value={reminders} onChange={(e) => setReminders(e.target.value)} placeholder="60, 1440" className={inputClass} />
+            </label>
+            <button type="submit" disabled={isSaving} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black disabled:opacity-60">
+                {isSaving ? 'Saving...' : 'Save settings'}
+            </button>
+
+            <div className="pt-5 border-t border-gray-200 dark:border-gray-800 space-y-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-white">Auto-sync rules</h4>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Matching upcoming contests are added to your calendar every hour.</p>
+                {(user.autoSyncRules || []).map(rule => (
+                    <div key={rule._id} className="flex justify-between items-center text-sm bg-gray-100 dark:bg-gray-800 rounded-md px-3 py-2">
+                        <span>{rule.platform || 'Any platform'}{rule.nameContains && <> whose name contains <strong>"{rule.nameContains}"</strong></>}</span>
+                        <button type="button" onClick={() => handleDeleteRule(rule._id)} className="text-gray-500 hover:text-red-500" title="Delete rule"><XCircle size={16} /></button>
+                    </div>
+                ))}
+                <div className="flex flex-col sm:flex-row gap-2">
+                    <select value={rulePlatform} onChange={(e) => setRulePlatform(e.target.value)} className={inputClass}>
+                        <option value="">Any platform</option>
+                        {platformOptions.filter(o => o.value !== 'All Platforms').map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                    <input type="text" value={ruleName} onChange={(e) => setRuleName(e.target.value)} placeholder="Name contains, e.g. Div. 2" className={inputClass} />
+                    <button type="button" onClick={handleAddRule} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 flex-shrink-0">Add rule</button>
+                </div>
+            </div>
+
+            <div className="pt-5 border-t border-gray-200 dark:border-gray-800 space-y-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-white flex items-center gap-2"><Bell size={16} /> Reminders</h4>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Get an email or a webhook message before your bookmarked contests start.</p>
+                <label className="block text-sm font-medium">
+                    <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Remind me (minutes before start, comma separated)</span>
+                    <input type="text" value={reminderOffsets} onChange={(e) => setReminderOffsets(e.target.value)} placeholder="30" className={inputClass} />
+                </label>
+                <div className="flex items-center gap-3">
+                    <label className="flex items-center gap-2 text-sm flex-shrink-0">
+                        <input type="checkbox" checked={emailEnabled} onChange={(e) => setEmailEnabled(e.target.checked)} className="accent-purple-600" /> Email
+                    </label>
+                    <input type="email" value={emailAddress} onChange={(e) => setEmailAddress(e.target.value)} placeholder="you@example.com" disabled={!emailEnabled} className={`${inputClass} disabled:opacity-60`} />
+                </div>
+                {webhooks.map((webhook, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                        <select value={webhook.format} onChange={(e) => updateWebhook(index, { format: e.target.value })} className={`${inputClass} sm:w-32 flex-shrink-0`}>
+                            <option value="generic">Generic</option>
+                            <option value="discord">Discord</option>
+                            <option value="slack">Slack</option>
+                        </select>
+                        <input type="url" value={webhook.url} onChange={(e) => updateWebhook(index, { url: e.target.value })} placeholder="https://hooks.example.com/..." className={inputClass} />
+                        <button type="button" onClick={() => setWebhooks(prev => prev.filter((_, i) => i !== index))} className="text-gray-500 hover:text-red-500" title="Remove webhook"><XCircle size={16} /></button>
+                    </div>
+                ))}
+                <div className="flex flex-wrap gap-2">
+                    <button type="button" onClick={() => setWebhooks(prev => [...prev, { url: '', format: 'generic' }])} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200">Add webhook</button>
+                    <button type="button" onClick={handleSaveReminders} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black">Save reminders</button>
+                    <button type="button" onClick={handleTestReminders} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200">Send test</button>
+                </div>
+            </div>
+
+            <div className="pt-5 border-t border-gray-200 dark:border-gray-800 space-y-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-white">Schedule conflicts</h4>
+                <p className="text-sm text-gray-500 dark:text-gray-400">You are warned when bookmarked or calendar contests overlap or leave too little time in between. When two clash, the platform higher in this list is suggested.</p>
+                <label className="block text-sm font-medium">
+                    <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Minimum gap between contests (minutes)</span>
+                    <input type="number" min="0" max="720" value={minGapMinutes} onChange={(e) => setMinGapMinutes(e.target.value)} className={inputClass} />
+                </label>
+                {platformPriority.map((platform, index) => (
+                    <div key={platform} className="flex justify-between items-center text-sm bg-gray-100 dark:bg-gray-800 rounded-md px-3 py-2">
+                        <span>{index + 1}. {platform}</span>
+                        <span className="flex items-center gap-2">
+                            <button type="button" disabled={index === 0} onClick={() => movePlatform(index, -1)} className="text-gray-500 hover:text-gray-900 dark:hover:text-white disabled:opacity-30" title="Move up"><ChevronDown size={16} className="rotate-180" /></button>
+                            <button type="button" disabled={index === platformPriority.length - 1} onClick={() => movePlatform(index, 1)} className="text-gray-500 hover:text-gray-900 dark:hover:text-white disabled:opacity-30" title="Move down"><ChevronDown size={16} /></button>
+                            <button type="button" onClick={() => setPlatformPriority(prev => prev.filter(p => p !== platform))} className="text-gray-500 hover:text-red-500" title="Remove platform"><XCircle size={16} /></button>
+                        </span>
+                    </div>
+                ))}
+                <div className="flex flex-col sm:flex-row gap-2">
+                    <select value="" onChange={(e) => e.target.value && setPlatformPriority(prev => [...prev, e.target.value])} className={inputClass}>
+                        <option value="">Add a preferred platform...</option>
+                        {platformOptions.filter(o => o.value !== 'All Platforms' && !platformPriority.includes(o.value)).map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                    <button type="button" onClick={handleSaveSchedulePreferences} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black flex-shrink-0">Save schedule preferences</button>
+                </div>
+            </div>
+
+            <div className="pt-5 border-t border-gray-200 dark:border-gray-800 space-y-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-white">Browser notifications</h4>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Get notified when a bookmarked contest starts or its solution video is found, even with the site closed.</p>
+                <PushToggle showNotification={showNotification} />
+            </div>
+
+            <div className="pt-5 border-t border-gray-200 dark:border-gray-800 space-y-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-white">Calendar feeds (.ics)</h4>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Subscribe from Outlook, Apple Calendar or any other calendar app. Your private feeds list your bookmarks; revoke a feed to stop sharing it.</p>
+                {feeds.map(feed => {
+                    const feedUrl = `${API_BASE_URL}/api/feeds/${feed.token}.ics`;
+                    return (
+                        <div key={feed.token} className="flex justify-between items-center gap-3 text-sm bg-gray-100 dark:bg-gray-800 rounded-md px-3 py-2">
+                            <span className="truncate">{feed.platforms.length > 0 ? `Bookmarks on ${feed.platforms.join(', ')}` : 'All bookmarks'}</span>
+                            <div className="flex items-center gap-3 flex-shrink-0">
+                                <button type="button" onClick={() => copyToClipboard(feedUrl)} className="text-purple-600 dark:text-purple-400 hover:underline">Copy URL</button>
+                                <button type="button" onClick={() => handleRevokeFeed(feed.token)} className="text-gray-500 hover:text-red-500" title="Revoke feed"><XCircle size={16} /></button>
+                            </div>
+                        </div>
+                    );
+                })}
+                <div className="flex flex-col sm:flex-row gap-2">
+                    <select value={feedPlatform} onChange={(e) => setFeedPlatform(e.target.value)} className={inputClass}>
+                        <option value="">All platforms</option>
+                        {platformOptions.filter(o => o.value !== 'All Platforms').map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                    <button type="button" onClick={handleCreateFeed} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 flex-shrink-0">New private feed</button>
+                    <button type="button" onClick={() => copyToClipboard(publicFeedUrl)} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 flex-shrink-0">Copy public feed</button>
+                </div>
+            </div>
+        </form>
+    );
+};
+
+export default SettingsPage;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { formatContestTime } from './time.js';
+import { API_BASE_URL } from './api.js';
+import { LoaderCircle, AlertTriangle } from 'lucide-react';
+
+const runStatusClasses = {
+    success: 'bg-emerald-500',
+    partial: 'bg-amber-500',
+    failed: 'bg-red-500',
+};
+
+const formatStats = (stats = {}) => Object.entries(stats).map(([key, value]) => `${value} ${key}`).join(' · ');
+
+// StatusPage Component: Recent scheduled job runs, per-source health and alerts, for admins
+const StatusPage = ({ showNotification, timePrefs }) => {
+    const [report, setReport] = useState(null);
+    const [scheduledJobs, setScheduledJobs] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    const loadReport = React.useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const [healthResponse, jobsResponse] = await Promise.all([
+                fetch(`${API_BASE_URL}/api/admin/health`, { credentials: 'include' }),
+                fetch(`${API_BASE_URL}/api/admin/jobs`, { credentials: 'include' }),
+            ]);
+            const result = await healthResponse.json();
+            if (!healthResponse.ok) throw new Error(result.message || 'Failed to load job health.');
+            setReport(result);
+            if (jobsResponse.ok) setScheduledJobs(await jobsResponse.json());
+        } catch (error) {
+            showNotification(error.message, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [showNotification]);
+
+    useEffect(() => { loadReport(); }, [loadReport]);
+
+    const runJob = async (name) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/admin/jobs/${name}/run`, { method: 'POST', credentials: 'include' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to start the job.');
+            showNotification(result.message, 'success');
+            loadReport();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    if (isLoading && !report) {
+        return <div className="flex justify-center items-center h-64"><LoaderCircle className="animate-spin text-purple-500" size={48} /></div>;
+    }
+    if (!report) return null;
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-8">
+            <div className="flex justify-end">
+                <button onClick={loadReport} disabled={isLoading} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-60">{isLoading ? 'Refreshing...' : 'Refresh'}</button>
+            </div>
+
+            {report.alerts.length > 0 && (
+                <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-6 space-y-2">
+                    <h3 className="flex items-center gap-2 text-lg font-semibold text-red-700 dark:text-red-300"><AlertTriangle size={18} /> Recent alerts</h3>
+                    {report.alerts.map((alert, i) => (
+                        <p key={i} className="text-sm text-red-700 dark:text-red-300"><span className="text-xs opacity-75">{formatContestTime(alert.at, timePrefs)}</span> · {alert.message}</p>
+                    ))}
+                </div>
+            )}
+
+            {scheduledJobs.length > 0 && (
+                <div className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-6 space-y-3">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Scheduled jobs</h3>
+                    <div className="divide-y divide-gray-200 dark:divide-gray-800">
+                        {scheduledJobs.map(job => {
+                            const isRunning = job.lockedUntil && new Date(job.lockedUntil) > new Date();
+                            return (
+                                <div key={job.name} className="py-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-sm">
+                                    <div className="min-w-0">
+                                        <p className="font-medium text-gray-900 dark:text-white">{job.name}</p>
+                                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                                            {isRunning ? `Running on ${job.lockedBy}` : job.lastRunAt ? `Last run ${formatContestTime(job.lastRunAt, timePrefs)}: ${job.lastStatus || 'unknown'}` : 'Never run'}
+                                            {job.nextRunAt && ` · next ${formatContestTime(job.nextRunAt, timePrefs)}`}
+                                        </p>
+                                        {job.lastError && <p className="text-xs text-red-600 dark:text-red-400">{job.lastError}</p>}
+                                    </div>
+                                    <button onClick={() => runJob(job.name)} disabled={isRunning} className="text-xs px-3 py-1.5 rounded-md font-semibold bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-60 flex-shrink-0">Run now</button>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            <div className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-6 space-y-3">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Contest sources</h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Admins are alerted when a source fails {report.failureThreshold} runs in a row or suddenly returns no contests.</p>
+                <div className="divide-y divide-gray-200 dark:divide-gray-800">
+                    {report.platforms.map(platform => (
+                        <div key={platform.id} className="py-3 flex flex-col sm:flex-row sm:items-center justify-between gap-1 text-sm">
+                            <div className="flex items-center gap-2">
+                                <span className={`w-2.5 h-2.5 rounded-full ${platform.status === 'healthy' ? 'bg-emerald-500' : platform.status === 'failing' ? 'bg-red-500' : 'bg-gray-400'}`}></span>
+                                <span className="font-medium text-gray-900 dark:text-white">{platform.name}</span>
+                            </div>
+                            <div className="text-xs text-gray-500 dark:text-gray-400 sm:text-right">
+                                {platform.status === 'failing' ? (
+                                    <span className="text-red-600 dark:text-red-400">{platform.consecutiveFailures} failed run{platform.consecutiveFailures === 1 ? '' : 's'}: {platform.lastError}</span>
+                                ) : (
+                                    <span>{platform.lastCount} contests{platform.lastLatencyMs !== null ? ` in ${platform.lastLatencyMs} ms` : ''}</span>
+                                )}
+                                {platform.lastSuccessAt && <span> · last success {formatContestTime(platform.lastSuccessAt, timePrefs)}</span>}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {report.jobs.map(({ job, label, runs }) => (
+                <div key={job} className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-6 space-y-3">
+                    <div className="flex justify-between items-center gap-2">
+                        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{label}</h3>
+                        <div className="flex gap-1" title="Oldest to newest">
+                            {[...runs].reverse().map(run => <span key={run._id} title={`${run.status} at ${formatContestTime(run.startedAt, timePrefs)}`} className={`w-2 h-4 rounded-sm ${runStatusClasses[run.status]}`}></span>)}
+                        </div>
+                    </div>
+                    {runs.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">No runs recorded yet.</p>
+                    ) : (
+                        <div className="divide-y divide-gray-200 dark:divide-gray-800 text-sm">
+                            {runs.slice(0, 5).map(run => (
+                                <div key={run._id} className="py-2 space-y-1">
+                                    <div className="flex flex-wrap justify-between gap-2">
+                                        <span className="text-gray-900 dark:text-white">{formatContestTime(run.startedAt, timePrefs)} · <span className="capitalize">{run.status}</span> · {run.durationMs} ms</span>
+                                        <span className="text-xs text-gray-500 dark:text-gray-400">{formatStats(run.stats)}</span>
+                                    </div>
+                                    {run.error && <p className="text-xs text-red-600 dark:text-red-400">{run.error}</p>}
+                                    {run.sources.length > 0 && (
+                                        <div className="flex flex-wrap gap-1.5">
+                                            {run.sources.map(source => (
+                                                <span key={source.name} title={source.error || ''} className={`text-xs px-2 py-0.5 rounded-full ${source.ok ? 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300' : 'bg-red-100 dark:bg-red-900/50 text-red-700 dark:text-red-300'}`}>
+                                                    {source.name}: {source.count}{source.failures > 0 ? `, ${source.failures}/${source.calls} failed` : ''} · {source.latencyMs} ms
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default StatusPage;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { formatContestTime } from './time.js';
+import { API_BASE_URL } from './api.js';
+import { emptyContestForm } from './contestForm.js';
+
+const submissionStatusClasses = {
+    pending: 'bg-amber-100 dark:bg-amber-900/50 text-amber-700 dark:text-amber-300',
+    approved: 'bg-emerald-100 dark:bg-emerald-900/50 text-emerald-700 dark:text-emerald-300',
+    rejected: 'bg-red-100 dark:bg-red-900/50 text-red-700 dark:text-red-300',
+};
+
+// SubmitContestPage Component: Suggest a contest for the tracker and follow its review
+const SubmitContestPage = ({ showNotification, platformOptions, timePrefs }) => {
+    const [form, setForm] = useState(emptyContestForm);
+    const [submissions, setSubmissions] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const loadSubmissions = React.useCallback(async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/submissions/mine`, { credentials: 'include' });
+            if (response.ok) setSubmissions(await response.json());
+        } catch (error) {
+            console.error('Failed to load submissions:', error);
+        }
+    }, []);
+
+    useEffect(() => { loadSubmissions(); }, [loadSubmissions]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/submissions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...form, startTime: new Date(form.startTime).toISOString(), endTime: new Date(form.endTime).toISOString() }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to submit contest.');
+            showNotification('Thanks! Your contest will appear once a moderator approves it.', 'success');
+            setForm(emptyContestForm);
+            loadSubmissions();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const inputClass = 'bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-white text-sm rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 block w-full p-2.5';
+
+    return (
+        <div className="max-w-xl mx-auto space-y-8">
+            <form onSubmit={handleSubmit} className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-6 space-y-4">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Submit a contest</h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400">College contests, ICPC regionals, hiring challenges: anything the tracker does not pick up yet. A moderator reviews every submission.</p>
+                <input type="text" required value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Contest name" className={inputClass} />
+                <input type="text" required list="submit-platforms" value={form.platform} onChange={(e) => setForm({ ...form, platform: e.target.value })} placeholder="Platform or organiser" className={inputClass} />
+                <datalist id="submit-platforms">
+                    {platformOptions.filter(o => o.value !== 'All Platforms').map(o => <option key={o.value} value={o.value} />)}
+                </datalist>
+                <input type="url" required value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })} placeholder="https://..." className={inputClass} />
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <label className="block text-sm font-medium">
+                        <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Starts (your local time)</span>
+                        <input type="datetime-local" required value={form.startTime} onChange={(e) => setForm({ ...form, startTime: e.target.value })} className={inputClass} />
+                    </label>
+                    <label className="block text-sm font-medium">
+                        <span className="block mb-1.5 text-gray-600 dark:text-gray-300">Ends (your local time)</span>
+                        <input type="datetime-local" required value={form.endTime} onChange={(e) => setForm({ ...form, endTime: e.target.value })} className={inputClass} />
+                    </label>
+                </div>
+                <button type="submit" disabled={isSubmitting} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-900 dark:bg-white text-white dark:text-black disabled:opacity-60">{isSubmitting ? 'Submitting...' : 'Submit for review'}</button>
+            </form>
+
+            {submissions.length > 0 && (
+                <div className="space-y-3">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Your submissions</h3>
+                    {submissions.map(submission => (
+                        <div key={submission._id} className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-4 text-sm">
+                            <div className="flex justify-between items-start gap-2">
+                                <div className="min-w-0">
+                                    <p className="font-medium text-gray-900 dark:text-white truncate">{submission.name}</p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">{submission.platform} · {formatContestTime(submission.startTime, timePrefs)}</p>
+                                </div>
+                                <span className={`text-xs px-2 py-1 rounded-full font-medium capitalize flex-shrink-0 ${submissionStatusClasses[submission.status]}`}>{submission.status}</span>
+                            </div>
+                            {submission.reviewNote && <p className="mt-2 text-gray-600 dark:text-gray-300">Moderator: {submission.reviewNote}</p>}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SubmitContestPage;
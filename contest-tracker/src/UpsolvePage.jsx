@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { formatContestTime } from './time.js';
+import { API_BASE_URL } from './api.js';
+import { LoaderCircle, Youtube, BookOpen } from 'lucide-react';
+
+const upsolveStatusOptions = [
+    { value: 'todo', label: 'To do' },
+    { value: 'solved', label: 'Solved in contest' },
+    { value: 'upsolved', label: 'Upsolved' },
+];
+
+// UpsolvePage Component: Problems of past contests still left to solve
+const UpsolvePage = ({ user, showNotification, timePrefs }) => {
+    const [list, setList] = useState(null);
+    const [showCompleted, setShowCompleted] = useState(false);
+    const [isSyncing, setIsSyncing] = useState(false);
+
+    useEffect(() => {
+        const fetchList = async () => {
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/upsolve`, { credentials: 'include' });
+                if (!response.ok) throw new Error('Failed to load your upsolve list.');
+                setList(await response.json());
+            } catch (error) {
+                showNotification(error.message, 'error');
+                setList([]);
+            }
+        };
+        fetchList();
+    }, [showNotification]);
+
+    const handleStatusChange = async (contestId, problemIndex, status) => {
+        const previous = list;
+        setList(prev => prev.map(entry => entry.contest._id !== contestId ? entry : {
+            ...entry,
+            problems: entry.problems.map(p => p.index === problemIndex ? { ...p, status } : p)
+        }));
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/upsolve/${contestId}/${encodeURIComponent(problemIndex)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status }),
+                credentials: 'include',
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to update status.');
+        } catch (error) {
+            setList(previous);
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const handleSync = async () => {
+        setIsSyncing(true);
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/upsolve/sync`, { method: 'POST', credentials: 'include' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Failed to sync submissions.');
+            setList(result.list);
+            showNotification(result.updated > 0 ? `Updated ${result.updated} problems from Codeforces.` : 'Already up to date.', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        } finally {
+            setIsSyncing(false);
+        }
+    };
+
+    if (!list) {
+        return <div className="flex justify-center items-center py-20"><LoaderCircle className="animate-spin text-purple-500" size={48} /></div>;
+    }
+
+    const visible = list
+        .map(entry => ({ ...entry, problems: showCompleted ? entry.problems : entry.problems.filter(p => p.status === 'todo') }))
+        .filter(entry => entry.problems.length > 0);
+    const pendingCount = list.reduce((count, entry) => count + entry.problems.filter(p => p.status === 'todo').length, 0);
+
+    return (
+        <div className="max-w-3xl mx-auto space-y-6">
+            <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
+                <p className="text-sm text-gray-500 dark:text-gray-400">{pendingCount} problems left across the contests you took part in or bookmarked.</p>
+                <div className="flex items-center gap-4">
+                    <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                        <input type="checkbox" checked={showCompleted} onChange={(e) => setShowCompleted(e.target.checked)} className="rounded text-purple-600 focus:ring-purple-500" /> Show completed
+                    </label>
+                    {user.handles?.codeforces && (
+                        <button onClick={handleSync} disabled={isSyncing} className="text-sm px-4 py-2 rounded-md font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 disabled:opacity-60">
+                            {isSyncing ? 'Syncing...' : 'Sync from Codeforces'}
+                        </button>
+                    )}
+                </div>
+            </div>
+            {visible.length === 0 ? (
+                <p className="text-gray-500 dark:text-gray-400 text-center py-10">{list.length === 0 ? 'Take part in or bookmark a past contest to start upsolving.' : 'Nothing left to upsolve. Nice work!'}</p>
+            ) : visible.map(({ contest, problems }) => (
+                <div key={contest._id} className="bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-800 rounded-lg p-5">
+                    <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-2 mb-3">
+                        <div>
+                            <a href={contest.url} target="_blank" rel="noopener noreferrer" className="font-semibold text-gray-900 dark:text-white hover:text-purple-600 dark:hover:text-purple-400">{contest.name}</a>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">{contest.platform} · {formatContestTime(contest.startTime, timePrefs)}</p>
+                        </div>
+                        <div className="flex items-center gap-4 text-sm font-medium">
+                            {contest.editorialUrl && <a href={contest.editorialUrl} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1.5 text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"><BookOpen size={16} /> Editorial</a>}
+                            {contest.solutionUrl && <a href={`https://www.youtube.com/watch?v=${contest.solutionUrl}`} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1.5 text-red-500 hover:text-red-600"><Youtube size={16} /> Solution</a>}
+                        </div>
+                    </div>
+                    <ul className="divide-y divide-gray-100 dark:divide-gray-800">
+                        {problems.map(problem => (
+                            <li key={problem.index} className="flex justify-between items-center gap-3 py-2 text-sm">
+                                <a href={problem.url} target="_blank" rel="noopener noreferrer" className="truncate text-gray-700 dark:text-gray-200 hover:text-purple-600 dark:hover:text-purple-400">
+                                    <span className="font-semibold">{problem.index}.</span> {problem.name}
+                                    {(problem.rating || problem.difficulty) && <span className="ml-2 text-xs text-gray-400">{problem.rating || problem.difficulty}</span>}
+                                </a>
+                                <select value={problem.status} onChange={(e) => handleStatusChange(contest._id, problem.index, e.target.value)} className="flex-shrink-0 bg-white dark:bg-[#1e1e1e] border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-white text-xs rounded-md p-1.5 focus:ring-2 focus:ring-purple-500 focus:border-purple-500">
+                                    {upsolveStatusOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                                </select>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default UpsolvePage;
@@ -0,0 +1,2 @@
+// Base URL of the backend, from VITE_API_BASE_URL
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
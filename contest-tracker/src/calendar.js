@@ -0,0 +1,91 @@
+import { getZonedDateParts, getZonedDayStart } from './time.js';
+
+// Layout helpers for the month, week and timeline views. Pure functions of
+// the contests and the user's timezone.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Monday is the first column of the month and week views
+const weekdayIndex = (year, month, day) => (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+
+// Days shown by a view around `anchor`. Each day has its start and end as
+// instants in the timezone, and `date`, the calendar day at UTC midnight for
+// labelling with `timeZone: 'UTC'`.
+export const getCalendarDays = (view, anchor, timeZone) => {
+    const { year, month, day } = getZonedDateParts(anchor, timeZone);
+    let firstDay = day;
+    let count = 7;
+    if (view === 'month') {
+        const leading = weekdayIndex(year, month, 1);
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        firstDay = 1 - leading;
+        count = Math.ceil((leading + daysInMonth) / 7) * 7;
+    } else if (view === 'week') {
+        firstDay = day - weekdayIndex(year, month, day);
+    }
+    return Array.from({ length: count }, (_, i) => {
+        const date = new Date(Date.UTC(year, month - 1, firstDay + i));
+        return {
+            date,
+            start: getZonedDayStart(timeZone, year, month, firstDay + i),
+            end: getZonedDayStart(timeZone, year, month, firstDay + i + 1),
+            inMonth: date.getUTCMonth() === month - 1,
+        };
+    });
+};
+
+// Anchor for the previous (step -1) or next (step 1) page of a view
+export const shiftCalendarAnchor = (view, anchor, timeZone, step) => {
+    const { year, month, day } = getZonedDateParts(anchor, timeZone);
+    if (view === 'month') return getZonedDayStart(timeZone, year, month + step, 1);
+    return getZonedDayStart(timeZone, year, month, day + 7 * step);
+};
+
+// Contests running longer than a day are long challenges: they are drawn as
+// all-day bars and do not count as clashes.
+export const isLongContest = (contest) => new Date(contest.endTime) - new Date(contest.startTime) > DAY;
+
+const toInterval = (contest, clip) => ({
+    contest,
+    start: Math.max(new Date(contest.startTime).getTime(), clip ? clip.start.getTime() : -Infinity),
+    end: Math.min(new Date(contest.endTime).getTime(), clip ? clip.end.getTime() : Infinity),
+});
+
+// Lays overlapping contests out side by side. Contests that overlap, directly
+// or through a chain of others, form a group; each gets the first free
+// `column` in its group and `columns`, the number the group needs. Every
+// contest in a group of two or more overlaps another one, so it is a conflict.
+// With `clip` ({ start, end }) only the part inside that range is considered.
+export const layoutOverlaps = (contests, clip = null) => {
+    const items = contests.map(contest => toInterval(contest, clip))
+        .filter(item => item.end > item.start)
+        .sort((a, b) => a.start - b.start || b.end - a.end);
+    const laidOut = [];
+    let group = [];
+    let columnEnds = [];
+    let groupEnd = -Infinity;
+
+    const closeGroup = () => {
+        group.forEach(item => laidOut.push({ ...item, columns: columnEnds.length, conflict: group.length > 1 }));
+        group = [];
+        columnEnds = [];
+    };
+
+    items.forEach(item => {
+        if (item.start >= groupEnd) closeGroup();
+        let column = columnEnds.findIndex(end => end <= item.start);
+        if (column === -1) column = columnEnds.length;
+        columnEnds[column] = item.end;
+        groupEnd = group.length === 0 ? item.end : Math.max(groupEnd, item.end);
+        group.push({ ...item, column });
+    });
+    closeGroup();
+    return laidOut;
+};
+
+// Ids of the contests that clash with another one in the list
+export const getConflictIds = (contests) => new Set(
+    layoutOverlaps(contests.filter(c => !isLongContest(c)))
+        .filter(item => item.conflict)
+        .map(item => item.contest._id)
+);
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { getCalendarDays, shiftCalendarAnchor, layoutOverlaps, getConflictIds } from './calendar.js';
+
+const contest = (_id, startTime, endTime) => ({ _id, startTime, endTime });
+
+// Calendar days of a view as 'YYYY-MM-DD' labels
+const labels = (days) => days.map(d => d.date.toISOString().slice(0, 10));
+
+describe('getCalendarDays', () => {
+    it('pads the month view to whole weeks starting on Monday', () => {
+        // October 2025 starts on a Wednesday and ends on a Friday
+        const days = getCalendarDays('month', new Date('2025-10-15T12:00:00Z'), 'UTC');
+        expect(days).toHaveLength(35);
+        expect(labels(days.slice(0, 3))).toEqual(['2025-09-29', '2025-09-30', '2025-10-01']);
+        expect(labels(days.slice(-2))).toEqual(['2025-11-01', '2025-11-02']);
+        expect(days.filter(d => d.inMonth)).toHaveLength(31);
+    });
+
+    it('adds no padding to a month that fills its weeks', () => {
+        const days = getCalendarDays('month', new Date('2021-02-10T12:00:00Z'), 'UTC');
+        expect(days).toHaveLength(28);
+        expect(days.every(d => d.inMonth)).toBe(true);
+    });
+
+    it('takes the month of the anchor in the user\'s timezone', () => {
+        // Still September 30 in Los Angeles
+        const days = getCalendarDays('month', new Date('2025-10-01T03:00:00Z'), 'America/Los_Angeles');
+        expect(days.filter(d => d.inMonth)).toHaveLength(30);
+        expect(labels(days.slice(0, 1))).toEqual(['2025-09-01']);
+    });
+
+    it('gives the day clocks go back its extra hour', () => {
+        // Central European Summer Time ends on Sunday, October 26, 2025
+        const days = getCalendarDays('week', new Date('2025-10-22T10:00:00Z'), 'Europe/Berlin');
+        expect(labels(days)).toEqual(['2025-10-20', '2025-10-21', '2025-10-22', '2025-10-23', '2025-10-24', '2025-10-25', '2025-10-26']);
+        expect(days[0].start).toEqual(new Date('2025-10-19T22:00:00Z'));
+        expect(days[6].start).toEqual(new Date('2025-10-25T22:00:00Z'));
+        expect(days[6].end).toEqual(new Date('2025-10-26T23:00:00Z'));
+        expect(days[6].end - days[6].start).toBe(25 * 60 * 60 * 1000);
+    });
+
+    it('gives the day clocks go forward one hour less', () => {
+        // Eastern Daylight Time starts on Sunday, March 8, 2026
+        const days = getCalendarDays('week', new Date('2026-03-04T15:00:00Z'), 'America/New_York');
+        expect(labels(days.slice(-1))).toEqual(['2026-03-08']);
+        expect(days[6].start).toEqual(new Date('2026-03-08T05:00:00Z'));
+        expect(days[6].end).toEqual(new Date('2026-03-09T04:00:00Z'));
+    });
+});
+
+describe('shiftCalendarAnchor', () => {
+    it('moves a month view to the first of the next or previous month', () => {
+        const anchor = new Date('2025-01-31T12:00:00Z');
+        expect(shiftCalendarAnchor('month', anchor, 'UTC', 1)).toEqual(new Date('2025-02-01T00:00:00Z'));
+        expect(shiftCalendarAnchor('month', anchor, 'UTC', -1)).toEqual(new Date('2024-12-01T00:00:00Z'));
+    });
+
+    it('moves a week view by seven calendar days across a DST change', () => {
+        const anchor = new Date('2025-10-22T10:00:00Z');
+        expect(shiftCalendarAnchor('week', anchor, 'Europe/Berlin', 1)).toEqual(new Date('2025-10-28T23:00:00Z'));
+        expect(shiftCalendarAnchor('week', anchor, 'Europe/Berlin', -1)).toEqual(new Date('2025-10-14T22:00:00Z'));
+    });
+});
+
+describe('layoutOverlaps', () => {
+    it('puts each contest in the first free lane of its group', () => {
+        const laidOut = layoutOverlaps([
+            contest('c', '2025-10-20T12:00:00Z', '2025-10-20T14:00:00Z'),
+            contest('a', '2025-10-20T10:00:00Z', '2025-10-20T12:00:00Z'),
+            contest('b', '2025-10-20T11:00:00Z', '2025-10-20T13:00:00Z'),
+        ]);
+        expect(laidOut.map(({ contest: { _id }, column, columns, conflict }) => ({ _id, column, columns, conflict }))).toEqual([
+            { _id: 'a', column: 0, columns: 2, conflict: true },
+            { _id: 'b', column: 1, columns: 2, conflict: true },
+            // Starts as `a` ends, so it reuses its lane
+            { _id: 'c', column: 0, columns: 2, conflict: true },
+        ]);
+    });
+
+    it('keeps back-to-back contests in separate groups', () => {
+        const laidOut = layoutOverlaps([
+            contest('a', '2025-10-20T10:00:00Z', '2025-10-20T11:00:00Z'),
+            contest('b', '2025-10-20T11:00:00Z', '2025-10-20T12:00:00Z'),
+        ]);
+        expect(laidOut.map(item => [item.column, item.columns, item.conflict])).toEqual([[0, 1, false], [0, 1, false]]);
+    });
+
+    it('only considers the part of a contest inside the clip range', () => {
+        const day = { start: new Date('2025-10-21T00:00:00Z'), end: new Date('2025-10-22T00:00:00Z') };
+        const laidOut = layoutOverlaps([
+            contest('overnight', '2025-10-20T22:00:00Z', '2025-10-21T01:00:00Z'),
+            contest('morning', '2025-10-21T01:00:00Z', '2025-10-21T03:00:00Z'),
+            contest('yesterday', '2025-10-20T10:00:00Z', '2025-10-20T12:00:00Z'),
+        ], day);
+        expect(laidOut.map(item => item.contest._id)).toEqual(['overnight', 'morning']);
+        expect(laidOut[0].start).toBe(day.start.getTime());
+        expect(laidOut.every(item => !item.conflict)).toBe(true);
+    });
+});
+
+describe('getConflictIds', () => {
+    it('returns the contests that overlap another one', () => {
+        const ids = getConflictIds([
+            contest('a', '2025-10-20T10:00:00Z', '2025-10-20T12:00:00Z'),
+            contest('b', '2025-10-20T11:30:00Z', '2025-10-20T13:00:00Z'),
+            contest('c', '2025-10-20T13:00:00Z', '2025-10-20T14:00:00Z'),
+        ]);
+        expect([...ids].sort()).toEqual(['a', 'b']);
+    });
+
+    it('does not count long challenges as clashes', () => {
+        const ids = getConflictIds([
+            contest('long', '2025-10-18T00:00:00Z', '2025-10-28T00:00:00Z'),
+            contest('round', '2025-10-20T10:00:00Z', '2025-10-20T12:00:00Z'),
+        ]);
+        expect(ids.size).toBe(0);
+    });
+});
@@ -0,0 +1,37 @@
+import { useSyncExternalStore } from 'react';
+
+// One shared clock for every live countdown on the page. A single interval
+// runs while at least one component is subscribed, instead of a timer per card.
+
+const TICK_INTERVAL = 1000;
+
+const listeners = new Set();
+let now = Date.now();
+let timer = null;
+
+const tick = () => {
+    now = Date.now();
+    listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+    listeners.add(listener);
+    if (!timer) {
+        now = Date.now();
+        timer = setInterval(tick, TICK_INTERVAL);
+    }
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+};
+
+const subscribeNever = () => () => {};
+const getNow = () => now;
+
+// Current time in milliseconds, re-rendering the caller every second.
+// Pass `false` to skip the subscription (e.g. for past contests).
+export const useNow = (enabled = true) => useSyncExternalStore(enabled ? subscribe : subscribeNever, getNow);
@@ -0,0 +1,2 @@
+// Blank values of the contest form shared by the admin and submission pages
+export const emptyContestForm = { name: '', platform: '', url: '', startTime: '', endTime: '' };
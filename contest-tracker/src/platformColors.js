@@ -0,0 +1,5 @@
+// Tailwind background class of each platform's badge and calendar entries
+export const platformColorMap = {
+  'Codeforces': 'bg-rose-500', 'LeetCode': 'bg-amber-500', 'HackerEarth': 'bg-blue-500', 'TopCoder': 'bg-indigo-500',
+  'AtCoder': 'bg-sky-600', 'CodeChef': 'bg-orange-700', 'GeeksforGeeks': 'bg-green-600', 'Kattis': 'bg-yellow-500',
+};
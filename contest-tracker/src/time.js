@@ -0,0 +1,89 @@
+// Time helpers shared by the contest views. Everything here is a pure
+// function of its arguments (plus the browser's Intl data), so it can be
+// checked on its own without rendering anything.
+
+// Timezone and locale of this browser, used for visitors who are not logged in
+// and as the initial preference of new accounts.
+export const getBrowserTimePrefs = () => ({
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    locale: navigator.language,
+});
+
+export const formatContestTime = (date, { timeZone, locale }) => new Date(date).toLocaleString(locale, {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: 'numeric', timeZone
+});
+
+// Milliseconds the given timezone is ahead of UTC at the given instant
+const getTimeZoneOffset = (date, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).map(p => [p.type, p.value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Calendar date (year, month, day) of an instant in the given timezone
+export const getZonedDateParts = (date, timeZone) => {
+    const [year, month, day] = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .format(date).split('-').map(Number);
+    return { year, month, day };
+};
+
+// Instant at which the given calendar day starts in the timezone. Days past
+// the end of the month roll over, as with Date.UTC.
+export const getZonedDayStart = (timeZone, year, month, day) => {
+    const guess = Date.UTC(year, month - 1, day);
+    // Re-check the offset at the result so DST changes at midnight land correctly
+    const firstTry = guess - getTimeZoneOffset(new Date(guess), timeZone);
+    return new Date(guess - getTimeZoneOffset(new Date(firstTry), timeZone));
+};
+
+// Start and end of "today" in the given timezone, as UTC instants
+export const getZonedDayRange = (timeZone, now = new Date()) => {
+    const { year, month, day } = getZonedDateParts(now, timeZone);
+    return { start: getZonedDayStart(timeZone, year, month, day), end: getZonedDayStart(timeZone, year, month, day + 1) };
+};
+
+// Time of day only, e.g. "7:30 PM"
+export const formatClockTime = (date, { timeZone, locale }) => new Date(date).toLocaleTimeString(locale, {
+    hour: 'numeric', minute: '2-digit', timeZone
+});
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Short countdown such as "3d 4h", "2h 13m", "12m 05s" or "45s"
+export const formatCountdown = (ms) => {
+    if (ms <= 0) return '0s';
+    const days = Math.floor(ms / DAY);
+    const hours = Math.floor((ms % DAY) / HOUR);
+    const minutes = Math.floor((ms % HOUR) / MINUTE);
+    const seconds = Math.floor((ms % MINUTE) / 1000);
+    if (days > 0) return `${days}d${hours > 0 ? ` ${hours}h` : ''}`;
+    if (hours > 0) return `${hours}h${minutes > 0 ? ` ${minutes}m` : ''}`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
+};
+
+// How far through the contest we are, from 0 to 1
+export const getContestProgress = (contest, now) => {
+    const start = new Date(contest.startTime).getTime();
+    const end = new Date(contest.endTime).getTime();
+    if (end <= start) return now >= end ? 1 : 0;
+    return Math.min(Math.max((now - start) / (end - start), 0), 1);
+};
+
+// Upcoming contests starting within the next hour get highlighted
+export const STARTING_SOON_WINDOW = HOUR;
+
+export const isStartingSoon = (contest, now) => {
+    const msUntilStart = new Date(contest.startTime).getTime() - now;
+    return msUntilStart > 0 && msUntilStart <= STARTING_SOON_WINDOW;
+};
+
+// Value for an <input type="datetime-local">, in the browser's local time
+export const toDateTimeLocal = (date) => {
+    const value = new Date(date);
+    return new Date(value.getTime() - value.getTimezoneOffset() * MINUTE).toISOString().slice(0, 16);
+};
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { formatCountdown, getContestProgress, isStartingSoon, STARTING_SOON_WINDOW, getZonedDayRange } from './time.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('formatCountdown', () => {
+    it('shows days and hours while more than a day is left', () => {
+        expect(formatCountdown(3 * DAY + 4 * HOUR + 59 * MINUTE)).toBe('3d 4h');
+        expect(formatCountdown(2 * DAY + 30 * MINUTE)).toBe('2d');
+    });
+
+    it('shows hours and minutes while more than an hour is left', () => {
+        expect(formatCountdown(2 * HOUR + 13 * MINUTE + 40 * SECOND)).toBe('2h 13m');
+        expect(formatCountdown(HOUR + 30 * SECOND)).toBe('1h');
+    });
+
+    it('shows minutes with zero-padded seconds in the last hour', () => {
+        expect(formatCountdown(12 * MINUTE + 5 * SECOND)).toBe('12m 05s');
+        expect(formatCountdown(MINUTE)).toBe('1m 00s');
+    });
+
+    it('shows seconds only in the last minute', () => {
+        expect(formatCountdown(45 * SECOND + 999)).toBe('45s');
+    });
+
+    it('stops at zero once the time is up', () => {
+        expect(formatCountdown(0)).toBe('0s');
+        expect(formatCountdown(-5 * SECOND)).toBe('0s');
+    });
+});
+
+describe('getContestProgress', () => {
+    const contest = { startTime: '2025-10-21T14:00:00Z', endTime: '2025-10-21T16:00:00Z' };
+    const start = Date.parse(contest.startTime);
+
+    it('runs from 0 at the start to 1 at the end', () => {
+        expect(getContestProgress(contest, start)).toBe(0);
+        expect(getContestProgress(contest, start + 30 * MINUTE)).toBe(0.25);
+        expect(getContestProgress(contest, start + 2 * HOUR)).toBe(1);
+    });
+
+    it('is clamped outside the contest', () => {
+        expect(getContestProgress(contest, start - HOUR)).toBe(0);
+        expect(getContestProgress(contest, start + 5 * HOUR)).toBe(1);
+    });
+
+    it('handles contests without a duration', () => {
+        const instant = { startTime: contest.startTime, endTime: contest.startTime };
+        expect(getContestProgress(instant, start - 1)).toBe(0);
+        expect(getContestProgress(instant, start)).toBe(1);
+    });
+});
+
+describe('isStartingSoon', () => {
+    const contest = { startTime: '2025-10-21T14:00:00Z' };
+    const start = Date.parse(contest.startTime);
+
+    it('uses a one hour window', () => {
+        expect(STARTING_SOON_WINDOW).toBe(HOUR);
+    });
+
+    it('includes contests starting within the window, up to its edge', () => {
+        expect(isStartingSoon(contest, start - STARTING_SOON_WINDOW)).toBe(true);
+        expect(isStartingSoon(contest, start - SECOND)).toBe(true);
+    });
+
+    it('excludes contests further out or already started', () => {
+        expect(isStartingSoon(contest, start - STARTING_SOON_WINDOW - 1)).toBe(false);
+        expect(isStartingSoon(contest, start)).toBe(false);
+        expect(isStartingSoon(contest, start + MINUTE)).toBe(false);
+    });
+});
+
+describe('getZonedDayRange', () => {
+    it('covers the whole local day, including a 23 hour DST day', () => {
+        const { start, end } = getZonedDayRange('Europe/Berlin', new Date('2025-03-30T12:00:00Z'));
+        expect(start.toISOString()).toBe('2025-03-29T23:00:00.000Z');
+        expect(end.toISOString()).toBe('2025-03-30T22:00:00.000Z');
+    });
+});
@@ -0,0 +1,81 @@
+import { User, Contest } from './models.js';
+import { insertContestEvent } from './googleCalendar.js';
+import { notifyUser } from './notifications.js';
+
+// A rule matches when every part it sets matches: the platform exactly, and
+// `nameContains` as a case-insensitive substring of the contest name.
+export const contestMatchesRule = (contest, rule) => {
+    if (rule.platform && contest.platform !== rule.platform) return false;
+    if (rule.nameContains && !contest.name.toLowerCase().includes(rule.nameContains.toLowerCase())) return false;
+    return !!(rule.platform || rule.nameContains);
+};
+
+// Inserts calendar events for the given contests, skipping any that already
+// have one, and returns the contests that were added. Safe to call repeatedly.
+// Contests in `addedToCalendar` without a stored event were added before
+// event ids were kept, so they count as present too.
+export const syncContestsToCalendar = async (user, contests) => {
+    const existing = new Set([
+        ...user.calendarEvents.map(e => e.contest.toString()),
+        ...user.addedToCalendar.map(id => id.toString())
+    ]);
+    const { calendarId, reminderMinutes } = user.calendarSettings;
+    const added = [];
+
+    for (const contest of contests) {
+        if (existing.has(contest._id.toString())) continue;
+        try {
+            const createdEvent = await insertContestEvent(user, contest, calendarId, reminderMinutes);
+            await User.updateOne({ _id: user._id }, {
+                $push: { calendarEvents: { contest: contest._id, eventId: createdEvent.id, calendarId } },
+                $addToSet: { addedToCalendar: contest._id }
+            });
+            existing.add(contest._id.toString());
+            added.push(contest);
+        } catch (error) {
+            console.error(`Failed to add "${contest.name}" to user ${user.id}'s calendar:`, error.message);
+        }
+    }
+    return added;
+};
+
+const findUpcomingContests = (filter = {}) => Contest.find({
+    ...filter,
+    status: 'Upcoming',
+    hidden: { $ne: true },
+    startTime: { $gt: new Date() }
+}).lean();
+
+// Adds every upcoming bookmarked contest that is not yet in the user's calendar.
+export const syncBookmarksToCalendar = async (user) => {
+    const contests = await findUpcomingContests({ _id: { $in: user.savedContests } });
+    return syncContestsToCalendar(user, contests);
+};
+
+// Scheduled job: applies every user's auto-sync rules to the upcoming contests.
+export const applyAutoSyncRules = async () => {
+    console.log('Running scheduled job: Applying calendar auto-sync rules...');
+    try {
+        const users = await User.find({ 'autoSyncRules.0': { $exists: true } });
+        if (users.length === 0) return [];
+
+        const upcoming = await findUpcomingContests();
+        const report = [];
+        for (const user of users) {
+            const optedOut = new Set(user.autoSyncOptOuts.map(id => id.toString()));
+            const matching = upcoming.filter(c => !optedOut.has(c._id.toString())
+                && user.autoSyncRules.some(rule => contestMatchesRule(c, rule)));
+            const added = await syncContestsToCalendar(user, matching);
+            if (added.length > 0) {
+                const names = added.map(c => c.name).join(', ');
+                console.log(`Auto-sync added ${added.length} contests for user ${user.id}: ${names}`);
+                await notifyUser(user._id, `Auto-sync added ${added.length} contest${added.length === 1 ? '' : 's'} to your calendar: ${names}.`);
+                report.push({ userId: user.id, added: added.map(c => c._id) });
+            }
+        }
+        return report;
+    } catch (error) {
+        console.error('Error in applyAutoSyncRules job:', error);
+        return [];
+    }
+};
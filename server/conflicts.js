@@ -0,0 +1,76 @@
+import { Contest } from './models.js';
+
+export const DEFAULT_MIN_GAP_MINUTES = 15;
+
+const MINUTE = 60 * 1000;
+// Multi-day long challenges run alongside everything else; they are not clashes.
+const LONG_CONTEST_MS = 24 * 60 * MINUTE;
+
+const isLongContest = (contest) => contest.endTime - contest.startTime > LONG_CONTEST_MS;
+
+// Picks which of two clashing contests to suggest keeping: the platform the
+// user ranks higher, then the one already in their calendar, then the one
+// that starts first.
+export const recommendContest = (a, b, { platformPriority = [], calendarIds = new Set() } = {}) => {
+    const rank = (contest) => {
+        const index = platformPriority.indexOf(contest.platform);
+        return index === -1 ? Infinity : index;
+    };
+    if (rank(a) !== rank(b)) {
+        const [keep, drop] = rank(a) < rank(b) ? [a, b] : [b, a];
+        return { keep, drop, reason: `You rank ${keep.platform} above ${drop.platform}.` };
+    }
+    const aInCalendar = calendarIds.has(a._id.toString());
+    if (aInCalendar !== calendarIds.has(b._id.toString())) {
+        const [keep, drop] = aInCalendar ? [a, b] : [b, a];
+        return { keep, drop, reason: 'It is already in your calendar.' };
+    }
+    const [keep, drop] = a.startTime <= b.startTime ? [a, b] : [b, a];
+    return { keep, drop, reason: 'It starts first.' };
+};
+
+const summarize = ({ _id, name, platform, startTime, endTime, url }) => ({ _id, name, platform, startTime, endTime, url });
+
+// Pairs of contests that overlap ('overlap') or leave less than
+// `minGapMinutes` between one ending and the next starting ('gap'), each with
+// the contest to suggest keeping.
+export const findScheduleConflicts = (contests, { minGapMinutes = DEFAULT_MIN_GAP_MINUTES, platformPriority = [], calendarIds = new Set() } = {}) => {
+    const minGap = minGapMinutes * MINUTE;
+    const sorted = contests.filter(c => !isLongContest(c)).sort((a, b) => a.startTime - b.startTime);
+    const conflicts = [];
+
+    sorted.forEach((first, i) => {
+        for (const second of sorted.slice(i + 1)) {
+            // Sorted by start, so nothing later can be close enough either
+            if (second.startTime - first.endTime >= minGap) break;
+            const overlap = Math.min(first.endTime, second.endTime) - second.startTime;
+            const { keep, drop, reason } = recommendContest(first, second, { platformPriority, calendarIds });
+            conflicts.push({
+                type: overlap > 0 ? 'overlap' : 'gap',
+                minutes: Math.round((overlap > 0 ? overlap : second.startTime - first.endTime) / MINUTE),
+                contests: [summarize(first), summarize(second)],
+                recommendation: { keep: keep._id, drop: drop._id, reason }
+            });
+        }
+    });
+    return conflicts;
+};
+
+// Conflicts among the user's bookmarked and calendar-added contests that have
+// not finished yet. With `contestId`, only those involving that contest.
+export const getScheduleConflicts = async (user, contestId = null) => {
+    const ids = [...user.savedContests, ...user.addedToCalendar];
+    const contests = await Contest.find({
+        _id: { $in: ids },
+        endTime: { $gt: new Date() },
+        status: { $ne: 'Cancelled' }
+    }).lean();
+    const { minGapMinutes, platformPriority } = user.schedulePreferences || {};
+    const conflicts = findScheduleConflicts(contests, {
+        minGapMinutes: minGapMinutes ?? DEFAULT_MIN_GAP_MINUTES,
+        platformPriority: platformPriority || [],
+        calendarIds: new Set(user.addedToCalendar.map(id => id.toString()))
+    });
+    if (!contestId) return conflicts;
+    return conflicts.filter(conflict => conflict.contests.some(c => c._id.toString() === contestId.toString()));
+};
@@ -0,0 +1,164 @@
+import { User, Contest, ContestParticipation, GroupPlanEntry, UpsolveEntry, ReminderLog } from './models.js';
+import { formatDuration } from './helpers.js';
+import { deleteContestEvent } from './googleCalendar.js';
+
+// --- Manual Contest Curation ---
+// Admins add contests the scrapers never see and correct scraped ones. Fields
+// they edit on a scraped contest are recorded in `overrides` and kept when
+// the next fetch upserts the contest.
+
+export const EDITABLE_FIELDS = ['name', 'platform', 'url', 'startTime', 'endTime'];
+
+const MAX_NAME_LENGTH = 200;
+// Everything below 0x20 and DEL. `new URL` silently drops tabs and line
+// breaks, so they are refused before it sees the value.
+const CONTROL_CHARACTERS = /[\x00-\x1f\x7f]/;
+
+// Status that follows from the contest's times
+export const statusForTimes = (startTime, endTime, now = new Date()) => {
+    if (now >= endTime) return 'Past';
+    if (now >= startTime) return 'On-going';
+    return 'Upcoming';
+};
+
+// Validates an admin's create or edit request or a user's submission. With
+// `existing`, fields left out keep their current values. Returns `{ values }`
+// or `{ error }`.
+export const parseContestInput = (body, existing = null) => {
+    const values = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (typeof body[field] === 'string' && CONTROL_CHARACTERS.test(body[field])) {
+            return { error: `The ${field} cannot contain control characters.` };
+        }
+        if (body[field] !== undefined) values[field] = body[field];
+        else if (existing) values[field] = existing[field];
+    }
+    // Fetched contests are matched on platform and externalId, both when
+    // upserting and when applying overrides, so a new platform would make
+    // the next fetch create a duplicate.
+    if (existing?.externalId && typeof values.platform === 'string' && values.platform.trim() !== existing.platform) {
+        return { error: 'The platform of a fetched contest cannot be changed. Hide it and add the contest by hand instead.' };
+    }
+    if (typeof values.name !== 'string' || !values.name.trim() || values.name.length > MAX_NAME_LENGTH) {
+        return { error: `A contest needs a name of at most ${MAX_NAME_LENGTH} characters.` };
+    }
+    if (typeof values.platform !== 'string' || !values.platform.trim()) {
+        return { error: 'A contest needs a platform.' };
+    }
+    let url;
+    try {
+        url = new URL(values.url);
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error();
+    } catch {
+        return { error: 'A contest needs an http(s) URL.' };
+    }
+    // Store the URL as parsed, so what was checked is what gets linked. A
+    // stored one is kept as is, or an unrelated edit would mark it overridden.
+    if (body.url !== undefined) values.url = url.href;
+    values.startTime = new Date(values.startTime);
+    values.endTime = new Date(values.endTime);
+    if (isNaN(values.startTime) || isNaN(values.endTime) || values.endTime <= values.startTime) {
+        return { error: 'The end time must be after a valid start time.' };
+    }
+    values.name = values.name.trim();
+    values.platform = values.platform.trim();
+    values.duration = formatDuration((values.endTime - values.startTime) / 1000);
+    return { values };
+};
+
+// Replaces overridden fields of freshly fetched contests with the admin's
+// values, so the upsert and the reschedule check leave them alone.
+export const applyOverrides = async (fetchedContests) => {
+    const overridden = await Contest.find({ overrides: { $ne: [] }, externalId: { $type: 'string' } }).lean();
+    if (overridden.length === 0) return fetchedContests;
+    const byKey = new Map(overridden.map(c => [`${c.platform}:${c.externalId}`, c]));
+    return fetchedContests.map(contest => {
+        const stored = byKey.get(`${contest.platform}:${contest.externalId}`);
+        if (!stored) return contest;
+        const kept = Object.fromEntries(stored.overrides.map(field => [field, stored[field]]));
+        if (kept.startTime || kept.endTime) kept.duration = stored.duration;
+        return { ...contest, ...kept };
+    });
+};
+
+// Moves per-user documents keyed on a contest to another one. Where the user
+// already has an entry for the target, theirs wins and the moved one is dropped.
+const moveEntries = async (Model, fromId, toId) => {
+    const entries = await Model.find({ contest: fromId });
+    for (const entry of entries) {
+        try {
+            await Model.updateOne({ _id: entry._id }, { $set: { contest: toId } });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            await Model.deleteOne({ _id: entry._id });
+        }
+    }
+};
+
+// Deletes the user's Google Calendar event for a contest. A failure is only
+// logged, so the stored references can still be cleaned up.
+const deleteCalendarEntry = async (user, contestId) => {
+    const calendarEntry = user.calendarEvents.find(e => e.contest.equals(contestId));
+    try {
+        await deleteContestEvent(user, calendarEntry);
+    } catch (error) {
+        console.error(`Failed to delete calendar event for user ${user.id}:`, error.message);
+    }
+};
+
+// Folds a duplicate into the contest it duplicates: bookmarks, calendar
+// entries, plans and progress move over, and the duplicate is hidden rather
+// than deleted so the scraper keeps updating it instead of re-creating it.
+export const mergeContests = async (source, target) => {
+    for (const field of ['savedContests', 'addedToCalendar', 'autoSyncOptOuts']) {
+        await User.updateMany({ [field]: source._id }, { $addToSet: { [field]: target._id } });
+        await User.updateMany({ [field]: source._id }, { $pull: { [field]: source._id } });
+    }
+    // Users with events for both keep the target's; the duplicate event is
+    // removed from their calendar, the others are moved to the target.
+    const usersWithBoth = await User.find({ 'calendarEvents.contest': { $all: [source._id, target._id] } });
+    for (const user of usersWithBoth) {
+        await deleteCalendarEntry(user, source._id);
+    }
+    await User.updateMany(
+        { _id: { $in: usersWithBoth.map(user => user._id) } },
+        { $pull: { calendarEvents: { contest: source._id } } }
+    );
+    await User.updateMany(
+        { 'calendarEvents.contest': source._id },
+        { $set: { 'calendarEvents.$[entry].contest': target._id } },
+        { arrayFilters: [{ 'entry.contest': source._id }] }
+    );
+    await ContestParticipation.updateMany({ contest: source._id }, { $set: { contest: target._id } });
+    await moveEntries(GroupPlanEntry, source._id, target._id);
+    await moveEntries(UpsolveEntry, source._id, target._id);
+    await moveEntries(ReminderLog, source._id, target._id);
+
+    for (const field of ['solutionUrl', 'editorialUrl']) {
+        if (!target[field] && source[field]) target[field] = source[field];
+    }
+    if (target.solutions.length === 0) target.solutions = source.solutions;
+    if (target.problems.length === 0) target.problems = source.problems;
+    await target.save();
+
+    source.hidden = true;
+    source.mergedInto = target._id;
+    await source.save();
+};
+
+// Removes a manual contest, its Google Calendar events and every reference to it.
+export const deleteManualContest = async (contest) => {
+    const usersWithEvents = await User.find({ 'calendarEvents.contest': contest._id });
+    for (const user of usersWithEvents) {
+        await deleteCalendarEntry(user, contest._id);
+    }
+    await User.updateMany({}, {
+        $pull: {
+            savedContests: contest._id,
+            addedToCalendar: contest._id,
+            calendarEvents: { contest: contest._id }
+        }
+    });
+    await Promise.all([GroupPlanEntry, UpsolveEntry, ReminderLog].map(Model => Model.deleteMany({ contest: contest._id })));
+    await Contest.deleteOne({ _id: contest._id });
+};
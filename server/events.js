@@ -0,0 +1,100 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import { ContestEvent } from './models.js';
+
+// --- Live Contest Events ---
+// The scheduled jobs publish contest changes here and every open
+// `GET /api/events` stream forwards them to the browser as Server-Sent Events.
+// Jobs run on one instance only, so once `startEventRelay` finds a replica
+// set, events go through the `contestevents` collection and reach the streams
+// of every instance through a change stream. On a standalone MongoDB (local
+// development) they stay in this process.
+//
+//   contest-created  a contest was fetched for the first time
+//   contest-updated  status, times, name or solution of a contest changed
+//   contest-removed  a contest was hidden, merged or deleted
+//
+// The first two carry the contest's public fields, the same ones
+// `GET /api/contests` lists; `contest-removed` only carries its `_id`. The
+// streams are open to anonymous visitors, so hidden contests and admin
+// fields never go out.
+export const PUBLIC_CONTEST_FIELDS = [
+    '_id', 'name', 'platform', 'duration', 'startTime', 'endTime', 'status', 'url',
+    'solutionUrl', 'solutions', 'problems', 'editorialUrl'
+];
+
+const toPublicContest = (contest) => Object.fromEntries(
+    PUBLIC_CONTEST_FIELDS.filter(field => contest[field] !== undefined).map(field => [field, contest[field]])
+);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Keeps proxies from closing idle connections.
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const RELAY_RETRY_DELAY = 5 * 1000;
+
+let isShared = false;
+
+// `contest` must be the stored document (or a copy of it), so its `hidden`
+// flag is known.
+export const publishContestEvent = (type, contest) => {
+    const event = contest.hidden
+        ? { type: 'contest-removed', contest: { _id: contest._id } }
+        : { type, contest: toPublicContest(contest) };
+    if (!isShared) {
+        emitter.emit('contest', event);
+        return;
+    }
+    ContestEvent.create(event).catch(error => console.error(`Failed to publish ${type} event:`, error.message));
+};
+
+// Forwards events inserted by any instance to this one's streams. After an
+// error the change stream is reopened where it left off.
+const watchEvents = (resumeAfter = null) => {
+    const changeStream = ContestEvent.watch([{ $match: { operationType: 'insert' } }], resumeAfter ? { resumeAfter } : {});
+    let lastToken = resumeAfter;
+    changeStream.on('change', (change) => {
+        lastToken = change._id;
+        const { type, contest } = change.fullDocument;
+        emitter.emit('contest', { type, contest });
+    });
+    changeStream.on('error', (error) => {
+        console.error('Contest event stream failed, reopening:', error.message);
+        changeStream.close().catch(() => {});
+        setTimeout(() => watchEvents(lastToken), RELAY_RETRY_DELAY);
+    });
+};
+
+// Call once connected to MongoDB. Change streams need a replica set or a
+// sharded cluster (MongoDB Atlas is always one).
+export const startEventRelay = async () => {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+        console.log('MongoDB is standalone; live contest events reach this instance only.');
+        return;
+    }
+    watchEvents();
+    isShared = true;
+};
+
+export const streamContestEvents = (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const send = ({ type, contest }) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(contest)}\n\n`);
+    };
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    emitter.on('contest', send);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        emitter.off('contest', send);
+    });
+};
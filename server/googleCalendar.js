@@ -0,0 +1,89 @@
+import { google } from 'googleapis';
+import { User } from './models.js';
+
+// --- Google Calendar Helpers ---
+export const getAuthorizedClient = async (user) => {
+    const oauth2Client = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        process.env.GOOGLE_CALLBACK_URL
+    );
+    oauth2Client.setCredentials({
+        access_token: user.accessToken,
+        refresh_token: user.refreshToken,
+        expiry_date: user.tokenExpires,
+    });
+    if (oauth2Client.isTokenExpiring()) {
+        console.log('Access token expired, refreshing...');
+        try {
+            const { credentials } = await oauth2Client.refreshAccessToken();
+            oauth2Client.setCredentials(credentials);
+            await User.findByIdAndUpdate(user._id, {
+                accessToken: credentials.access_token,
+                tokenExpires: credentials.expiry_date,
+            });
+            console.log('Token refreshed and saved successfully.');
+        } catch (error) {
+            console.error('Failed to refresh access token:', error);
+            throw new Error('Could not refresh access token.');
+        }
+    }
+    return oauth2Client;
+};
+
+const getCalendar = async (user) => google.calendar({ version: 'v3', auth: await getAuthorizedClient(user) });
+
+export const DEFAULT_REMINDER_MINUTES = [60, 1440];
+
+const buildContestEvent = (contest, reminderMinutes = DEFAULT_REMINDER_MINUTES) => ({
+    summary: contest.name,
+    description: `A new coding contest is here! Visit the contest page: ${contest.url}`,
+    start: { dateTime: new Date(contest.startTime).toISOString() },
+    end: { dateTime: new Date(contest.endTime).toISOString() },
+    reminders: {
+        useDefault: false,
+        overrides: reminderMinutes.map(minutes => ({ method: 'popup', minutes })),
+    },
+});
+
+// Creates the event and returns the Google event resource (id, htmlLink, ...).
+export const insertContestEvent = async (user, contest, calendarId = 'primary', reminderMinutes = DEFAULT_REMINDER_MINUTES) => {
+    const calendar = await getCalendar(user);
+    const createdEvent = await calendar.events.insert({
+        calendarId,
+        resource: buildContestEvent(contest, reminderMinutes),
+    });
+    return createdEvent.data;
+};
+
+// Moves an existing event to the contest's current name and times.
+export const updateContestEvent = async (user, calendarEntry, contest) => {
+    const calendar = await getCalendar(user);
+    const { summary, start, end } = buildContestEvent(contest);
+    const updatedEvent = await calendar.events.patch({
+        calendarId: calendarEntry.calendarId,
+        eventId: calendarEntry.eventId,
+        resource: { summary, start, end },
+    });
+    return updatedEvent.data;
+};
+
+// Deletes an event. An event the user already removed by hand counts as deleted.
+export const deleteContestEvent = async (user, calendarEntry) => {
+    const calendar = await getCalendar(user);
+    try {
+        await calendar.events.delete({
+            calendarId: calendarEntry.calendarId,
+            eventId: calendarEntry.eventId,
+        });
+    } catch (error) {
+        if (error.code !== 404 && error.code !== 410) throw error;
+    }
+};
+
+// Lists the calendars the user can add events to.
+export const listWritableCalendars = async (user) => {
+    const calendar = await getCalendar(user);
+    const response = await calendar.calendarList.list({ minAccessRole: 'writer' });
+    return (response.data.items || []).map(c => ({ id: c.id, summary: c.summary, primary: !!c.primary }));
+};
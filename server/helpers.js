@@ -0,0 +1,70 @@
+// Formats a duration in seconds as a short human readable string, e.g. "2h 30m" or "3d 4h".
+export const formatDuration = (durationSeconds) => {
+    if (!durationSeconds || durationSeconds <= 0) return '';
+    const totalHours = durationSeconds / 3600;
+    if (totalHours >= 24) {
+        const days = Math.floor(totalHours / 24);
+        const hours = Math.round(totalHours % 24);
+        return `${days}d${hours > 0 ? ` ${hours}h` : ''}`;
+    } else {
+        const hours = Math.floor(totalHours);
+        const minutes = Math.round((durationSeconds % 3600) / 60);
+        return `${hours > 0 ? `${hours}h` : ''}${minutes > 0 ? ` ${minutes}m` : ''}`.trim();
+    }
+};
+
+// Decodes the handful of HTML entities that show up in scraped contest names.
+export const decodeHtmlEntities = (text) => text
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&nbsp;/g, ' ');
+
+// Removes tags and collapses whitespace in an HTML fragment.
+export const stripTags = (html) => decodeHtmlEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+// Used for users who have not saved a timezone or locale yet.
+export const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Kolkata';
+export const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-IN';
+
+export const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+export const isValidLocale = (locale) => {
+    try {
+        return Intl.getCanonicalLocales(locale).length === 1;
+    } catch {
+        return false;
+    }
+};
+
+// Formats a contest time in the user's own timezone and locale for
+// server-generated messages such as reminders and notifications.
+export const formatContestTime = (date, user = null) => new Date(date).toLocaleString(user?.locale || DEFAULT_LOCALE, {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: 'numeric', timeZoneName: 'short',
+    timeZone: user?.timezone || DEFAULT_TIME_ZONE
+});
+
+// Accepts `a,b`, `['a', 'b']` or repeated query parameters and returns a clean list.
+export const parseList = (value) => {
+    const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+    return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turns free text into a `$text` condition on the contests' text index that
+// needs every word. Each word is quoted, as MongoDB otherwise matches any of
+// them. Null when the text has no words.
+export const buildTextSearch = (text) => {
+    const words = text.split(/\s+/).map(word => word.replace(/"/g, '')).filter(Boolean);
+    return words.length > 0 ? { $text: { $search: words.map(word => `"${word}"`).join(' ') } } : null;
+};
@@ -0,0 +1,124 @@
+// Shared client for every outbound HTTP call. On top of axios it adds a
+// default timeout, retries with exponential backoff, a minimum spacing
+// between requests to the same host, and an in-memory response cache that
+// revalidates with ETag / Last-Modified.
+import axios from 'axios';
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_BACKOFF_MS = 30000;
+const MAX_CACHE_ENTRIES = 200;
+
+// Minimum milliseconds between two requests to a host. Codeforces documents
+// a limit of one API call every two seconds.
+const HOST_INTERVALS_MS = {
+    'codeforces.com': 2000,
+    'leetcode.com': 1000,
+    'www.googleapis.com': 100
+};
+const DEFAULT_HOST_INTERVAL_MS = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- Per-host rate limiting ---
+const nextSlots = new Map();
+
+// Waits until the host's next free slot and reserves the one after it.
+const waitForSlot = async (host) => {
+    const interval = HOST_INTERVALS_MS[host] ?? DEFAULT_HOST_INTERVAL_MS;
+    const now = Date.now();
+    const slot = Math.max(now, nextSlots.get(host) ?? 0);
+    nextSlots.set(host, slot + interval);
+    if (slot > now) await sleep(slot - now);
+};
+
+// --- Retries ---
+// Network errors, timeouts, 429 and 5xx are worth another try.
+export const isRetryable = (error) => {
+    if (!error.response) return error.code !== 'ERR_CANCELED';
+    const { status } = error.response;
+    return status === 429 || status >= 500;
+};
+
+// Delay before retry number `attempt` (0-based): the server's Retry-After
+// when it sent one, otherwise 1s, 2s, 4s... with some jitter.
+export const getBackoffDelay = (attempt, error = null, random = Math.random) => {
+    const retryAfter = Number(error?.response?.headers?.['retry-after']);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+    const base = 1000 * 2 ** attempt;
+    return Math.min(base + Math.floor(random() * base / 2), MAX_BACKOFF_MS);
+};
+
+// --- Response cache ---
+const cache = new Map();
+
+const getCacheKey = (url, params) => params ? `${url}?${new URLSearchParams(params)}` : url;
+
+const remember = (key, entry) => {
+    cache.delete(key);
+    cache.set(key, entry);
+    // Maps keep insertion order, so the first key is the least recently stored
+    if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+};
+
+export const clearHttpCache = () => cache.clear();
+
+// Sends the request, retrying and respecting the host's rate limit. Throws
+// axios errors, so callers can keep checking `error.response`.
+// `beforeRetry(retry)` is awaited before each retry and can resolve false to
+// give up, e.g. when the retry would go over a quota.
+const send = async (config, { retries, beforeRetry }) => {
+    const host = new URL(config.url).hostname;
+    for (let attempt = 0; ; attempt++) {
+        await waitForSlot(host);
+        try {
+            return await axios.request({ timeout: DEFAULT_TIMEOUT_MS, ...config });
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) throw error;
+            if (beforeRetry && !(await beforeRetry(attempt + 1))) throw error;
+            const delay = getBackoffDelay(attempt, error);
+            console.warn(`Retrying ${config.method.toUpperCase()} ${config.url} in ${delay} ms: ${error.message}`);
+            await sleep(delay);
+        }
+    }
+};
+
+// GET with up to `retries` retries (default 2). `cache: true` keeps the
+// response and revalidates it next time; `cache: { ttlMs }` also reuses it
+// without asking for that long. Cached responses carry `fromCache: true`.
+export const get = async (url, { cache: cacheOption, retries = 2, beforeRetry, ...config } = {}) => {
+    if (!cacheOption) return send({ ...config, method: 'get', url }, { retries, beforeRetry });
+
+    const key = getCacheKey(url, config.params);
+    const cached = cache.get(key);
+    if (cached && cached.freshUntil > Date.now()) return { ...cached.response, fromCache: true };
+
+    const headers = { ...config.headers };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    const response = await send({
+        ...config,
+        method: 'get',
+        url,
+        headers,
+        validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
+    }, { retries, beforeRetry });
+
+    const ttlMs = cacheOption.ttlMs ?? 0;
+    if (response.status === 304) {
+        remember(key, { ...cached, freshUntil: Date.now() + ttlMs });
+        return { ...cached.response, fromCache: true };
+    }
+    remember(key, {
+        response: { data: response.data, status: response.status, headers: response.headers },
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified'],
+        freshUntil: Date.now() + ttlMs
+    });
+    return response;
+};
+
+// POST, not retried unless `retries` is given since it may not be safe to repeat.
+export const post = (url, data, { retries = 0, beforeRetry, ...config } = {}) =>
+    send({ ...config, method: 'post', url, data }, { retries, beforeRetry });
+
+export default { get, post };
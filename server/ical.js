@@ -0,0 +1,83 @@
+// Minimal RFC 5545 writer for contest feeds.
+
+const PRODUCT_ID = '-//Contest Tracker//Contest Feed//EN';
+// Everything below 0x20 but the tab, and DEL
+const CONTROL_CHARACTERS = /[\x00-\x08\x0a-\x1f\x7f]/g;
+
+// 20250726T120000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escapes TEXT values (RFC 5545 section 3.3.11). Line breaks become \n and
+// other control characters are dropped, so no value can end its line early.
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n?|\n/g, '\\n')
+    .replace(CONTROL_CHARACTERS, '');
+
+// URI values are not escaped, only stripped of control characters.
+const uriValue = (value) => String(value).replace(CONTROL_CHARACTERS, '');
+
+// Folds content lines longer than 75 octets (RFC 5545 section 3.1),
+// taking care not to split a multi-byte character.
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const buildEvent = (contest, reminderMinutes, now) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        // Based on the document id so renames and reschedules update the same event.
+        `UID:${contest._id}@contest-tracker`,
+        `DTSTAMP:${formatUtc(now)}`,
+        `DTSTART:${formatUtc(contest.startTime)}`,
+        `DTEND:${formatUtc(contest.endTime)}`,
+        `SUMMARY:${escapeText(contest.name)}`,
+        `DESCRIPTION:${escapeText(`${contest.platform} contest. Visit the contest page: ${contest.url}`)}`,
+        `CATEGORIES:${escapeText(contest.platform)}`,
+        `STATUS:${contest.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+    if (contest.url) lines.push(`URL:${uriValue(contest.url)}`);
+    for (const minutes of reminderMinutes) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(contest.name)}`,
+            `TRIGGER:-PT${minutes}M`,
+            'END:VALARM'
+        );
+    }
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+// Builds a complete VCALENDAR document for the given contests.
+export const buildCalendar = ({ name, contests, reminderMinutes = [60], now = new Date() }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...contests.flatMap(contest => buildEvent(contest, reminderMinutes, now)),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -3,12 +3,30 @@ import express from 'express';
 import cors from 'cors';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
-import schedule from 'node-schedule';
-import axios from 'axios';
+import crypto from 'crypto';
 import session from 'express-session';
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
-import { google } from 'googleapis';
+import { platforms, fetchAllContests, getPlatformHealth } from './platforms/index.js';
+import { User, Contest, ContestParticipation, Group, GroupPlanEntry, UpsolveEntry, ContestSubmission } from './models.js';
+import { insertContestEvent, deleteContestEvent, listWritableCalendars } from './googleCalendar.js';
+import { detectScheduleChanges, propagateScheduleChanges } from './scheduleChanges.js';
+import { parseList, buildTextSearch, isValidTimeZone, isValidLocale } from './helpers.js';
+import { applyAutoSyncRules, syncBookmarksToCalendar } from './autoSync.js';
+import { buildCalendar } from './ical.js';
+import { sendDueReminders, sendTestReminders, checkWebhookUrl } from './reminders.js';
+import { getVapidPublicKey, pushContestStarted, pushSolutionFound } from './push.js';
+import { HANDLE_KEYS, syncUserRatingHistory, syncAllRatingHistories } from './ratings/index.js';
+import { PUBLIC_CONTEST_FIELDS, publishContestEvent, streamContestEvents, startEventRelay } from './events.js';
+import { getScheduleConflicts } from './conflicts.js';
+import { findYouTubeSolutions, applySolutions, hasYouTubeQuota, getYouTubeQuotaRemaining, SOLUTION_SEARCH_SETTLE_MS } from './solutions.js';
+import { runMonitoredJob, createSourceStats, getHealthReport } from './monitoring.js';
+import { defineJob, startScheduler, triggerJob, getScheduledJobs } from './scheduler.js';
+import { problemSources, attachProblemSet, refreshRecentProblemSets } from './problems/index.js';
+import { UPSOLVE_STATUSES, getUpsolveList, syncCodeforcesUpsolves, syncAllUpsolves } from './upsolve.js';
+import { EDITABLE_FIELDS, statusForTimes, parseContestInput, applyOverrides, mergeContests, deleteManualContest } from './curation.js';
+import { SUBMISSIONS_PER_DAY, checkSubmissionWindow, isOverSubmissionLimit, findDuplicates } from './submissions.js';
+import { notifyUser } from './notifications.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -40,32 +58,6 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
-// --- Mongoose Schemas and Models ---
-const userSchema = new mongoose.Schema({
-    googleId: String,
-    displayName: String,
-    savedContests: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contest' }],
-    // 1. ADDED a new field to the user schema to track contests added to the calendar
-    addedToCalendar: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contest' }],
-    accessToken: String,
-    refreshToken: String,
-    tokenExpires: Number
-});
-const User = mongoose.model('User', userSchema);
-
-const contestSchema = new mongoose.Schema({
-    name: String,
-    platform: String,
-    duration: String,
-    startTime: { type: Date, required: true },
-    endTime: { type: Date, required: true },
-    status: { type: String, default: 'Upcoming' },
-    url: String,
-    solutionUrl: { type: String, default: null }
-});
-const Contest = mongoose.model('Contest', contestSchema);
-
-
 // --- Passport Google Strategy ---
 passport.use(new GoogleStrategy({
     clientID: process.env.GOOGLE_CLIENT_ID,
@@ -76,11 +68,14 @@ async (accessToken, refreshToken, params, profile, done) => {
     try {
         const existingUser = await User.findOne({ googleId: profile.id });
         const tokenExpires = Date.now() + (params.expires_in * 1000);
+        // Google account ids listed in ADMIN_GOOGLE_IDS are made admins on login.
+        const isConfiguredAdmin = parseList(process.env.ADMIN_GOOGLE_IDS).includes(profile.id);
 
         if (existingUser) {
             existingUser.accessToken = accessToken;
             existingUser.refreshToken = refreshToken || existingUser.refreshToken;
             existingUser.tokenExpires = tokenExpires;
+            if (isConfiguredAdmin) existingUser.role = 'admin';
             await existingUser.save();
             return done(null, existingUser);
         }
@@ -90,7 +85,8 @@ async (accessToken, refreshToken, params, profile, done) => {
             displayName: profile.displayName,
             accessToken: accessToken,
             refreshToken: refreshToken,
-            tokenExpires: tokenExpires
+            tokenExpires: tokenExpires,
+            role: isConfiguredAdmin ? 'admin' : 'user'
         });
         return done(null, newUser);
     } catch (err) {
@@ -108,238 +104,181 @@ passport.deserializeUser(async (id, done) => {
     }
 });
 
-// --- Helper Functions ---
-const formatDuration = (durationSeconds) => {
-    if (!durationSeconds || durationSeconds <= 0) return '';
-    const totalHours = durationSeconds / 3600;
-    if (totalHours >= 24) {
-        const days = Math.floor(totalHours / 24);
-        const hours = Math.round(totalHours % 24);
-        return `${days}d${hours > 0 ? ` ${hours}h` : ''}`;
-    } else {
-        const hours = Math.floor(totalHours);
-        const minutes = Math.round((durationSeconds % 3600) / 60);
-        return `${hours > 0 ? `${hours}h` : ''}${minutes > 0 ? ` ${minutes}m` : ''}`.trim();
-    }
-};
-
-const getAuthorizedClient = async (user) => {
-    const oauth2Client = new google.auth.OAuth2(
-        process.env.GOOGLE_CLIENT_ID,
-        process.env.GOOGLE_CLIENT_SECRET,
-        process.env.GOOGLE_CALLBACK_URL
-    );
-    oauth2Client.setCredentials({
-        access_token: user.accessToken,
-        refresh_token: user.refreshToken,
-        expiry_date: user.tokenExpires,
-    });
-    if (oauth2Client.isTokenExpiring()) {
-        console.log('Access token expired, refreshing...');
-        try {
-            const { credentials } = await oauth2Client.refreshAccessToken();
-            oauth2Client.setCredentials(credentials);
-            await User.findByIdAndUpdate(user._id, {
-                accessToken: credentials.access_token,
-                tokenExpires: credentials.expiry_date,
-            });
-            console.log('Token refreshed and saved successfully.');
-        } catch (error) {
-            console.error('Failed to refresh access token:', error);
-            throw new Error('Could not refresh access token.');
-        }
-    }
-    return oauth2Client;
-};
-
 // --- Data Fetching and Status Updates ---
-const fetchAndStoreContests = async () => {
+// Every run of these jobs is recorded with per-source stats, see monitoring.js
+const fetchAndStoreContests = () => runMonitoredJob('fetchAndStoreContests', async () => {
     console.log('Fetching new contest data from direct APIs...');
-    let allUpcomingContests = [];
-
-    try {
-        const cfResponse = await axios.get('https://codeforces.com/api/contest.list');
-        if (cfResponse.data.status === 'OK') {
-            const cfContests = cfResponse.data.result.filter(c => c.phase === 'BEFORE').map(c => ({ name: c.name, platform: 'Codeforces', duration: formatDuration(c.durationSeconds), startTime: new Date(c.startTimeSeconds * 1000), endTime: new Date(c.startTimeSeconds * 1000 + c.durationSeconds * 1000), status: 'Upcoming', url: `https://codeforces.com/contests/${c.id}` }));
-            allUpcomingContests.push(...cfContests);
-        }
-    } catch (e) { console.error('Failed to fetch from Codeforces:', e.message); }
-
-    try {
-        const lcResponse = await axios.post('https://leetcode.com/graphql', { query: `query { upcomingContests { title titleSlug startTime duration } }` });
-        if (lcResponse.data.data.upcomingContests) {
-            const lcContests = lcResponse.data.data.upcomingContests.map(c => ({ name: c.title, platform: 'LeetCode', duration: formatDuration(c.duration), startTime: new Date(c.startTime * 1000), endTime: new Date(c.startTime * 1000 + c.duration * 1000), status: 'Upcoming', url: `https://leetcode.com/contest/${c.titleSlug}` }));
-            allUpcomingContests.push(...lcContests);
-        }
-    } catch (e) { console.error('Failed to fetch from LeetCode:', e.message); }
-
-    try {
-        const heResponse = await axios.get('https://www.hackerearth.com/chrome-extension/events/');
-        if (heResponse.data.response) {
-            const heContests = heResponse.data.response.filter(c => c.status === 'UPCOMING').map(c => ({ name: c.title, platform: 'HackerEarth', duration: formatDuration((new Date(c.end_utc_tz) - new Date(c.start_utc_tz)) / 1000), startTime: new Date(c.start_utc_tz), endTime: new Date(c.end_utc_tz), status: 'Upcoming', url: c.url }));
-            allUpcomingContests.push(...heContests);
-        }
-    } catch (e) { console.error('Failed to fetch from HackerEarth:', e.message); }
+    // Contests are keyed on the platform's own id so renames and reschedules
+    // update the existing document instead of creating a duplicate.
+    // Fields an admin corrected keep the admin's values.
+    const allUpcomingContests = await applyOverrides((await fetchAllContests()).filter(c => c.externalId));
 
-    try {
-        const tcResponse = await axios.get('https://api.topcoder.com/v5/challenges?status=Active&perPage=50');
-        if (tcResponse.data) {
-            const tcContests = tcResponse.data.filter(c => new Date(c.startDate) > new Date()).map(c => ({ name: c.name, platform: 'TopCoder', duration: formatDuration((new Date(c.endDate) - new Date(c.startDate)) / 1000), startTime: new Date(c.startDate), endTime: new Date(c.endDate), status: 'Upcoming', url: `https://www.topcoder.com/challenges/${c.id}` }));
-            allUpcomingContests.push(...tcContests);
-        }
-    } catch (e) { console.error('Failed to fetch from TopCoder:', e.message); }
+    const platformHealth = getPlatformHealth();
+    const healthyPlatforms = platformHealth.filter(p => p.status === 'healthy').map(p => p.name);
+    const scheduleChanges = await detectScheduleChanges(allUpcomingContests, healthyPlatforms);
+    const stats = { fetched: allUpcomingContests.length, created: 0, rescheduled: scheduleChanges.rescheduled.length, cancelled: scheduleChanges.cancelled.length };
 
     if (allUpcomingContests.length > 0) {
         const bulkOps = allUpcomingContests.map(c => ({
             updateOne: {
-                filter: { name: c.name, startTime: c.startTime },
+                filter: { platform: c.platform, externalId: c.externalId },
                 update: { $set: c },
                 upsert: true
             }
         }));
-        await Contest.bulkWrite(bulkOps);
+        const result = await Contest.bulkWrite(bulkOps);
         console.log(`Upserted ${allUpcomingContests.length} contests.`);
-    }
-};
 
-const buildSearchQuery = (contestName, platform) => {
-    if (platform === 'Codeforces') {
-        const roundMatch = contestName.match(/Round.*?(\d+)/);
-        const divMatch = contestName.match(/Div\.?\s*(\d+)/i);
-        
-        if (roundMatch) {
-            let query = `Codeforces Round ${roundMatch[1]}`;
-            if (divMatch) {
-                query += ` (Div ${divMatch[1]}) solution`;
-            }
-            return query;
-        }
+        const newContests = await Contest.find({ _id: { $in: Object.values(result.upsertedIds) } }).lean();
+        newContests.forEach(c => publishContestEvent('contest-created', c));
+        stats.created = newContests.length;
+        const rescheduledContests = await Contest.find({ _id: { $in: scheduleChanges.rescheduled.map(r => r.before._id) } }).lean();
+        rescheduledContests.forEach(c => publishContestEvent('contest-updated', c));
     }
 
-    if (platform === 'LeetCode') {
-        const typeMatch = contestName.match(/(Weekly|Biweekly)/i);
-        const numberMatch = contestName.match(/(\d+)/);
+    await propagateScheduleChanges(scheduleChanges);
 
-        if (typeMatch && numberMatch) {
-            const contestType = typeMatch[1].charAt(0).toUpperCase() + typeMatch[1].slice(1).toLowerCase();
-            return `LeetCode ${contestType} Contest ${numberMatch[1]} solution`;
-        }
-    }
+    const sources = platformHealth.map(p => ({
+        name: p.name,
+        ok: p.status === 'healthy',
+        calls: 1,
+        failures: p.status === 'healthy' ? 0 : 1,
+        count: p.lastCount,
+        latencyMs: p.lastLatencyMs,
+        error: p.lastError
+    }));
+    return { sources, stats };
+});
 
-    return `${contestName} solution`;
+// Hourly job: refresh contests, then add newly matching ones to calendars.
+const syncContests = async () => {
+    const run = await fetchAndStoreContests();
+    await applyAutoSyncRules();
+    return run;
 };
 
-const findYouTubeSolution = async (contestName, contestEndTime, platform) => {
-    const YOUTUBE_API_URL = 'https://www.googleapis.com/youtube/v3/search';
-    const searchQuery = buildSearchQuery(contestName, platform);
-
-    console.log(`Searching YouTube for: "${searchQuery}"`);
-
-    const params = {
-        part: 'snippet',
-        key: process.env.YOUTUBE_API_KEY,
-        maxResults: 5,
-        type: 'video',
-        order: 'relevance',
-        q: searchQuery,
-    };
-
-    try {
-        const response = await axios.get(YOUTUBE_API_URL, { params });
-
-        if (!response.data.items || response.data.items.length === 0) {
-            console.log(`No video found for query: "${searchQuery}"`);
-            return null;
-        }
+// Looks up solution videos for a finished contest and saves them, recording
+// the YouTube call in `sources`. Contests left over once the quota budget is
+// spent, or whose search failed, stay unsearched for the next backfill.
+const findAndSaveSolutions = async (contest, sources) => {
+    if (!(await hasYouTubeQuota())) return false;
+    const solutions = await sources.track('YouTube', () => findYouTubeSolutions(contest), found => found.length);
+    if (!solutions) return false;
+    const found = applySolutions(contest, solutions);
+    await contest.save();
+    if (solutions.length === 0) return false;
+    publishContestEvent('contest-updated', contest.toObject());
+    if (found) await pushSolutionFound(contest);
+    return found;
+};
 
-        const bestVideo = response.data.items[0]; 
-        
-        const videoPublishDate = new Date(bestVideo.snippet.publishedAt);
-        const contestEndDate = new Date(contestEndTime);
-        
-        const timeDifference = videoPublishDate.getTime() - contestEndDate.getTime();
-        const daysDifference = timeDifference / (1000 * 3600 * 24);
+const updateContestStatuses = () => runMonitoredJob('updateContestStatuses', async () => {
+    console.log('Running scheduled job: Updating contest statuses...');
+    const now = new Date();
+    const sources = createSourceStats();
+    const contestsToCheck = await Contest.find({ status: { $nin: ['Past', 'Cancelled'] } }).lean();
+    const changes = contestsToCheck
+        .map(contest => ({ contest, status: statusForTimes(contest.startTime, contest.endTime, now) }))
+        .filter(({ contest, status }) => status !== contest.status);
+    const stats = { checked: contestsToCheck.length, updated: 0, solutionsFound: 0 };
+    if (changes.length === 0) return { stats };
 
-        if (daysDifference >= 0 && daysDifference <= 7) {
-            console.log(`SUCCESS: Found relevant video: "${bestVideo.snippet.title}"`);
-            return bestVideo.id.videoId;
-        } else {
-            console.log(`Found a video ("${bestVideo.snippet.title}"), but its publish date was outside the valid window.`);
-            return null;
+    // One round trip for every change. Matching on the old status skips
+    // contests an admin edited in the meantime; the ones this run did change
+    // are read back by their `statusChangedAt`, and only those are announced.
+    const result = await Contest.bulkWrite(changes.map(({ contest, status }) => ({
+        updateOne: { filter: { _id: contest._id, status: contest.status }, update: { $set: { status, statusChangedAt: now } } }
+    })));
+    stats.updated = result.modifiedCount;
+    const updated = result.modifiedCount > 0
+        ? await Contest.find({ _id: { $in: changes.map(c => c.contest._id) }, statusChangedAt: now }).lean()
+        : [];
+    for (const contest of updated) {
+        console.log(`Updated status for "${contest.name}" to ${contest.status}.`);
+        publishContestEvent('contest-updated', contest);
+        if (contest.status === 'On-going') {
+            await pushContestStarted(contest);
         }
-
-    } catch (error) {
-        console.error('Error fetching from YouTube API:', error.response ? error.response.data.error.message : error.message);
-        return null;
     }
-};
 
-const updateContestStatuses = async () => {
-    console.log('Running scheduled job: Updating contest statuses...');
-    const now = new Date();
-    try {
-        const contestsToCheck = await Contest.find({ status: { $ne: 'Past' } });
-        if (contestsToCheck.length === 0) {
-            return;
-        }
-        for (const contest of contestsToCheck) {
-            let newStatus = contest.status;
-            if (now >= new Date(contest.endTime)) {
-                newStatus = 'Past';
-            } else if (now >= new Date(contest.startTime) && now < new Date(contest.endTime)) {
-                newStatus = 'On-going';
-            } else {
-                newStatus = 'Upcoming';
-            }
-            if (newStatus !== contest.status) {
-                contest.status = newStatus;
-                await contest.save();
-                console.log(`Updated status for "${contest.name}" to ${newStatus}.`);
-            }
-            if (newStatus === 'Past' && !contest.solutionUrl) {
-                const videoId = await findYouTubeSolution(contest.name, contest.endTime, contest.platform);
-                if (videoId) {
-                    contest.solutionUrl = videoId;
-                    await contest.save();
-                    console.log(`Found and saved solution for "${contest.name}".`);
-                }
-            }
+    // Newly finished contests get their problem list and solution videos
+    const finished = await Contest.find({
+        _id: { $in: updated.filter(c => c.status === 'Past').map(c => c._id) },
+        status: 'Past'
+    });
+    for (const contest of finished) {
+        if (!contest.problemsFetchedAt && problemSources.some(s => s.platform === contest.platform)
+            && await sources.track(`${contest.platform} problems`, () => attachProblemSet(contest), attached => attached ? 1 : 0)) {
+            await contest.save();
+            console.log(`Saved ${contest.problems.length} problems for "${contest.name}".`);
+            publishContestEvent('contest-updated', contest.toObject());
+        }
+        if (!contest.solutionUrl && await findAndSaveSolutions(contest, sources)) {
+            stats.solutionsFound += 1;
+            console.log(`Found and saved solution for "${contest.name}".`);
         }
-    } catch (error) {
-        console.error('Error in updateContestStatuses job:', error);
     }
-};
+    return { sources: sources.list(), stats };
+});
 
-const backfillMissingSolutions = async () => {
-    console.log('Running one-time job: Backfilling missing YouTube solutions...');
-    try {
-        const contestsToBackfill = await Contest.find({
-            platform: { $in: ['Codeforces', 'LeetCode'] },
-            status: 'Past',
-            solutionUrl: null 
-        });
-        if (contestsToBackfill.length === 0) {
-            console.log('No past contests are missing solutions. All good!');
-            return;
-        }
-        console.log(`Found ${contestsToBackfill.length} past contests to check for solutions.`);
-        for (const contest of contestsToBackfill) {
-            const videoId = await findYouTubeSolution(contest.name, contest.endTime, contest.platform);
-            if (videoId) {
-                contest.solutionUrl = videoId;
-                await contest.save();
-                console.log(`Backfilled solution for: "${contest.name}"`);
+const backfillMissingSolutions = () => runMonitoredJob('backfillMissingSolutions', async () => {
+    console.log('Running scheduled job: Backfilling missing YouTube solutions...');
+    const sources = createSourceStats();
+    // Never searched, or searched only before videos were likely to be up
+    const settledBefore = new Date(Date.now() - SOLUTION_SEARCH_SETTLE_MS);
+    const contestsToBackfill = await Contest.find({
+        platform: { $in: ['Codeforces', 'LeetCode'] },
+        status: 'Past',
+        solutionUrl: null,
+        $or: [
+            { solutionsSearchedAt: null },
+            {
+                endTime: { $lte: settledBefore },
+                $expr: { $lt: ['$solutionsSearchedAt', { $add: ['$endTime', SOLUTION_SEARCH_SETTLE_MS] }] }
             }
+        ]
+    }).sort({ endTime: -1 });
+    const stats = { checked: contestsToBackfill.length, solutionsFound: 0 };
+    if (contestsToBackfill.length === 0) {
+        console.log('No past contests are missing solutions. All good!');
+        return { stats };
+    }
+    console.log(`Found ${contestsToBackfill.length} past contests to check for solutions.`);
+    for (const contest of contestsToBackfill) {
+        if (!(await hasYouTubeQuota())) {
+            console.log('YouTube quota budget spent, stopping the backfill for today.');
+            break;
+        }
+        if (await findAndSaveSolutions(contest, sources)) {
+            stats.solutionsFound += 1;
+            console.log(`Backfilled solution for: "${contest.name}"`);
         }
-        console.log('Finished backfilling solutions.');
-    } catch (error) {
-        console.error('Error during solution backfill:', error);
     }
-};
+    console.log('Finished backfilling solutions.');
+    stats.youtubeQuotaLeft = await getYouTubeQuotaRemaining();
+    return { sources: sources.list(), stats };
+});
+
+// --- Scheduled Jobs ---
+// Each run happens on one server instance only, see scheduler.js
+const MINUTE_MS = 60 * 1000;
+defineJob('syncContests', '0 * * * *', syncContests, { runOnFirstStart: true });
+defineJob('updateContestStatuses', '*/5 * * * *', updateContestStatuses, { runOnFirstStart: true, leaseMs: 2 * MINUTE_MS });
+defineJob('sendDueReminders', '* * * * *', sendDueReminders, { leaseMs: 2 * MINUTE_MS });
+defineJob('syncAllRatingHistories', '30 */6 * * *', syncAllRatingHistories);
+defineJob('refreshRecentProblemSets', '15 3 * * *', refreshRecentProblemSets);
+defineJob('syncAllUpsolves', '45 */6 * * *', syncAllUpsolves);
+// Right after the YouTube quota resets, so the backfill gets a full day's budget
+defineJob('backfillMissingSolutions', { rule: '15 0 * * *', tz: 'America/Los_Angeles' }, backfillMissingSolutions, { runOnFirstStart: true });
 
 // --- Authentication Routes ---
 app.get('/auth/google', passport.authenticate('google', { 
-    scope: ['profile', 'https://www.googleapis.com/auth/calendar.events'],
+    scope: [
+        'profile',
+        'https://www.googleapis.com/auth/calendar.events',
+        // Needed to let users pick which of their calendars contests go to
+        'https://www.googleapis.com/auth/calendar.calendarlist.readonly'
+    ],
     accessType: 'offline',
     prompt: 'consent'
 }));
@@ -349,14 +288,60 @@ app.get('/auth/google/callback', passport.authenticate('google', {
     failureRedirect: process.env.FRONTEND_URL
 }));
 
+// The parts of the logged-in user the frontend reads. OAuth tokens, feed
+// tokens, webhook URLs and push subscriptions stay out; the settings page
+// loads feeds and reminder settings from their own endpoints.
+const USER_FIELDS = ['_id', 'displayName', 'role', 'timezone', 'locale', 'handles', 'calendarSettings', 'autoSyncRules', 'schedulePreferences'];
+
 app.get('/api/user', (req, res) => {
     if (req.user) {
-        res.json(req.user);
+        res.json(Object.fromEntries(USER_FIELDS.map(field => [field, req.user[field]])));
     } else {
         res.status(401).json({ message: 'Not authenticated' });
     }
 });
 
+app.put('/api/user/preferences', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    const { timezone, locale } = req.body;
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ message: `Unknown timezone "${timezone}".` });
+    }
+    if (locale !== undefined && !isValidLocale(locale)) {
+        return res.status(400).json({ message: `Unknown locale "${locale}".` });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        if (timezone !== undefined) user.timezone = timezone;
+        if (locale !== undefined) user.locale = Intl.getCanonicalLocales(locale)[0];
+        await user.save();
+        res.json({ timezone: user.timezone, locale: user.locale });
+    } catch (error) {
+        res.status(500).json({ message: 'Error saving preferences', error });
+    }
+});
+
+app.get('/api/notifications', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    res.json(req.user.notifications.filter(n => !n.read));
+});
+
+app.post('/api/notifications/read', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        await User.updateOne({ _id: req.user._id }, { $set: { 'notifications.$[].read': true } });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating notifications', error });
+    }
+});
+
 app.get('/auth/logout', (req, res, next) => {
     req.logout(err => {
         if (err) { return next(err); }
@@ -366,25 +351,124 @@ app.get('/auth/logout', (req, res, next) => {
 
 
 // --- API Routes ---
+// Live stream of contest changes, see events.js
+app.get('/api/events', streamContestEvents);
+
+app.get('/api/platforms', (req, res) => {
+    res.json(getPlatformHealth());
+});
+
+const CONTEST_STATUSES = ['Upcoming', 'On-going', 'Past', 'Cancelled'];
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Cursors point just past the last contest of a page: its start time plus
+// its id to break ties between contests starting at the same moment.
+const encodeCursor = (contest) => Buffer.from(JSON.stringify({ t: contest.startTime.getTime(), id: contest._id.toString() })).toString('base64url');
+const decodeCursor = (cursor) => {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!Number.isFinite(t) || !mongoose.isValidObjectId(id)) return null;
+        return { startTime: new Date(t), id: new mongoose.Types.ObjectId(id) };
+    } catch {
+        return null;
+    }
+};
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+// GET /api/contests
+//   status    Upcoming | On-going | Past | Cancelled
+//   platform  one or more platform names (repeat the parameter or comma separate)
+//   from, to  start time range, any Date-parsable value
+//   q         words that must all appear in the contest name, case-insensitive
+//   saved     'true' for the logged-in user's bookmarks only
+//   sort      'asc' or 'desc' by start time; Past defaults to newest first
+//   limit     page size, at most 100
+//   cursor    `nextCursor` from the previous page
 app.get('/api/contests', async (req, res) => {
+    const { status, from, to, q, sort, cursor, saved } = req.query;
+    const platforms = parseList(req.query.platform);
+    const conditions = [{ hidden: { $ne: true } }];
+
+    if (status) {
+        if (!CONTEST_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Unknown status "${status}".` });
+        }
+        conditions.push({ status });
+    }
+    if (platforms.length > 0) {
+        conditions.push({ platform: { $in: platforms } });
+    }
+    if (from || to) {
+        const fromDate = from ? parseDate(from) : null;
+        const toDate = to ? parseDate(to) : null;
+        if ((from && !fromDate) || (to && !toDate)) {
+            return res.status(400).json({ message: 'Invalid date range.' });
+        }
+        conditions.push({ startTime: { ...(fromDate && { $gte: fromDate }), ...(toDate && { $lt: toDate }) } });
+    }
+    const search = typeof q === 'string' ? buildTextSearch(q) : null;
+    if (search) {
+        conditions.push(search);
+    }
+    if (saved === 'true') {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Not authenticated' });
+        }
+        conditions.push({ _id: { $in: req.user.savedContests } });
+    }
+
+    const direction = sort === 'asc' ? 1 : sort === 'desc' ? -1 : status === 'Past' ? -1 : 1;
+    if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position) {
+            return res.status(400).json({ message: 'Invalid cursor.' });
+        }
+        const op = direction === 1 ? '$gt' : '$lt';
+        conditions.push({ $or: [
+            { startTime: { [op]: position.startTime } },
+            { startTime: position.startTime, _id: { [op]: position.id } }
+        ] });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
     try {
-        const contests = await Contest.find({}).lean(); 
+        const contests = await Contest.find({ $and: conditions })
+            .select(PUBLIC_CONTEST_FIELDS.join(' '))
+            .sort({ startTime: direction, _id: direction })
+            .limit(limit + 1)
+            .lean();
+        const hasMore = contests.length > limit;
+        const page = contests.slice(0, limit);
+
         const savedContestIds = req.user ? new Set(req.user.savedContests.map(id => id.toString())) : new Set();
         // 2. ADDED a check for contests added to the user's calendar
         const addedToCalendarIds = req.user ? new Set(req.user.addedToCalendar.map(id => id.toString())) : new Set();
+        const participations = req.user
+            ? await ContestParticipation.find({ user: req.user._id, contest: { $in: page.map(c => c._id) } }).lean()
+            : [];
+        const participationByContest = new Map(participations.map(p => [p.contest.toString(), p]));
         
-        const formattedContests = contests
-            .map(c => ({
+        const formattedContests = page.map(c => {
+            const participation = participationByContest.get(c._id.toString());
+            return {
                 ...c,
                 saved: savedContestIds.has(c._id.toString()),
                 // 3. ADDED a flag to send to the frontend
                 isAddedToCalendar: addedToCalendarIds.has(c._id.toString()),
-                displayStartTime: new Date(c.startTime).toLocaleString('en-IN', {
-                    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: 'numeric', hour12: true, timeZone: 'Asia/Kolkata'
-                })
-            }))
-            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
-        res.json(formattedContests);
+                participation: participation
+                    ? { rank: participation.rank, ratingChange: participation.newRating - participation.oldRating }
+                    : null
+            };
+        });
+        res.json({
+            contests: formattedContests,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+        });
     } catch (error) {
         res.status(500).json({ message: 'Error fetching contests', error });
     }
@@ -404,53 +488,988 @@ app.patch('/api/contests/:id', async (req, res) => {
             user.savedContests.pull(id);
         }
         await user.save();
-        res.json({ success: true });
+        // Let the client warn about clashes with what the user already planned
+        const conflicts = saved ? await getScheduleConflicts(user, id) : [];
+        res.json({ success: true, conflicts });
     } catch (error) {
         res.status(500).json({ message: 'Error updating bookmarks', error });
     }
 });
 
+// --- Schedule Conflicts ---
+const MAX_MIN_GAP_MINUTES = 12 * 60;
+
+app.get('/api/schedule/conflicts', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        res.json(await getScheduleConflicts(req.user));
+    } catch (error) {
+        res.status(500).json({ message: 'Error checking schedule conflicts', error });
+    }
+});
+
+app.put('/api/schedule/preferences', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    const { minGapMinutes, platformPriority } = req.body;
+    if (minGapMinutes !== undefined && (!Number.isInteger(minGapMinutes) || minGapMinutes < 0 || minGapMinutes > MAX_MIN_GAP_MINUTES)) {
+        return res.status(400).json({ message: `The minimum gap must be between 0 and ${MAX_MIN_GAP_MINUTES} minutes.` });
+    }
+    const priority = platformPriority !== undefined ? [...new Set(parseList(platformPriority))] : undefined;
+    const unknown = (priority || []).filter(name => !platforms.some(p => p.name === name));
+    if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown platform "${unknown[0]}".` });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        if (minGapMinutes !== undefined) user.schedulePreferences.minGapMinutes = minGapMinutes;
+        if (priority !== undefined) user.schedulePreferences.platformPriority = priority;
+        await user.save();
+        res.json(user.schedulePreferences);
+    } catch (error) {
+        res.status(500).json({ message: 'Error saving schedule preferences', error });
+    }
+});
+
 app.post('/api/calendar-event', async (req, res) => {
     if (!req.user) {
         return res.status(401).json({ message: 'Not authenticated.' });
     }
     try {
         const { contest } = req.body;
-        const authorizedClient = await getAuthorizedClient(req.user);
-        const calendar = google.calendar({ version: 'v3', auth: authorizedClient });
-        const event = {
-            summary: contest.name,
-            description: `A new coding contest is here! Visit the contest page: ${contest.url}`,
-            start: { dateTime: new Date(contest.startTime).toISOString() },
-            end: { dateTime: new Date(contest.endTime).toISOString() },
-            reminders: {
-                useDefault: false,
-                overrides: [
-                    { method: 'popup', 'minutes': 60 },
-                    { method: 'popup', 'minutes': 1440 },
-                ],
-            },
-        };
-        const createdEvent = await calendar.events.insert({
-            calendarId: 'primary',
-            resource: event,
-        });
+        const { calendarId, reminderMinutes } = req.user.calendarSettings;
+        const createdEvent = await insertContestEvent(req.user, contest, calendarId, reminderMinutes);
 
         // 4. ADDED logic to save the contest ID to the user's profile upon success
-        if (createdEvent.data.htmlLink) {
+        if (createdEvent.htmlLink) {
             const user = await User.findById(req.user.id);
             user.addedToCalendar.addToSet(contest._id);
+            user.autoSyncOptOuts.pull(contest._id);
+            // Keep the event id so later reschedules can move the event.
+            user.calendarEvents = user.calendarEvents.filter(e => !e.contest.equals(contest._id));
+            user.calendarEvents.push({ contest: contest._id, eventId: createdEvent.id, calendarId });
             await user.save();
             console.log(`Saved contest ${contest._id} to user ${user.id}'s calendar list.`);
         }
 
-        res.status(200).json({ message: 'Event created successfully!', url: createdEvent.data.htmlLink });
+        res.status(200).json({ message: 'Event created successfully!', url: createdEvent.htmlLink });
     } catch (error) {
         console.error('Error creating calendar event:', error);
         res.status(500).json({ message: 'Failed to create calendar event.' });
     }
 });
 
+app.delete('/api/calendar-event/:contestId', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated.' });
+    }
+    try {
+        const { contestId } = req.params;
+        const user = await User.findById(req.user.id);
+        const calendarEntry = user.calendarEvents.find(e => e.contest.equals(contestId));
+        // Contests added before event ids were stored can only be unmarked.
+        if (calendarEntry) {
+            await deleteContestEvent(user, calendarEntry);
+        }
+        user.calendarEvents = user.calendarEvents.filter(e => !e.contest.equals(contestId));
+        user.addedToCalendar.pull(contestId);
+        // Keep auto-sync rules from adding it straight back
+        user.autoSyncOptOuts.addToSet(contestId);
+        await user.save();
+        res.json({
+            message: calendarEntry
+                ? 'Event removed from your calendar.'
+                : 'Removed from your list. Please delete the old event from Google Calendar yourself.'
+        });
+    } catch (error) {
+        console.error('Error deleting calendar event:', error);
+        res.status(500).json({ message: 'Failed to remove calendar event.' });
+    }
+});
+
+app.post('/api/calendar/sync-bookmarks', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated.' });
+    }
+    try {
+        const added = await syncBookmarksToCalendar(req.user);
+        res.json({
+            message: added.length > 0 ? `Added ${added.length} bookmarked contest${added.length === 1 ? '' : 's'} to your calendar.` : 'All your bookmarks are already in your calendar.',
+            added: added.map(c => c._id)
+        });
+    } catch (error) {
+        console.error('Error syncing bookmarks to calendar:', error);
+        res.status(500).json({ message: 'Failed to sync bookmarks to calendar.' });
+    }
+});
+
+app.get('/api/calendar/auto-sync-rules', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated.' });
+    }
+    res.json(req.user.autoSyncRules);
+});
+
+app.post('/api/calendar/auto-sync-rules', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated.' });
+    }
+    const platform = typeof req.body.platform === 'string' && req.body.platform ? req.body.platform : null;
+    const nameContains = typeof req.body.nameContains === 'string' ? req.body.nameContains.trim() : '';
+    if (!platform && !nameContains) {
+        return res.status(400).json({ message: 'A rule needs a platform, a name filter, or both.' });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        user.autoSyncRules.push({ platform, nameContains });
+        await user.save();
+        res.status(201).json(user.autoSyncRules);
+    } catch (error) {
+        res.status(500).json({ message: 'Error saving auto-sync rule', error });
+    }
+});
+
+app.delete('/api/calendar/auto-sync-rules/:ruleId', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated.' });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        user.autoSyncRules.pull(req.params.ruleId);
+        await user.save();
+        res.json(user.autoSyncRules);
+    } catch (error) {
+        res.status(500).json({ message: 'Error deleting auto-sync rule', error });
+    }
+});
+
+app.get('/api/calendar/calendars', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated.' });
+    }
+    try {
+        res.json(await listWritableCalendars(req.user));
+    } catch (error) {
+        console.error('Error listing calendars:', error);
+        res.status(500).json({ message: 'Failed to load your calendars.' });
+    }
+});
+
+// Google Calendar allows at most 5 reminder overrides, up to 4 weeks ahead.
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 40320;
+
+app.put('/api/calendar/settings', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated.' });
+    }
+    const { calendarId, reminderMinutes } = req.body;
+    if (typeof calendarId !== 'string' || !calendarId) {
+        return res.status(400).json({ message: 'Please choose a calendar.' });
+    }
+    if (!Array.isArray(reminderMinutes) || reminderMinutes.length > MAX_REMINDERS ||
+        !reminderMinutes.every(m => Number.isInteger(m) && m >= 0 && m <= MAX_REMINDER_MINUTES)) {
+        return res.status(400).json({ message: `Reminders must be up to ${MAX_REMINDERS} whole numbers of minutes between 0 and ${MAX_REMINDER_MINUTES}.` });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        user.calendarSettings = { calendarId, reminderMinutes: [...new Set(reminderMinutes)] };
+        await user.save();
+        res.json(user.calendarSettings);
+    } catch (error) {
+        res.status(500).json({ message: 'Error saving calendar settings', error });
+    }
+});
+
+
+// --- Profiles and Rating History ---
+// Handles may contain letters, digits, '_', '-' and '.'
+const HANDLE_PATTERN = /^[\w.-]{1,40}$/;
+
+const buildProfile = async (user) => {
+    const participations = await ContestParticipation.find({ user: user._id }).sort({ date: 1 }).lean();
+    return {
+        id: user.id,
+        displayName: user.displayName,
+        handles: user.handles,
+        participations: participations.map(p => ({
+            platform: p.platform,
+            contest: p.contest,
+            contestName: p.contestName,
+            rank: p.rank,
+            oldRating: p.oldRating,
+            newRating: p.newRating,
+            date: p.date
+        }))
+    };
+};
+
+app.get('/api/profile', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        res.json(await buildProfile(req.user));
+    } catch (error) {
+        res.status(500).json({ message: 'Error loading profile', error });
+    }
+});
+
+// Other users' profiles are visible to the members of their groups. Anyone
+// else gets the same 404 as for an unknown id.
+app.get('/api/profile/:userId', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        const { userId } = req.params;
+        const canView = mongoose.isValidObjectId(userId) && (req.user._id.equals(userId)
+            || await Group.exists({ 'members.user': { $all: [req.user._id, userId] } }));
+        const user = canView ? await User.findById(userId) : null;
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json(await buildProfile(user));
+    } catch (error) {
+        res.status(500).json({ message: 'Error loading profile', error });
+    }
+});
+
+app.put('/api/profile/handles', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    const handles = {};
+    for (const key of HANDLE_KEYS) {
+        const value = typeof req.body[key] === 'string' ? req.body[key].trim() : '';
+        if (value && !HANDLE_PATTERN.test(value)) {
+            return res.status(400).json({ message: `"${value}" is not a valid ${key} handle.` });
+        }
+        handles[key] = value || null;
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        user.handles = handles;
+        await user.save();
+        // Pull the history right away so the profile is filled in on reload.
+        const results = await syncUserRatingHistory(user);
+        res.json({ handles: user.handles, results });
+    } catch (error) {
+        res.status(500).json({ message: 'Error saving handles', error });
+    }
+});
+
+// --- Upsolving ---
+app.get('/api/upsolve', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        res.json(await getUpsolveList(req.user));
+    } catch (error) {
+        res.status(500).json({ message: 'Error loading upsolve list', error });
+    }
+});
+
+app.put('/api/upsolve/:contestId/:problemIndex', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    const { contestId, problemIndex } = req.params;
+    const { status } = req.body;
+    if (!UPSOLVE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of ${UPSOLVE_STATUSES.join(', ')}.` });
+    }
+    try {
+        const contest = mongoose.isValidObjectId(contestId) ? await Contest.findById(contestId, { problems: 1 }).lean() : null;
+        if (!contest || !contest.problems.some(p => p.index === problemIndex)) {
+            return res.status(404).json({ message: 'Problem not found' });
+        }
+        await UpsolveEntry.updateOne(
+            { user: req.user._id, contest: contest._id, problemIndex },
+            { $set: { status, source: 'manual', updatedAt: new Date() } },
+            { upsert: true }
+        );
+        res.json({ contestId, problemIndex, status });
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating upsolve status', error });
+    }
+});
+
+app.post('/api/upsolve/sync', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    if (!req.user.handles?.codeforces) {
+        return res.status(400).json({ message: 'Link your Codeforces handle on your profile first.' });
+    }
+    try {
+        const updated = await syncCodeforcesUpsolves(req.user);
+        res.json({ updated, list: await getUpsolveList(req.user) });
+    } catch (error) {
+        res.status(500).json({ message: 'Error syncing Codeforces submissions', error });
+    }
+});
+
+// --- Admin: Contest Curation ---
+const ADMIN_PAGE_SIZE = 100;
+
+const requireAdmin = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Admins only' });
+    }
+    next();
+};
+
+// Loads the contest named in the route, or sends a 404 and returns null.
+const findContestParam = async (req, res) => {
+    const contest = mongoose.isValidObjectId(req.params.contestId) ? await Contest.findById(req.params.contestId) : null;
+    if (!contest) {
+        res.status(404).json({ message: 'Contest not found' });
+        return null;
+    }
+    return contest;
+};
+
+//   q         words in the contest name
+//   platform  one platform name
+//   source    'scraper' or 'manual'
+//   hidden    'true' for hidden contests only, 'false' for visible ones only
+app.get('/api/admin/contests', requireAdmin, async (req, res) => {
+    const { q, platform, source, hidden } = req.query;
+    const filter = {};
+    const search = typeof q === 'string' ? buildTextSearch(q) : null;
+    if (search) Object.assign(filter, search);
+    if (platform) filter.platform = platform;
+    if (source === 'scraper' || source === 'manual') filter.source = source;
+    if (hidden === 'true') filter.hidden = true;
+    if (hidden === 'false') filter.hidden = { $ne: true };
+    try {
+        res.json(await Contest.find(filter).sort({ startTime: -1 }).limit(ADMIN_PAGE_SIZE).lean());
+    } catch (error) {
+        res.status(500).json({ message: 'Error loading contests', error });
+    }
+});
+
+app.post('/api/admin/contests', requireAdmin, async (req, res) => {
+    const { values, error: inputError } = parseContestInput(req.body);
+    if (inputError) {
+        return res.status(400).json({ message: inputError });
+    }
+    try {
+        const contest = await Contest.create({
+            ...values,
+            source: 'manual',
+            status: statusForTimes(values.startTime, values.endTime)
+        });
+        publishContestEvent('contest-created', contest.toObject());
+        res.status(201).json(contest);
+    } catch (error) {
+        res.status(500).json({ message: 'Error creating contest', error });
+    }
+});
+
+// Edits and hides a contest. Edited fields of a scraped contest become
+// overrides, and moved times are pushed to users' calendars like a reschedule.
+app.put('/api/admin/contests/:contestId', requireAdmin, async (req, res) => {
+    try {
+        const contest = await findContestParam(req, res);
+        if (!contest) return;
+        const { values, error: inputError } = parseContestInput(req.body, contest);
+        if (inputError) {
+            return res.status(400).json({ message: inputError });
+        }
+        const before = contest.toObject();
+        const changed = EDITABLE_FIELDS.filter(field => values[field] instanceof Date
+            ? values[field].getTime() !== contest[field]?.getTime()
+            : values[field] !== contest[field]);
+        contest.set(values);
+        if (contest.source === 'scraper' && changed.length > 0) {
+            contest.overrides = [...new Set([...contest.overrides, ...changed])];
+        }
+        const timesChanged = changed.includes('startTime') || changed.includes('endTime');
+        if (timesChanged && contest.status !== 'Cancelled') {
+            contest.status = statusForTimes(contest.startTime, contest.endTime);
+        }
+        if (typeof req.body.hidden === 'boolean') {
+            contest.hidden = req.body.hidden;
+            if (!contest.hidden) contest.mergedInto = null;
+        }
+        await contest.save();
+        if (timesChanged) {
+            await propagateScheduleChanges({ rescheduled: [{ before, after: contest.toObject() }], cancelled: [] });
+        }
+        publishContestEvent('contest-updated', contest.toObject());
+        res.json(contest);
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating contest', error });
+    }
+});
+
+// Drops the admin's corrections; the next fetch restores the platform's data.
+app.delete('/api/admin/contests/:contestId/overrides', requireAdmin, async (req, res) => {
+    try {
+        const contest = await findContestParam(req, res);
+        if (!contest) return;
+        contest.overrides = [];
+        await contest.save();
+        res.json(contest);
+    } catch (error) {
+        res.status(500).json({ message: 'Error clearing overrides', error });
+    }
+});
+
+app.post('/api/admin/contests/:contestId/merge', requireAdmin, async (req, res) => {
+    try {
+        const contest = await findContestParam(req, res);
+        if (!contest) return;
+        const { targetId } = req.body;
+        const target = mongoose.isValidObjectId(targetId) ? await Contest.findById(targetId) : null;
+        if (!target || target.hidden) {
+            return res.status(404).json({ message: 'Target contest not found' });
+        }
+        if (target._id.equals(contest._id)) {
+            return res.status(400).json({ message: 'A contest cannot be merged into itself.' });
+        }
+        await mergeContests(contest, target);
+        publishContestEvent('contest-updated', contest.toObject());
+        publishContestEvent('contest-updated', target.toObject());
+        res.json({ merged: contest, into: target });
+    } catch (error) {
+        res.status(500).json({ message: 'Error merging contests', error });
+    }
+});
+
+app.delete('/api/admin/contests/:contestId', requireAdmin, async (req, res) => {
+    try {
+        const contest = await findContestParam(req, res);
+        if (!contest) return;
+        if (contest.source === 'scraper') {
+            return res.status(400).json({ message: 'Scraped contests come back on the next fetch. Hide them instead.' });
+        }
+        await deleteManualContest(contest);
+        publishContestEvent('contest-updated', { ...contest.toObject(), hidden: true });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ message: 'Error deleting contest', error });
+    }
+});
+
+// --- Community Submissions ---
+const MAX_REVIEW_NOTE_LENGTH = 500;
+
+app.post('/api/submissions', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    const { values, error: inputError } = parseContestInput(req.body);
+    if (inputError) {
+        return res.status(400).json({ message: inputError });
+    }
+    const windowError = checkSubmissionWindow(values);
+    if (windowError) {
+        return res.status(400).json({ message: windowError });
+    }
+    try {
+        if (await isOverSubmissionLimit(req.user._id)) {
+            return res.status(429).json({ message: `You can submit up to ${SUBMISSIONS_PER_DAY} contests a day. Please try again tomorrow.` });
+        }
+        const { exact, pendingExact, similar } = await findDuplicates(values);
+        if (exact.length > 0) {
+            return res.status(409).json({ message: `"${exact[0].name}" is already listed.`, contest: exact[0] });
+        }
+        if (pendingExact.length > 0) {
+            return res.status(409).json({ message: 'Someone already submitted this contest. It is waiting for review.' });
+        }
+        const submission = await ContestSubmission.create({
+            submitter: req.user._id,
+            name: values.name,
+            platform: values.platform,
+            url: values.url,
+            startTime: values.startTime,
+            endTime: values.endTime,
+            possibleDuplicates: similar.map(c => c._id)
+        });
+        res.status(201).json(submission);
+    } catch (error) {
+        res.status(500).json({ message: 'Error submitting contest', error });
+    }
+});
+
+app.get('/api/submissions/mine', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        res.json(await ContestSubmission.find({ submitter: req.user._id }).sort({ createdAt: -1 }).lean());
+    } catch (error) {
+        res.status(500).json({ message: 'Error loading submissions', error });
+    }
+});
+
+app.get('/api/admin/submissions', requireAdmin, async (req, res) => {
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    try {
+        const submissions = await ContestSubmission.find({ status })
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .limit(ADMIN_PAGE_SIZE)
+            .populate('submitter', 'displayName')
+            .populate('possibleDuplicates', 'name platform startTime url')
+            .lean();
+        res.json(submissions);
+    } catch (error) {
+        res.status(500).json({ message: 'Error loading submissions', error });
+    }
+});
+
+// Loads a pending submission named in the route, or sends the error and returns null.
+const findPendingSubmission = async (req, res) => {
+    const submission = mongoose.isValidObjectId(req.params.submissionId) ? await ContestSubmission.findById(req.params.submissionId) : null;
+    if (!submission) {
+        res.status(404).json({ message: 'Submission not found' });
+        return null;
+    }
+    if (submission.status !== 'pending') {
+        res.status(409).json({ message: `This submission was already ${submission.status}.` });
+        return null;
+    }
+    return submission;
+};
+
+const parseReviewNote = (note) => typeof note === 'string' ? note.trim().slice(0, MAX_REVIEW_NOTE_LENGTH) : '';
+
+app.post('/api/admin/submissions/:submissionId/approve', requireAdmin, async (req, res) => {
+    try {
+        const submission = await findPendingSubmission(req, res);
+        if (!submission) return;
+        // The reviewer may correct the details while approving.
+        const { values, error: inputError } = parseContestInput(req.body, submission);
+        if (inputError) {
+            return res.status(400).json({ message: inputError });
+        }
+        const contest = await Contest.create({
+            ...values,
+            source: 'community',
+            status: statusForTimes(values.startTime, values.endTime)
+        });
+        submission.set({
+            status: 'approved',
+            contest: contest._id,
+            reviewNote: parseReviewNote(req.body.note),
+            reviewedBy: req.user._id,
+            reviewedAt: new Date()
+        });
+        await submission.save();
+        publishContestEvent('contest-created', contest.toObject());
+        await notifyUser(submission.submitter, `Your submission "${contest.name}" was approved and is now listed.`, contest._id);
+        res.json({ submission, contest });
+    } catch (error) {
+        res.status(500).json({ message: 'Error approving submission', error });
+    }
+});
+
+app.post('/api/admin/submissions/:submissionId/reject', requireAdmin, async (req, res) => {
+    try {
+        const submission = await findPendingSubmission(req, res);
+        if (!submission) return;
+        submission.set({
+            status: 'rejected',
+            reviewNote: parseReviewNote(req.body.note),
+            reviewedBy: req.user._id,
+            reviewedAt: new Date()
+        });
+        await submission.save();
+        const reason = submission.reviewNote ? ` Reason: ${submission.reviewNote}` : '';
+        await notifyUser(submission.submitter, `Your submission "${submission.name}" was not accepted.${reason}`);
+        res.json(submission);
+    } catch (error) {
+        res.status(500).json({ message: 'Error rejecting submission', error });
+    }
+});
+
+// --- Admin: Job Health ---
+// Recent runs of the monitored jobs with per-source stats, the alerts they
+// raised and the in-memory state of each contest source.
+app.get('/api/admin/health', requireAdmin, async (req, res) => {
+    try {
+        const report = await getHealthReport();
+        res.json({ ...report, platforms: getPlatformHealth() });
+    } catch (error) {
+        res.status(500).json({ message: 'Error loading job health', error });
+    }
+});
+
+app.get('/api/admin/jobs', requireAdmin, async (req, res) => {
+    try {
+        res.json(await getScheduledJobs());
+    } catch (error) {
+        res.status(500).json({ message: 'Error loading scheduled jobs', error });
+    }
+});
+
+// Runs a job now, on this instance, unless another run holds its lease.
+app.post('/api/admin/jobs/:name/run', requireAdmin, async (req, res) => {
+    try {
+        const { status, message } = await triggerJob(req.params.name, `admin:${req.user.displayName || req.user.id}`);
+        res.status(status).json({ message });
+    } catch (error) {
+        res.status(500).json({ message: 'Error starting job', error });
+    }
+});
+
+// --- Groups ---
+const PLAN_RESPONSES = ['going', 'maybe', 'skipping'];
+const createInviteCode = () => crypto.randomBytes(9).toString('base64url');
+
+// Loads a group the current user belongs to. Sends the error response and
+// returns null when the user is not logged in, not a member, or the group
+// does not exist, so routes can simply `return` in that case.
+const findGroupForMember = async (req, res) => {
+    if (!req.user) {
+        res.status(401).json({ message: 'Not authenticated' });
+        return null;
+    }
+    const group = mongoose.isValidObjectId(req.params.groupId) ? await Group.findById(req.params.groupId) : null;
+    if (!group || !group.members.some(m => m.user.equals(req.user._id))) {
+        res.status(404).json({ message: 'Group not found' });
+        return null;
+    }
+    return group;
+};
+
+app.get('/api/groups', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        const groups = await Group.find({ 'members.user': req.user._id }).sort({ createdAt: 1 }).lean();
+        res.json(groups.map(g => ({ _id: g._id, name: g.name, memberCount: g.members.length, isOwner: g.owner.equals(req.user._id) })));
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching groups', error });
+    }
+});
+
+app.post('/api/groups', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 80) {
+        return res.status(400).json({ message: 'Group names must be 1 to 80 characters.' });
+    }
+    try {
+        const group = await Group.create({
+            name,
+            owner: req.user._id,
+            members: [{ user: req.user._id }],
+            inviteCode: createInviteCode()
+        });
+        res.status(201).json({ _id: group._id, name: group.name, memberCount: 1, isOwner: true });
+    } catch (error) {
+        res.status(500).json({ message: 'Error creating group', error });
+    }
+});
+
+app.post('/api/groups/join/:inviteCode', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        const group = await Group.findOne({ inviteCode: req.params.inviteCode });
+        if (!group) {
+            return res.status(404).json({ message: 'This invite link is invalid or has been reset.' });
+        }
+        if (!group.members.some(m => m.user.equals(req.user._id))) {
+            group.members.push({ user: req.user._id });
+            await group.save();
+        }
+        res.json({ _id: group._id, name: group.name });
+    } catch (error) {
+        res.status(500).json({ message: 'Error joining group', error });
+    }
+});
+
+// Group page: members, the invite code and the shared plan of upcoming contests.
+app.get('/api/groups/:groupId', async (req, res) => {
+    try {
+        const group = await findGroupForMember(req, res);
+        if (!group) return;
+        await group.populate('members.user', 'displayName');
+        const upcomingIds = await Contest.find({ status: { $in: ['Upcoming', 'On-going'] }, hidden: { $ne: true } }).distinct('_id');
+        const entries = await GroupPlanEntry.find({ group: group._id, contest: { $in: upcomingIds } }).lean();
+
+        const plan = {};
+        for (const entry of entries) {
+            const contestId = entry.contest.toString();
+            plan[contestId] = { ...plan[contestId], [entry.user.toString()]: entry.response };
+        }
+        res.json({
+            _id: group._id,
+            name: group.name,
+            isOwner: group.owner.equals(req.user._id),
+            inviteCode: group.inviteCode,
+            members: group.members.filter(m => m.user).map(m => ({ _id: m.user._id, displayName: m.user.displayName, joinedAt: m.joinedAt })),
+            plan
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching group', error });
+    }
+});
+
+app.put('/api/groups/:groupId/plan/:contestId', async (req, res) => {
+    try {
+        const group = await findGroupForMember(req, res);
+        if (!group) return;
+        const { contestId } = req.params;
+        const { response } = req.body;
+        if (!mongoose.isValidObjectId(contestId) || !(await Contest.exists({ _id: contestId, hidden: { $ne: true } }))) {
+            return res.status(404).json({ message: 'Contest not found' });
+        }
+        const filter = { group: group._id, contest: contestId, user: req.user._id };
+        if (response === null) {
+            await GroupPlanEntry.deleteOne(filter);
+        } else if (PLAN_RESPONSES.includes(response)) {
+            await GroupPlanEntry.updateOne(filter, { $set: { response, updatedAt: new Date() } }, { upsert: true });
+        } else {
+            return res.status(400).json({ message: `Response must be one of ${PLAN_RESPONSES.join(', ')} or null.` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating plan', error });
+    }
+});
+
+app.post('/api/groups/:groupId/invite', async (req, res) => {
+    try {
+        const group = await findGroupForMember(req, res);
+        if (!group) return;
+        if (!group.owner.equals(req.user._id)) {
+            return res.status(403).json({ message: 'Only the group owner can reset the invite link.' });
+        }
+        group.inviteCode = createInviteCode();
+        await group.save();
+        res.json({ inviteCode: group.inviteCode });
+    } catch (error) {
+        res.status(500).json({ message: 'Error resetting invite link', error });
+    }
+});
+
+// Members can leave; the owner can also remove others. When the owner leaves,
+// the longest-standing remaining member takes over, and an empty group is deleted.
+app.delete('/api/groups/:groupId/members/:userId', async (req, res) => {
+    try {
+        const group = await findGroupForMember(req, res);
+        if (!group) return;
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+        const isSelf = req.user._id.equals(userId);
+        if (!isSelf && !group.owner.equals(req.user._id)) {
+            return res.status(403).json({ message: 'Only the group owner can remove members.' });
+        }
+        group.members = group.members.filter(m => !m.user.equals(userId));
+        await GroupPlanEntry.deleteMany({ group: group._id, user: userId });
+        if (group.members.length === 0) {
+            await group.deleteOne();
+            return res.json({ deleted: true });
+        }
+        if (group.owner.equals(userId)) {
+            group.owner = group.members[0].user;
+        }
+        await group.save();
+        res.json({ deleted: false });
+    } catch (error) {
+        res.status(500).json({ message: 'Error removing member', error });
+    }
+});
+
+// --- Reminders ---
+const MAX_REMINDER_OFFSETS = 5;
+const WEBHOOK_FORMATS = ['generic', 'discord', 'slack'];
+
+app.get('/api/reminders/settings', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    res.json(req.user.reminderSettings);
+});
+
+app.put('/api/reminders/settings', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    const { minutesBefore, email, webhooks } = req.body;
+    if (!Array.isArray(minutesBefore) || minutesBefore.length > MAX_REMINDER_OFFSETS ||
+        !minutesBefore.every(m => Number.isInteger(m) && m > 0 && m <= 10080)) {
+        return res.status(400).json({ message: `Reminder times must be up to ${MAX_REMINDER_OFFSETS} whole numbers of minutes, at most one week.` });
+    }
+    if (email?.enabled && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.address || '')) {
+        return res.status(400).json({ message: 'Please enter a valid email address.' });
+    }
+    if (!Array.isArray(webhooks) || !webhooks.every(w => typeof w?.url === 'string' && WEBHOOK_FORMATS.includes(w.format))) {
+        return res.status(400).json({ message: 'Webhooks need an http(s) URL and a format of generic, discord or slack.' });
+    }
+    for (const { url } of webhooks) {
+        const problem = await checkWebhookUrl(url);
+        if (problem) return res.status(400).json({ message: `The webhook URL ${url} ${problem}.` });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        user.reminderSettings = {
+            minutesBefore: [...new Set(minutesBefore)],
+            email: { enabled: !!email?.enabled, address: (email?.address || '').trim() },
+            webhooks: webhooks.map(({ url, format }) => ({ url, format }))
+        };
+        await user.save();
+        res.json(user.reminderSettings);
+    } catch (error) {
+        res.status(500).json({ message: 'Error saving reminder settings', error });
+    }
+});
+
+app.post('/api/reminders/test', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    const results = await sendTestReminders(req.user);
+    res.json(results);
+});
+
+// --- Web Push Subscriptions ---
+app.get('/api/push/public-key', (req, res) => {
+    const publicKey = getVapidPublicKey();
+    if (!publicKey) {
+        return res.status(503).json({ message: 'Push notifications are not configured on this server.' });
+    }
+    res.json({ publicKey });
+});
+
+app.post('/api/push/subscriptions', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    const { endpoint, keys } = req.body;
+    if (typeof endpoint !== 'string' || !keys?.p256dh || !keys?.auth) {
+        return res.status(400).json({ message: 'Invalid push subscription.' });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        user.pushSubscriptions = user.pushSubscriptions.filter(s => s.endpoint !== endpoint);
+        user.pushSubscriptions.push({ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } });
+        await user.save();
+        res.status(201).json({ success: true });
+    } catch (error) {
+        res.status(500).json({ message: 'Error saving push subscription', error });
+    }
+});
+
+app.delete('/api/push/subscriptions', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        await User.updateOne({ _id: req.user._id }, { $pull: { pushSubscriptions: { endpoint: req.body.endpoint } } });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ message: 'Error removing push subscription', error });
+    }
+});
+
+// --- iCalendar Feeds ---
+// How far back the public feeds reach, so subscribers keep recent history.
+const PUBLIC_FEED_HISTORY_DAYS = 30;
+
+const sendCalendar = (res, filename, calendar) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(calendar);
+};
+
+// Anonymous feed, e.g. /api/feeds/public.ics?platforms=Codeforces,LeetCode
+app.get('/api/feeds/public.ics', async (req, res) => {
+    try {
+        const platforms = parseList(req.query.platforms);
+        const since = new Date(Date.now() - PUBLIC_FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        const contests = await Contest.find({
+            startTime: { $gte: since },
+            hidden: { $ne: true },
+            ...(platforms.length > 0 && { platform: { $in: platforms } })
+        }).sort({ startTime: 1 }).lean();
+        const name = platforms.length > 0 ? `Contests: ${platforms.join(', ')}` : 'All Contests';
+        sendCalendar(res, 'contests.ics', buildCalendar({ name, contests }));
+    } catch (error) {
+        console.error('Error building public feed:', error);
+        res.status(500).json({ message: 'Error building feed' });
+    }
+});
+
+app.get('/api/feeds/:token.ics', async (req, res) => {
+    try {
+        const { token } = req.params;
+        const user = await User.findOne({ 'feedTokens.token': token });
+        if (!user) {
+            return res.status(404).json({ message: 'Feed not found' });
+        }
+        const feed = user.feedTokens.find(f => f.token === token);
+        const contests = await Contest.find({
+            _id: { $in: user.savedContests },
+            hidden: { $ne: true },
+            ...(feed.platforms.length > 0 && { platform: { $in: feed.platforms } })
+        }).sort({ startTime: 1 }).lean();
+        sendCalendar(res, 'bookmarks.ics', buildCalendar({
+            name: 'My Bookmarked Contests',
+            contests,
+            reminderMinutes: user.calendarSettings.reminderMinutes
+        }));
+    } catch (error) {
+        console.error('Error building user feed:', error);
+        res.status(500).json({ message: 'Error building feed' });
+    }
+});
+
+app.get('/api/feeds', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    res.json(req.user.feedTokens);
+});
+
+app.post('/api/feeds', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        user.feedTokens.push({ token: crypto.randomBytes(24).toString('hex'), platforms: parseList(req.body.platforms) });
+        await user.save();
+        res.status(201).json(user.feedTokens);
+    } catch (error) {
+        res.status(500).json({ message: 'Error creating feed', error });
+    }
+});
+
+// Revoking a token makes its feed URL stop working immediately.
+app.delete('/api/feeds/:token', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authenticated' });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        user.feedTokens = user.feedTokens.filter(f => f.token !== req.params.token);
+        await user.save();
+        res.json(user.feedTokens);
+    } catch (error) {
+        res.status(500).json({ message: 'Error revoking feed', error });
+    }
+});
+
 
 // --- Database Connection and Server Start ---
 mongoose.connect(process.env.MONGO_URI)
@@ -458,12 +1477,11 @@ mongoose.connect(process.env.MONGO_URI)
     console.log('Successfully connected to MongoDB Atlas!');
     app.listen(PORT, () => {
       console.log(`Server is running on http://localhost:${PORT}`);
-      fetchAndStoreContests();
-      updateContestStatuses();
-      backfillMissingSolutions();
-      schedule.scheduleJob('0 * * * *', fetchAndStoreContests);
-      schedule.scheduleJob('*/5 * * * *', updateContestStatuses);
-      console.log('Scheduled jobs for fetching and updating contests.');
+      startEventRelay()
+        .catch(error => console.error('Error starting the contest event relay:', error))
+        .then(() => startScheduler())
+        .then(() => console.log('Scheduled jobs for fetching and updating contests.'))
+        .catch(error => console.error('Error starting the job scheduler:', error));
     });
   })
   .catch((error) => {
@@ -0,0 +1,308 @@
+import mongoose from 'mongoose';
+
+// --- Mongoose Schemas and Models ---
+const userSchema = new mongoose.Schema({
+    googleId: String,
+    displayName: String,
+    // Admins can add, edit, hide and merge contests.
+    role: { type: String, enum: ['user', 'admin'], default: 'user' },
+    // IANA timezone (e.g. 'Europe/Berlin') and BCP 47 locale (e.g. 'de-DE');
+    // null until picked up from the user's browser or set in settings.
+    timezone: { type: String, default: null },
+    locale: { type: String, default: null },
+    savedContests: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contest' }],
+    // 1. ADDED a new field to the user schema to track contests added to the calendar
+    addedToCalendar: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contest' }],
+    // The Google Calendar event created for each contest, so it can be moved
+    // or deleted when the contest changes.
+    calendarEvents: [{
+        contest: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest' },
+        eventId: String,
+        calendarId: { type: String, default: 'primary' }
+    }],
+    // Linked competitive programming accounts used to pull rating history.
+    handles: {
+        codeforces: { type: String, default: null },
+        leetcode: { type: String, default: null },
+        atcoder: { type: String, default: null }
+    },
+    calendarSettings: {
+        calendarId: { type: String, default: 'primary' },
+        // Popup reminders, in minutes before the contest starts.
+        reminderMinutes: { type: [Number], default: [60, 1440] }
+    },
+    // Contests matching any of these rules are added to the calendar automatically.
+    autoSyncRules: [{
+        platform: { type: String, default: null },
+        nameContains: { type: String, default: '' }
+    }],
+    // Contests the user removed from their calendar; auto-sync rules leave
+    // them out until the user adds them again by hand.
+    autoSyncOptOuts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contest' }],
+    // Used to flag clashing bookmarks: contests less than `minGapMinutes`
+    // apart count as a conflict, and `platformPriority` (most preferred
+    // first) decides which of two clashing contests to suggest keeping.
+    schedulePreferences: {
+        minGapMinutes: { type: Number, default: 15 },
+        platformPriority: { type: [String], default: [] }
+    },
+    // Secret tokens for subscribable .ics feeds of the user's bookmarks.
+    feedTokens: [{
+        token: { type: String, index: true },
+        platforms: [String],
+        createdAt: { type: Date, default: Date.now }
+    }],
+    // Email and webhook reminders sent before bookmarked contests start.
+    reminderSettings: {
+        minutesBefore: { type: [Number], default: [30] },
+        email: {
+            enabled: { type: Boolean, default: false },
+            address: { type: String, default: '' }
+        },
+        webhooks: [{
+            url: String,
+            // 'generic', 'discord' or 'slack'
+            format: { type: String, default: 'generic' }
+        }]
+    },
+    // Browser Web Push subscriptions, one per device the user enabled.
+    pushSubscriptions: [{
+        endpoint: String,
+        keys: { p256dh: String, auth: String },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    notifications: [{
+        message: String,
+        contest: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', default: null },
+        read: { type: Boolean, default: false },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    accessToken: String,
+    refreshToken: String,
+    tokenExpires: Number
+});
+export const User = mongoose.model('User', userSchema);
+
+const contestSchema = new mongoose.Schema({
+    name: String,
+    platform: String,
+    // The source platform's own id for the contest (Codeforces contest id,
+    // LeetCode slug, ...). Together with `platform` it identifies a contest
+    // even after it is renamed or rescheduled.
+    externalId: String,
+    duration: String,
+    startTime: { type: Date, required: true },
+    endTime: { type: Date, required: true },
+    // 'Upcoming', 'On-going', 'Past', or 'Cancelled' once the platform drops it.
+    status: { type: String, default: 'Upcoming' },
+    // When the status job last moved the contest to the next status
+    statusChangedAt: { type: Date, default: null },
+    url: String,
+    // YouTube id of the best solution video, kept for existing clients
+    solutionUrl: { type: String, default: null },
+    // Every matching solution video, best first, with a 0-1 confidence score.
+    solutions: [{
+        _id: false,
+        videoId: String,
+        title: String,
+        channelTitle: String,
+        publishedAt: Date,
+        score: Number
+    }],
+    // Problem list and official editorial, fetched once the contest is over.
+    // `rating` is the Codeforces problem rating, `difficulty` LeetCode's
+    // Easy/Medium/Hard.
+    problems: [{
+        _id: false,
+        index: String,
+        name: String,
+        url: String,
+        rating: { type: Number, default: null },
+        difficulty: { type: String, default: null },
+        tags: [String]
+    }],
+    editorialUrl: { type: String, default: null },
+    problemsFetchedAt: { type: Date, default: null },
+    // Last completed YouTube search for solution videos, whatever it found
+    solutionsSearchedAt: { type: Date, default: null },
+    // 'scraper' for contests from the platform fetches, 'manual' for ones an
+    // admin added and 'community' for approved user submissions. Fields an
+    // admin corrected on a scraped contest are listed in `overrides` and
+    // survive the next fetch.
+    source: { type: String, enum: ['scraper', 'manual', 'community'], default: 'scraper' },
+    overrides: { type: [String], default: [] },
+    // Hidden contests are left out of listings and feeds. A merged duplicate
+    // stays hidden and points at the contest it was merged into.
+    hidden: { type: Boolean, default: false },
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', default: null }
+});
+contestSchema.index(
+    { platform: 1, externalId: 1 },
+    { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+// Back the filtered, cursor-paginated contest listing.
+contestSchema.index({ status: 1, startTime: 1, _id: 1 });
+contestSchema.index({ platform: 1, status: 1, startTime: 1, _id: 1 });
+// Backs the name search; matches whole words, case-insensitively.
+contestSchema.index({ name: 'text' });
+export const Contest = mongoose.model('Contest', contestSchema);
+
+// One document per reminder sent, so each is delivered only once.
+const reminderLogSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    contest: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', required: true },
+    channel: { type: String, required: true },
+    target: { type: String, required: true },
+    minutesBefore: { type: Number, required: true },
+    sentAt: { type: Date, default: Date.now }
+});
+reminderLogSchema.index({ user: 1, contest: 1, channel: 1, target: 1, minutesBefore: 1 }, { unique: true });
+export const ReminderLog = mongoose.model('ReminderLog', reminderLogSchema);
+
+// A user's result in one rated contest, pulled from the platform's API.
+const contestParticipationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    platform: { type: String, required: true },
+    handle: String,
+    externalContestId: { type: String, required: true },
+    // The matching stored contest, if the tracker knows about it.
+    contest: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', default: null },
+    contestName: String,
+    rank: Number,
+    oldRating: Number,
+    newRating: Number,
+    date: Date
+});
+contestParticipationSchema.index({ user: 1, platform: 1, externalContestId: 1 }, { unique: true });
+contestParticipationSchema.index({ user: 1, contest: 1 });
+export const ContestParticipation = mongoose.model('ContestParticipation', contestParticipationSchema);
+
+// A team that plans contests together. Members join through the invite code.
+const groupSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    members: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        joinedAt: { type: Date, default: Date.now }
+    }],
+    inviteCode: { type: String, required: true, unique: true },
+    createdAt: { type: Date, default: Date.now }
+});
+groupSchema.index({ 'members.user': 1 });
+export const Group = mongoose.model('Group', groupSchema);
+
+// One member's answer ('going', 'maybe' or 'skipping') for a contest in a group's plan.
+const groupPlanEntrySchema = new mongoose.Schema({
+    group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    contest: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    response: { type: String, enum: ['going', 'maybe', 'skipping'], required: true },
+    updatedAt: { type: Date, default: Date.now }
+});
+groupPlanEntrySchema.index({ group: 1, contest: 1, user: 1 }, { unique: true });
+export const GroupPlanEntry = mongoose.model('GroupPlanEntry', groupPlanEntrySchema);
+
+// A user's progress on one problem of a past contest: 'solved' during the
+// contest, 'upsolved' afterwards, or still 'todo'. Problems without an entry
+// count as 'todo'. `source` is 'codeforces' when set from submissions.
+const upsolveEntrySchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    contest: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', required: true },
+    problemIndex: { type: String, required: true },
+    status: { type: String, enum: ['solved', 'upsolved', 'todo'], required: true },
+    source: { type: String, default: 'manual' },
+    updatedAt: { type: Date, default: Date.now }
+});
+upsolveEntrySchema.index({ user: 1, contest: 1, problemIndex: 1 }, { unique: true });
+export const UpsolveEntry = mongoose.model('UpsolveEntry', upsolveEntrySchema);
+
+// A contest a user suggested. It stays 'pending' until an admin approves it,
+// which creates the Contest, or rejects it with a note for the submitter.
+const contestSubmissionSchema = new mongoose.Schema({
+    submitter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true },
+    platform: { type: String, required: true },
+    url: { type: String, required: true },
+    startTime: { type: Date, required: true },
+    endTime: { type: Date, required: true },
+    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    // Existing contests that look like the same event, for the reviewer.
+    possibleDuplicates: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contest' }],
+    reviewNote: { type: String, default: '' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    contest: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+contestSubmissionSchema.index({ status: 1, createdAt: 1 });
+contestSubmissionSchema.index({ submitter: 1, createdAt: -1 });
+export const ContestSubmission = mongoose.model('ContestSubmission', contestSubmissionSchema);
+
+// One run of a scheduled job, with how each source it talked to fared, so
+// silent scraper breakage shows up on the admin status page. Runs are kept
+// for 30 days.
+const jobRunSchema = new mongoose.Schema({
+    job: { type: String, required: true },
+    startedAt: { type: Date, default: Date.now, expires: '30d' },
+    finishedAt: Date,
+    durationMs: Number,
+    // 'success', 'partial' when some source failed, 'failed' when the job threw
+    status: { type: String, enum: ['success', 'partial', 'failed'], required: true },
+    error: { type: String, default: null },
+    sources: [{
+        _id: false,
+        name: String,
+        ok: Boolean,
+        calls: Number,
+        failures: Number,
+        // Contests, videos or problem sets returned
+        count: Number,
+        latencyMs: Number,
+        error: { type: String, default: null }
+    }],
+    stats: { type: Map, of: Number, default: {} },
+    alerts: { type: [String], default: [] }
+});
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ 'alerts.0': 1, startedAt: -1 });
+export const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+// Shared state of a scheduled job across server instances. An instance runs
+// the job only after claiming the lease (`lockedBy` / `lockedUntil`), and
+// `nextRunAt` survives restarts so runs missed while the server was down are
+// caught up once it is back.
+const scheduledJobSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    nextRunAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    lastRunAt: { type: Date, default: null },
+    lastFinishedAt: { type: Date, default: null },
+    lastDurationMs: { type: Number, default: null },
+    // 'success', 'partial' or 'failed'; monitored jobs report their JobRun status
+    lastStatus: { type: String, default: null },
+    lastError: { type: String, default: null },
+    lastTriggeredBy: { type: String, default: null }
+});
+export const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+// Units of an external API's daily quota spent so far, shared by every
+// server instance. `day` is the quota day in the API's reset timezone
+// ('2025-10-21'); old days expire after a week.
+const quotaUsageSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    day: { type: String, required: true },
+    used: Number,
+    createdAt: { type: Date, default: Date.now, expires: '7d' }
+});
+quotaUsageSchema.index({ name: 1, day: 1 }, { unique: true });
+export const QuotaUsage = mongoose.model('QuotaUsage', quotaUsageSchema);
+
+// Live contest events on their way to the SSE streams of every server
+// instance, see events.js. Only needed for a moment after insertion.
+const contestEventSchema = new mongoose.Schema({
+    type: { type: String, required: true },
+    contest: { type: mongoose.Schema.Types.Mixed, required: true },
+    createdAt: { type: Date, default: Date.now, expires: '1h' }
+});
+export const ContestEvent = mongoose.model('ContestEvent', contestEventSchema);
@@ -0,0 +1,141 @@
+import { User, JobRun } from './models.js';
+import { notifyUser } from './notifications.js';
+import { sendPushToUser } from './push.js';
+
+// Jobs whose runs are recorded. `expectsItems` marks jobs where a source
+// returning nothing right after returning something means it broke.
+export const MONITORED_JOBS = {
+    fetchAndStoreContests: { label: 'Fetch contests', expectsItems: true },
+    updateContestStatuses: { label: 'Update statuses', expectsItems: false },
+    backfillMissingSolutions: { label: 'Backfill solutions', expectsItems: false }
+};
+
+// Consecutive failed runs of a job or source before admins are alerted.
+export const FAILURE_ALERT_THRESHOLD = Number(process.env.HEALTH_ALERT_FAILURES) || 3;
+
+// Collects per-source outcomes over one job run.
+export const createSourceStats = () => {
+    const sources = new Map();
+
+    const record = (name, { ok, count = 0, latencyMs = 0, error = null }) => {
+        if (!sources.has(name)) {
+            sources.set(name, { name, ok: true, calls: 0, failures: 0, count: 0, latencyMs: 0, error: null });
+        }
+        const source = sources.get(name);
+        source.calls += 1;
+        source.count += count;
+        source.latencyMs += latencyMs;
+        if (!ok) {
+            source.ok = false;
+            source.failures += 1;
+            source.error = error;
+        }
+    };
+
+    // Times `fn` and records it against `name`. A null result or a thrown
+    // error counts as a failure; `countItems` turns the result into an item count.
+    const track = async (name, fn, countItems = () => 1) => {
+        const startedAt = Date.now();
+        try {
+            const result = await fn();
+            const latencyMs = Date.now() - startedAt;
+            if (result === null) {
+                record(name, { ok: false, latencyMs, error: 'Request failed' });
+            } else {
+                record(name, { ok: true, latencyMs, count: countItems(result) });
+            }
+            return result;
+        } catch (error) {
+            record(name, { ok: false, latencyMs: Date.now() - startedAt, error: error.message });
+            throw error;
+        }
+    };
+
+    return { record, track, list: () => [...sources.values()] };
+};
+
+// Number of entries at the start of `history` (newest first) that failed
+const countFailureStreak = (history, isOk) => {
+    const firstOk = history.findIndex(isOk);
+    return firstOk === -1 ? history.length : firstOk;
+};
+
+// Alert messages for a just-finished run, based on the runs before it
+// (newest first). Each failure streak alerts once, on the run that reaches
+// the threshold.
+export const findRunAlerts = (run, previousRuns, { expectsItems }) => {
+    const alerts = [];
+    if (run.status === 'failed' && 1 + countFailureStreak(previousRuns, r => r.status !== 'failed') === FAILURE_ALERT_THRESHOLD) {
+        alerts.push(`${run.job} failed ${FAILURE_ALERT_THRESHOLD} runs in a row: ${run.error}`);
+    }
+    for (const source of run.sources) {
+        const history = previousRuns
+            .map(r => r.sources.find(s => s.name === source.name))
+            .filter(Boolean);
+        if (!source.ok) {
+            if (1 + countFailureStreak(history, s => s.ok) === FAILURE_ALERT_THRESHOLD) {
+                alerts.push(`${source.name} failed ${FAILURE_ALERT_THRESHOLD} runs of ${run.job} in a row: ${source.error}`);
+            }
+        } else if (expectsItems && source.count === 0 && history[0]?.ok && history[0].count > 0) {
+            alerts.push(`${source.name} returned no contests in ${run.job}, down from ${history[0].count}.`);
+        }
+    }
+    return alerts;
+};
+
+const alertAdmins = async (alerts) => {
+    const admins = await User.find({ role: 'admin' });
+    for (const message of alerts) {
+        console.error(`Health alert: ${message}`);
+        for (const admin of admins) {
+            await notifyUser(admin._id, message);
+            await sendPushToUser(admin, { title: 'Contest Tracker health alert', body: message, url: process.env.FRONTEND_URL, tag: 'health-alert' });
+        }
+    }
+};
+
+// Runs `work` and stores a JobRun for it. `work` may return
+// `{ sources, stats }`; errors are logged and recorded instead of thrown.
+export const runMonitoredJob = async (job, work) => {
+    const run = new JobRun({ job, startedAt: new Date(), status: 'success' });
+    try {
+        const { sources = [], stats = {} } = (await work()) || {};
+        run.sources = sources;
+        run.stats = stats;
+        if (sources.some(s => !s.ok)) run.status = 'partial';
+    } catch (error) {
+        console.error(`Error in ${job} job:`, error);
+        run.status = 'failed';
+        run.error = error.message;
+    }
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+
+    try {
+        const previousRuns = await JobRun.find({ job, startedAt: { $lt: run.startedAt } })
+            .sort({ startedAt: -1 })
+            .limit(FAILURE_ALERT_THRESHOLD)
+            .lean();
+        run.alerts = findRunAlerts(run, previousRuns, MONITORED_JOBS[job] || {});
+        await run.save();
+        if (run.alerts.length > 0) await alertAdmins(run.alerts);
+    } catch (error) {
+        console.error(`Failed to record ${job} run:`, error);
+    }
+    return run;
+};
+
+// Recent runs of every monitored job plus the latest alerts.
+export const getHealthReport = async ({ runsPerJob = 20, alertLimit = 20 } = {}) => {
+    const jobs = await Promise.all(Object.entries(MONITORED_JOBS).map(async ([job, { label }]) => ({
+        job,
+        label,
+        runs: await JobRun.find({ job }).sort({ startedAt: -1 }).limit(runsPerJob).lean()
+    })));
+    const alertRuns = await JobRun.find({ 'alerts.0': { $exists: true } })
+        .sort({ startedAt: -1 })
+        .limit(alertLimit)
+        .lean();
+    const alerts = alertRuns.flatMap(r => r.alerts.map(message => ({ job: r.job, at: r.startedAt, message })));
+    return { jobs, alerts: alerts.slice(0, alertLimit), failureThreshold: FAILURE_ALERT_THRESHOLD };
+};
@@ -0,0 +1,16 @@
+import { User } from './models.js';
+
+// Number of notifications kept per user; older ones are dropped.
+const MAX_NOTIFICATIONS = 50;
+
+// Stores an in-app notification that the frontend shows on the user's next visit.
+export const notifyUser = async (userId, message, contestId = null) => {
+    await User.updateOne({ _id: userId }, {
+        $push: {
+            notifications: {
+                $each: [{ message, contest: contestId }],
+                $slice: -MAX_NOTIFICATIONS
+            }
+        }
+    });
+};
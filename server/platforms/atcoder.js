@@ -0,0 +1,48 @@
+import http from '../http.js';
+import { createPlatform } from './createPlatform.js';
+import { formatDuration, stripTags } from '../helpers.js';
+
+// AtCoder has no public contest API, so the upcoming table on the contests
+// page is parsed instead. Each row holds the start time (with offset), the
+// contest link and the duration as "HH:MM".
+export const normalize = (html) => {
+    const tableMatch = html.match(/<div id="contest-table-upcoming">([\s\S]*?)<\/table>/);
+    if (!tableMatch) {
+        throw new Error('AtCoder page is missing the upcoming contests table.');
+    }
+    const rows = tableMatch[1].match(/<tr>[\s\S]*?<\/tr>/g) || [];
+    return rows
+        .map(row => {
+            const timeMatch = row.match(/<time[^>]*>([^<]+)<\/time>/);
+            const linkMatch = row.match(/<a href="\/contests\/([^"]+)">([\s\S]*?)<\/a>/);
+            const durationMatch = row.match(/<td class="text-center">\s*(\d+):(\d{2})\s*<\/td>/);
+            if (!timeMatch || !linkMatch || !durationMatch) return null;
+
+            // "2025-07-26 21:00:00+0900" -> "2025-07-26T21:00:00+09:00"
+            const iso = timeMatch[1].trim().replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2');
+            const startTime = new Date(iso);
+            const durationSeconds = (Number(durationMatch[1]) * 60 + Number(durationMatch[2])) * 60;
+            return {
+                name: stripTags(linkMatch[2]),
+                platform: 'AtCoder',
+                externalId: linkMatch[1],
+                duration: formatDuration(durationSeconds),
+                startTime,
+                endTime: new Date(startTime.getTime() + durationSeconds * 1000),
+                status: 'Upcoming',
+                url: `https://atcoder.jp/contests/${linkMatch[1]}`
+            };
+        })
+        .filter(c => c && !isNaN(c.startTime));
+};
+
+export default createPlatform({
+    id: 'atcoder',
+    name: 'AtCoder',
+    fetch: async () => {
+        const response = await http.get('https://atcoder.jp/contests/?lang=en', { responseType: 'text', cache: true });
+        return response.data;
+    },
+    normalize,
+    parseExternalId: (url) => url.match(/atcoder\.jp\/contests\/([\w-]+)/)?.[1] ?? null
+});
@@ -0,0 +1,37 @@
+import http from '../http.js';
+import { createPlatform } from './createPlatform.js';
+import { formatDuration } from '../helpers.js';
+
+export const normalize = (payload) => {
+    if (payload.status !== 'success' || !Array.isArray(payload.future_contests)) {
+        throw new Error(`Unexpected CodeChef status: ${payload.status}`);
+    }
+    return payload.future_contests.map(c => {
+        const startTime = new Date(c.contest_start_date_iso);
+        const endTime = new Date(c.contest_end_date_iso);
+        return {
+            name: c.contest_name,
+            platform: 'CodeChef',
+            externalId: c.contest_code,
+            duration: formatDuration((endTime - startTime) / 1000),
+            startTime,
+            endTime,
+            status: 'Upcoming',
+            url: `https://www.codechef.com/${c.contest_code}`
+        };
+    });
+};
+
+export default createPlatform({
+    id: 'codechef',
+    name: 'CodeChef',
+    fetch: async () => {
+        const response = await http.get('https://www.codechef.com/api/list/contests/all', {
+            params: { sort_by: 'START', sorting_order: 'asc', offset: 0, mode: 'all' },
+            cache: true
+        });
+        return response.data;
+    },
+    normalize,
+    parseExternalId: (url) => url.match(/codechef\.com\/([\w-]+)/)?.[1] ?? null
+});
@@ -0,0 +1,32 @@
+import http from '../http.js';
+import { createPlatform } from './createPlatform.js';
+import { formatDuration } from '../helpers.js';
+
+export const normalize = (payload) => {
+    if (payload.status !== 'OK') {
+        throw new Error(`Unexpected Codeforces status: ${payload.status}`);
+    }
+    return payload.result
+        .filter(c => c.phase === 'BEFORE')
+        .map(c => ({
+            name: c.name,
+            platform: 'Codeforces',
+            externalId: String(c.id),
+            duration: formatDuration(c.durationSeconds),
+            startTime: new Date(c.startTimeSeconds * 1000),
+            endTime: new Date(c.startTimeSeconds * 1000 + c.durationSeconds * 1000),
+            status: 'Upcoming',
+            url: `https://codeforces.com/contests/${c.id}`
+        }));
+};
+
+export default createPlatform({
+    id: 'codeforces',
+    name: 'Codeforces',
+    fetch: async () => {
+        const response = await http.get('https://codeforces.com/api/contest.list', { cache: true });
+        return response.data;
+    },
+    normalize,
+    parseExternalId: (url) => url.match(/codeforces\.com\/contests?\/(\d+)/)?.[1] ?? null
+});
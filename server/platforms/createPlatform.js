@@ -0,0 +1,59 @@
+// Shared adapter interface for contest sources.
+//
+// Every platform module provides:
+//   id        - stable lowercase identifier, e.g. 'codeforces'
+//   name      - display name stored in Contest.platform, e.g. 'Codeforces'
+//   fetch     - async function returning the raw API payload
+//   normalize - pure function turning that payload into Contest-shaped objects,
+//               each carrying the platform's own `externalId`
+//   parseExternalId - recovers the `externalId` from a stored contest URL,
+//               used when migrating documents created before ids were kept
+//
+// Keeping `normalize` free of network calls means it can be exercised offline
+// against a recorded payload.
+export const createPlatform = ({ id, name, fetch, normalize, parseExternalId }) => {
+    const health = {
+        status: 'unknown',
+        lastRunAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        lastCount: 0,
+        lastLatencyMs: null,
+        consecutiveFailures: 0
+    };
+
+    // Fetches and normalizes contests, recording the outcome. Never throws so
+    // one broken source cannot stop the others from being stored.
+    const run = async () => {
+        health.lastRunAt = new Date();
+        try {
+            const payload = await fetch();
+            const contests = normalize(payload);
+            health.lastLatencyMs = Date.now() - health.lastRunAt.getTime();
+            health.status = 'healthy';
+            health.lastSuccessAt = health.lastRunAt;
+            health.lastError = null;
+            health.lastCount = contests.length;
+            health.consecutiveFailures = 0;
+            return contests;
+        } catch (error) {
+            health.lastLatencyMs = Date.now() - health.lastRunAt.getTime();
+            health.status = 'failing';
+            health.lastError = error.message;
+            health.lastCount = 0;
+            health.consecutiveFailures += 1;
+            console.error(`Failed to fetch from ${name}:`, error.message);
+            return [];
+        }
+    };
+
+    return {
+        id,
+        name,
+        fetch,
+        normalize,
+        parseExternalId,
+        run,
+        getHealth: () => ({ ...health })
+    };
+};
@@ -0,0 +1,41 @@
+import http from '../http.js';
+import { createPlatform } from './createPlatform.js';
+import { formatDuration } from '../helpers.js';
+
+// GeeksforGeeks returns local IST timestamps without an offset.
+const parseIstTime = (value) => new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value}+05:30`);
+
+export const normalize = (payload) => {
+    const upcoming = payload.results?.upcoming;
+    if (!Array.isArray(upcoming)) {
+        throw new Error('GeeksforGeeks response is missing upcoming events.');
+    }
+    return upcoming.map(c => {
+        const startTime = parseIstTime(c.start_time);
+        const endTime = parseIstTime(c.end_time);
+        return {
+            name: c.name,
+            platform: 'GeeksforGeeks',
+            externalId: c.slug,
+            duration: formatDuration((endTime - startTime) / 1000),
+            startTime,
+            endTime,
+            status: 'Upcoming',
+            url: `https://practice.geeksforgeeks.org/contest/${c.slug}`
+        };
+    });
+};
+
+export default createPlatform({
+    id: 'geeksforgeeks',
+    name: 'GeeksforGeeks',
+    fetch: async () => {
+        const response = await http.get('https://practiceapi.geeksforgeeks.org/api/vr/events/', {
+            params: { page_number: 1, sub_type: 'all', type: 'contest' },
+            cache: true
+        });
+        return response.data;
+    },
+    normalize,
+    parseExternalId: (url) => url.match(/geeksforgeeks\.org\/contest\/([\w-]+)/)?.[1] ?? null
+});
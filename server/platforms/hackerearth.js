@@ -0,0 +1,35 @@
+import http from '../http.js';
+import { createPlatform } from './createPlatform.js';
+import { formatDuration } from '../helpers.js';
+
+// HackerEarth events carry no numeric id, but the event URL path is unique.
+const hackerEarthId = (url) => url ? url.replace(/^https?:\/\/[^/]+/, '').replace(/\/+$/, '') : null;
+
+export const normalize = (payload) => {
+    if (!payload.response) {
+        throw new Error('HackerEarth response is missing the events list.');
+    }
+    return payload.response
+        .filter(c => c.status === 'UPCOMING')
+        .map(c => ({
+            name: c.title,
+            platform: 'HackerEarth',
+            externalId: hackerEarthId(c.url),
+            duration: formatDuration((new Date(c.end_utc_tz) - new Date(c.start_utc_tz)) / 1000),
+            startTime: new Date(c.start_utc_tz),
+            endTime: new Date(c.end_utc_tz),
+            status: 'Upcoming',
+            url: c.url
+        }));
+};
+
+export default createPlatform({
+    id: 'hackerearth',
+    name: 'HackerEarth',
+    fetch: async () => {
+        const response = await http.get('https://www.hackerearth.com/chrome-extension/events/', { cache: true });
+        return response.data;
+    },
+    normalize,
+    parseExternalId: hackerEarthId
+});
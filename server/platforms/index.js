@@ -0,0 +1,33 @@
+// Registry of contest sources. To add a platform, create a module that
+// exports a `createPlatform(...)` adapter and list it here.
+import codeforces from './codeforces.js';
+import leetcode from './leetcode.js';
+import hackerearth from './hackerearth.js';
+import topcoder from './topcoder.js';
+import atcoder from './atcoder.js';
+import codechef from './codechef.js';
+import geeksforgeeks from './geeksforgeeks.js';
+import kattis from './kattis.js';
+
+export const platforms = [
+    codeforces,
+    leetcode,
+    hackerearth,
+    topcoder,
+    atcoder,
+    codechef,
+    geeksforgeeks,
+    kattis
+];
+
+export const getPlatform = (id) => platforms.find(p => p.id === id);
+
+export const getPlatformByName = (name) => platforms.find(p => p.name === name);
+
+// Runs every adapter in parallel and returns the combined list of contests.
+export const fetchAllContests = async () => {
+    const results = await Promise.all(platforms.map(p => p.run()));
+    return results.flat();
+};
+
+export const getPlatformHealth = () => platforms.map(p => ({ id: p.id, name: p.name, ...p.getHealth() }));
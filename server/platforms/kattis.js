@@ -0,0 +1,46 @@
+import http from '../http.js';
+import { createPlatform } from './createPlatform.js';
+import { formatDuration, stripTags } from '../helpers.js';
+
+// Kattis hosts ICPC regionals and other public contests but has no JSON API.
+// The upcoming section of the contests page lists one contest per row with a
+// link, a UTC start time ("2025-08-02 09:00 UTC") and a length ("5:00:00").
+export const normalize = (html, now = new Date()) => {
+    const sectionMatch = html.match(/Upcoming[\s\S]*?<table[^>]*>([\s\S]*?)<\/table>/i);
+    if (!sectionMatch) {
+        throw new Error('Kattis page is missing the upcoming contests table.');
+    }
+    const rows = sectionMatch[1].match(/<tr[\s\S]*?<\/tr>/g) || [];
+    return rows
+        .map(row => {
+            const linkMatch = row.match(/<a href="(?:https:\/\/open\.kattis\.com)?\/contests\/([\w-]+)"[^>]*>([\s\S]*?)<\/a>/);
+            const timeMatch = row.match(/(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})(?::\d{2})?\s*UTC/);
+            const lengthMatch = row.match(/>\s*(\d+):(\d{2}):(\d{2})\s*</);
+            if (!linkMatch || !timeMatch || !lengthMatch) return null;
+
+            const startTime = new Date(`${timeMatch[1]}T${timeMatch[2]}:00Z`);
+            const durationSeconds = Number(lengthMatch[1]) * 3600 + Number(lengthMatch[2]) * 60 + Number(lengthMatch[3]);
+            return {
+                name: stripTags(linkMatch[2]),
+                platform: 'Kattis',
+                externalId: linkMatch[1],
+                duration: formatDuration(durationSeconds),
+                startTime,
+                endTime: new Date(startTime.getTime() + durationSeconds * 1000),
+                status: 'Upcoming',
+                url: `https://open.kattis.com/contests/${linkMatch[1]}`
+            };
+        })
+        .filter(c => c && c.startTime > now);
+};
+
+export default createPlatform({
+    id: 'kattis',
+    name: 'Kattis',
+    fetch: async () => {
+        const response = await http.get('https://open.kattis.com/contests', { responseType: 'text', cache: true });
+        return response.data;
+    },
+    normalize: (html) => normalize(html),
+    parseExternalId: (url) => url.match(/kattis\.com\/contests\/([\w-]+)/)?.[1] ?? null
+});
@@ -0,0 +1,33 @@
+import http from '../http.js';
+import { createPlatform } from './createPlatform.js';
+import { formatDuration } from '../helpers.js';
+
+export const normalize = (payload) => {
+    const upcomingContests = payload.data?.upcomingContests;
+    if (!upcomingContests) {
+        throw new Error('LeetCode response is missing upcomingContests.');
+    }
+    return upcomingContests.map(c => ({
+        name: c.title,
+        platform: 'LeetCode',
+        externalId: c.titleSlug,
+        duration: formatDuration(c.duration),
+        startTime: new Date(c.startTime * 1000),
+        endTime: new Date(c.startTime * 1000 + c.duration * 1000),
+        status: 'Upcoming',
+        url: `https://leetcode.com/contest/${c.titleSlug}`
+    }));
+};
+
+export default createPlatform({
+    id: 'leetcode',
+    name: 'LeetCode',
+    fetch: async () => {
+        const response = await http.post('https://leetcode.com/graphql', {
+            query: `query { upcomingContests { title titleSlug startTime duration } }`
+        }, { retries: 2 });
+        return response.data;
+    },
+    normalize,
+    parseExternalId: (url) => url.match(/leetcode\.com\/contest\/([\w-]+)/)?.[1] ?? null
+});
@@ -0,0 +1,33 @@
+import http from '../http.js';
+import { createPlatform } from './createPlatform.js';
+import { formatDuration } from '../helpers.js';
+
+// `now` is injectable so recorded payloads keep producing the same result.
+export const normalize = (payload, now = new Date()) => {
+    if (!Array.isArray(payload)) {
+        throw new Error('TopCoder response is not a list of challenges.');
+    }
+    return payload
+        .filter(c => new Date(c.startDate) > now)
+        .map(c => ({
+            name: c.name,
+            platform: 'TopCoder',
+            externalId: c.id,
+            duration: formatDuration((new Date(c.endDate) - new Date(c.startDate)) / 1000),
+            startTime: new Date(c.startDate),
+            endTime: new Date(c.endDate),
+            status: 'Upcoming',
+            url: `https://www.topcoder.com/challenges/${c.id}`
+        }));
+};
+
+export default createPlatform({
+    id: 'topcoder',
+    name: 'TopCoder',
+    fetch: async () => {
+        const response = await http.get('https://api.topcoder.com/v5/challenges?status=Active&perPage=50', { cache: true });
+        return response.data;
+    },
+    normalize: (payload) => normalize(payload),
+    parseExternalId: (url) => url.match(/topcoder\.com\/challenges\/([\w-]+)/)?.[1] ?? null
+});
@@ -0,0 +1,41 @@
+import http from '../http.js';
+
+// Problem list from the public Codeforces API. Ratings are assigned a few
+// days after the round, so they may still be null right after it ends.
+export const normalizeProblems = (payload) => {
+    if (payload.status !== 'OK') {
+        throw new Error(`Unexpected Codeforces status: ${payload.status}`);
+    }
+    return payload.result.problems.map(p => ({
+        index: p.index,
+        name: p.name,
+        url: `https://codeforces.com/contest/${p.contestId}/problem/${p.index}`,
+        rating: p.rating ?? null,
+        difficulty: null,
+        tags: p.tags || []
+    }));
+};
+
+// The API has no editorial field; the contest page links it from the
+// "Contest materials" box as a blog entry titled Tutorial or Editorial.
+export const parseEditorialUrl = (html) => {
+    const match = html.match(/<a[^>]+href="(?:https:\/\/codeforces\.com)?(\/blog\/entry\/\d+)"[^>]*>\s*(?:Tutorial|Editorial)/i);
+    return match ? `https://codeforces.com${match[1]}` : null;
+};
+
+export default {
+    platform: 'Codeforces',
+    fetchProblemSet: async (contestId) => {
+        const response = await http.get('https://codeforces.com/api/contest.standings', {
+            params: { contestId, from: 1, count: 1 }
+        });
+        let editorialUrl = null;
+        try {
+            const page = await http.get(`https://codeforces.com/contest/${contestId}`);
+            editorialUrl = parseEditorialUrl(page.data);
+        } catch (error) {
+            console.error(`Could not load Codeforces contest page ${contestId}:`, error.message);
+        }
+        return { problems: normalizeProblems(response.data), editorialUrl };
+    }
+};
@@ -0,0 +1,62 @@
+// Registry of sources for the problem lists and editorials of past contests.
+import { Contest } from '../models.js';
+import { publishContestEvent } from '../events.js';
+import codeforces from './codeforces.js';
+import leetcode from './leetcode.js';
+
+export const problemSources = [codeforces, leetcode];
+
+const RECENT_DAYS = 7;
+
+const getProblemSource = (platform) => problemSources.find(s => s.platform === platform);
+
+// Fetches the contest's problems and editorial link and sets them on the
+// document (without saving). Returns false when the platform has no source
+// and null when the fetch failed.
+export const attachProblemSet = async (contest) => {
+    const source = getProblemSource(contest.platform);
+    if (!source || !contest.externalId) return false;
+    try {
+        const { problems, editorialUrl } = await source.fetchProblemSet(contest.externalId);
+        contest.problems = problems;
+        contest.editorialUrl = editorialUrl || contest.editorialUrl || null;
+        contest.problemsFetchedAt = new Date();
+        return true;
+    } catch (error) {
+        console.error(`Failed to fetch problems for "${contest.name}":`, error.message);
+        return null;
+    }
+};
+
+// Daily job: editorials and Codeforces ratings often appear days after a
+// round, so refetch recent past contests that are still missing them.
+export const refreshRecentProblemSets = async () => {
+    console.log('Running scheduled job: Refreshing recent problem lists...');
+    try {
+        const since = new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000);
+        const contests = await Contest.find({
+            platform: { $in: problemSources.map(s => s.platform) },
+            status: 'Past',
+            endTime: { $gte: since },
+            $or: [
+                { problemsFetchedAt: null },
+                { problems: { $size: 0 } },
+                { platform: 'Codeforces', editorialUrl: null },
+                { 'problems.rating': null, platform: 'Codeforces' }
+            ]
+        });
+        const updated = [];
+        for (const contest of contests) {
+            if (await attachProblemSet(contest)) {
+                await contest.save();
+                publishContestEvent('contest-updated', contest.toObject());
+                updated.push(contest);
+            }
+        }
+        console.log(`Refreshed problem lists for ${updated.length} contests.`);
+        return updated;
+    } catch (error) {
+        console.error('Error in refreshRecentProblemSets job:', error);
+        return [];
+    }
+};
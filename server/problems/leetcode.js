@@ -0,0 +1,40 @@
+import http from '../http.js';
+
+// LeetCode has no official contest editorial; each problem links to its
+// community solutions page instead.
+export const normalizeProblems = (info, details) => {
+    if (!Array.isArray(info.questions)) {
+        throw new Error('LeetCode response is missing the contest questions.');
+    }
+    return info.questions.map((q, i) => {
+        const question = details.data?.[`q${i}`];
+        return {
+            index: `Q${i + 1}`,
+            name: q.title,
+            url: `https://leetcode.com/problems/${q.title_slug}/`,
+            rating: null,
+            difficulty: question?.difficulty ?? null,
+            tags: (question?.topicTags || []).map(t => t.name)
+        };
+    });
+};
+
+// One GraphQL request for the difficulty and tags of every question
+const buildDetailsQuery = (slugs) => {
+    const variables = slugs.map((_, i) => `$s${i}: String!`).join(', ');
+    const fields = slugs.map((_, i) => `q${i}: question(titleSlug: $s${i}) { difficulty topicTags { name } }`).join('\n');
+    return `query contestQuestions(${variables}) {\n${fields}\n}`;
+};
+
+export default {
+    platform: 'LeetCode',
+    fetchProblemSet: async (contestSlug) => {
+        const info = await http.get(`https://leetcode.com/contest/api/info/${contestSlug}/`);
+        const slugs = (info.data.questions || []).map(q => q.title_slug);
+        const details = slugs.length === 0 ? { data: {} } : (await http.post('https://leetcode.com/graphql', {
+            query: buildDetailsQuery(slugs),
+            variables: Object.fromEntries(slugs.map((slug, i) => [`s${i}`, slug]))
+        }, { retries: 2 })).data;
+        return { problems: normalizeProblems(info.data, details), editorialUrl: null };
+    }
+};
@@ -0,0 +1,89 @@
+import webpush from 'web-push';
+import { User } from './models.js';
+
+// --- Web Push ---
+// Needs a VAPID key pair in VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY (generate one
+// with `npx web-push generate-vapid-keys`) and a contact in VAPID_SUBJECT,
+// which push services require to be an https: or mailto: URL. Without them,
+// or if web-push rejects them, push is disabled and sends are skipped.
+let state = null;
+const configure = () => {
+    if (state) return state === 'ready';
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+        state = 'disabled';
+        return false;
+    }
+    if (!/^(https|mailto):/.test(VAPID_SUBJECT || '')) {
+        console.error('Push notifications are disabled: VAPID_SUBJECT must be an https: or mailto: URL.');
+        state = 'disabled';
+        return false;
+    }
+    try {
+        webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+        state = 'ready';
+    } catch (error) {
+        console.error('Push notifications are disabled:', error.message);
+        state = 'disabled';
+    }
+    return state === 'ready';
+};
+
+export const getVapidPublicKey = () => configure() ? process.env.VAPID_PUBLIC_KEY : null;
+
+// Sends a notification to every browser the user subscribed from. The push
+// service answers 404/410 for subscriptions that expired or were revoked;
+// those are removed so they are not tried again. Never throws.
+export const sendPushToUser = async (user, payload) => {
+    if (!configure() || user.pushSubscriptions.length === 0) return;
+    const expired = [];
+    for (const subscription of user.pushSubscriptions) {
+        try {
+            await webpush.sendNotification(
+                { endpoint: subscription.endpoint, keys: subscription.keys },
+                JSON.stringify(payload)
+            );
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                expired.push(subscription.endpoint);
+            } else {
+                console.error(`Failed to send push to user ${user.id}:`, error.message);
+            }
+        }
+    }
+    if (expired.length > 0) {
+        try {
+            await User.updateOne({ _id: user._id }, { $pull: { pushSubscriptions: { endpoint: { $in: expired } } } });
+            console.log(`Removed ${expired.length} expired push subscriptions for user ${user.id}.`);
+        } catch (error) {
+            console.error(`Failed to remove expired push subscriptions for user ${user.id}:`, error.message);
+        }
+    }
+};
+
+// Never throws, so the jobs that call it carry on with their other contests.
+const pushToContestFollowers = async (contest, payload) => {
+    if (!configure()) return;
+    try {
+        const users = await User.find({ savedContests: contest._id, 'pushSubscriptions.0': { $exists: true } });
+        for (const user of users) {
+            await sendPushToUser(user, payload);
+        }
+    } catch (error) {
+        console.error(`Failed to push "${payload.title}":`, error.message);
+    }
+};
+
+export const pushContestStarted = (contest) => pushToContestFollowers(contest, {
+    title: `${contest.name} has started`,
+    body: `Your bookmarked ${contest.platform} contest is live. Good luck!`,
+    url: contest.url,
+    tag: `contest-start-${contest._id}`
+});
+
+export const pushSolutionFound = (contest) => pushToContestFollowers(contest, {
+    title: `Solution video for ${contest.name}`,
+    body: 'A video solution for your bookmarked contest is now available.',
+    url: `https://www.youtube.com/watch?v=${contest.solutionUrl}`,
+    tag: `contest-solution-${contest._id}`
+});
@@ -0,0 +1,39 @@
+import { QuotaUsage } from './models.js';
+
+// --- Daily quota budgets ---
+// Tracks units spent against an API's daily allowance in MongoDB, so every
+// server instance and restart draws from the same budget. The allowance
+// resets at midnight in `timeZone` (YouTube's quota resets at midnight
+// Pacific time).
+
+// Quota day an instant falls on, e.g. '2025-10-21'
+export const getQuotaDay = (now, timeZone) => new Intl.DateTimeFormat('en-CA', { timeZone }).format(now);
+
+export const createDailyBudget = ({ name, limit, timeZone = 'UTC' }) => ({
+    // Reserves `cost` units; false when that would go over the limit. The
+    // check and the increment are one atomic update.
+    tryConsume: async (cost, now = new Date()) => {
+        if (cost > limit) return false;
+        const filter = { name, day: getQuotaDay(now, timeZone), used: { $lte: limit - cost } };
+        try {
+            await QuotaUsage.updateOne(filter, { $inc: { used: cost } }, { upsert: true });
+            return true;
+        } catch (error) {
+            // The day's document exists but has no room left (so the upsert
+            // tried to insert a second one), or another instance inserted it
+            // first. Only the latter can still succeed.
+            if (error.code !== 11000) throw error;
+            const result = await QuotaUsage.updateOne(filter, { $inc: { used: cost } });
+            return result.modifiedCount === 1;
+        }
+    },
+    // Marks the rest of today's allowance as spent, e.g. after the API
+    // reports the quota exceeded anyway.
+    exhaust: async (now = new Date()) => {
+        await QuotaUsage.updateOne({ name, day: getQuotaDay(now, timeZone) }, { $max: { used: limit } }, { upsert: true });
+    },
+    remaining: async (now = new Date()) => {
+        const usage = await QuotaUsage.findOne({ name, day: getQuotaDay(now, timeZone) }).lean();
+        return Math.max(limit - (usage?.used ?? 0), 0);
+    }
+});
@@ -0,0 +1,29 @@
+import http from '../http.js';
+
+// AtCoder serves a user's contest history as JSON. `ContestScreenName` looks
+// like "abc300.contest.atcoder.jp"; its first part is the contest id.
+export const normalizeHistory = (payload) => {
+    if (!Array.isArray(payload)) {
+        throw new Error('AtCoder history is not a list.');
+    }
+    return payload
+        .filter(r => r.IsRated)
+        .map(r => ({
+            externalContestId: r.ContestScreenName.split('.')[0],
+            contestName: r.ContestName,
+            rank: r.Place,
+            oldRating: r.OldRating,
+            newRating: r.NewRating,
+            date: new Date(r.EndTime)
+        }));
+};
+
+export default {
+    platform: 'AtCoder',
+    handleKey: 'atcoder',
+    fetchHistory: async (handle) => {
+        const response = await http.get(`https://atcoder.jp/users/${encodeURIComponent(handle)}/history/json`);
+        return response.data;
+    },
+    normalizeHistory
+};
@@ -0,0 +1,26 @@
+import http from '../http.js';
+
+// Rating history from the public Codeforces API.
+export const normalizeHistory = (payload) => {
+    if (payload.status !== 'OK') {
+        throw new Error(`Unexpected Codeforces status: ${payload.status}`);
+    }
+    return payload.result.map(r => ({
+        externalContestId: String(r.contestId),
+        contestName: r.contestName,
+        rank: r.rank,
+        oldRating: r.oldRating,
+        newRating: r.newRating,
+        date: new Date(r.ratingUpdateTimeSeconds * 1000)
+    }));
+};
+
+export default {
+    platform: 'Codeforces',
+    handleKey: 'codeforces',
+    fetchHistory: async (handle) => {
+        const response = await http.get('https://codeforces.com/api/user.rating', { params: { handle } });
+        return response.data;
+    },
+    normalizeHistory
+};
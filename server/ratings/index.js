@@ -0,0 +1,62 @@
+// Registry of rating-history sources for linked competitive programming handles.
+import { User, Contest, ContestParticipation } from '../models.js';
+import codeforces from './codeforces.js';
+import leetcode from './leetcode.js';
+import atcoder from './atcoder.js';
+
+export const ratingSources = [codeforces, leetcode, atcoder];
+
+export const HANDLE_KEYS = ratingSources.map(s => s.handleKey);
+
+// Pulls the user's history from every linked platform and upserts one
+// participation per contest, linked to the stored Contest when there is one.
+// History of a handle that was unlinked or changed is removed.
+export const syncUserRatingHistory = async (user) => {
+    const results = [];
+    for (const source of ratingSources) {
+        const handle = user.handles?.[source.handleKey];
+        await ContestParticipation.deleteMany({
+            user: user._id,
+            platform: source.platform,
+            ...(handle && { handle: { $ne: handle } })
+        });
+        if (!handle) continue;
+        try {
+            const history = source.normalizeHistory(await source.fetchHistory(handle));
+            const contests = await Contest.find({
+                platform: source.platform,
+                externalId: { $in: history.map(h => h.externalContestId) }
+            }, { _id: 1, externalId: 1 }).lean();
+            const contestIds = new Map(contests.map(c => [c.externalId, c._id]));
+
+            if (history.length > 0) {
+                await ContestParticipation.bulkWrite(history.map(h => ({
+                    updateOne: {
+                        filter: { user: user._id, platform: source.platform, externalContestId: h.externalContestId },
+                        update: { $set: { ...h, handle, contest: contestIds.get(h.externalContestId) || null } },
+                        upsert: true
+                    }
+                })));
+            }
+            results.push({ platform: source.platform, count: history.length });
+        } catch (error) {
+            console.error(`Failed to sync ${source.platform} history for user ${user.id}:`, error.message);
+            results.push({ platform: source.platform, error: error.message });
+        }
+    }
+    return results;
+};
+
+// Scheduled job: refreshes the history of every user with a linked handle.
+export const syncAllRatingHistories = async () => {
+    console.log('Running scheduled job: Syncing rating histories...');
+    try {
+        const users = await User.find({ $or: HANDLE_KEYS.map(key => ({ [`handles.${key}`]: { $nin: [null, ''] } })) });
+        for (const user of users) {
+            await syncUserRatingHistory(user);
+        }
+        console.log(`Synced rating histories for ${users.length} users.`);
+    } catch (error) {
+        console.error('Error in syncAllRatingHistories job:', error);
+    }
+};
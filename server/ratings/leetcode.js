@@ -0,0 +1,42 @@
+import http from '../http.js';
+
+// LeetCode only exposes the rating after each contest, so the rating before
+// it is taken from the previous attended contest (new accounts start at 1500).
+// Contest slugs are not returned either; they follow from the title.
+export const normalizeHistory = (payload) => {
+    const history = payload.data?.userContestRankingHistory;
+    if (!Array.isArray(history)) {
+        throw new Error('LeetCode response is missing the contest history.');
+    }
+    let previousRating = 1500;
+    return history
+        .filter(r => r.attended)
+        .map(r => {
+            const newRating = Math.round(r.rating);
+            const entry = {
+                externalContestId: r.contest.title.toLowerCase().replace(/\s+/g, '-'),
+                contestName: r.contest.title,
+                rank: r.ranking,
+                oldRating: previousRating,
+                newRating,
+                date: new Date(r.contest.startTime * 1000)
+            };
+            previousRating = newRating;
+            return entry;
+        });
+};
+
+export default {
+    platform: 'LeetCode',
+    handleKey: 'leetcode',
+    fetchHistory: async (handle) => {
+        const response = await http.post('https://leetcode.com/graphql', {
+            query: `query userContestRankingHistory($username: String!) {
+                userContestRankingHistory(username: $username) { attended rating ranking contest { title startTime } }
+            }`,
+            variables: { username: handle }
+        }, { retries: 2 });
+        return response.data;
+    },
+    normalizeHistory
+};
@@ -0,0 +1,241 @@
+import dns from 'dns';
+import net from 'net';
+import http from './http.js';
+import nodemailer from 'nodemailer';
+import { User, Contest, ReminderLog } from './models.js';
+import { formatContestTime } from './helpers.js';
+
+// --- Channels ---
+// Email is sent through the SMTP server in SMTP_HOST/SMTP_PORT; without it the
+// email channel is skipped. Any local SMTP stand-in works for development.
+let transporter = null;
+const getTransporter = () => {
+    if (!process.env.SMTP_HOST) return null;
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return transporter;
+};
+
+const describeStart = (minutesBefore) => minutesBefore >= 60 && minutesBefore % 60 === 0
+    ? `${minutesBefore / 60} hour${minutesBefore === 60 ? '' : 's'}`
+    : `${minutesBefore} minute${minutesBefore === 1 ? '' : 's'}`;
+
+const buildReminderText = (contest, minutesBefore, user) =>
+    `${contest.name} (${contest.platform}) starts in ${describeStart(minutesBefore)}, at ${formatContestTime(contest.startTime, user)}. ${contest.url}`;
+
+export const sendEmailReminder = async (address, contest, minutesBefore, user = null) => {
+    const mailer = getTransporter();
+    if (!mailer) throw new Error('SMTP is not configured.');
+    await mailer.sendMail({
+        from: process.env.SMTP_FROM || 'Contest Tracker <no-reply@contest-tracker.local>',
+        to: address,
+        subject: `Starting soon: ${contest.name}`,
+        text: buildReminderText(contest, minutesBefore, user)
+    });
+};
+
+// Discord and Slack expect their own body shapes; anything else gets a
+// generic JSON payload describing the contest.
+export const buildWebhookPayload = (format, contest, minutesBefore, user = null) => {
+    const text = buildReminderText(contest, minutesBefore, user);
+    if (format === 'discord') return { content: text };
+    if (format === 'slack') return { text };
+    return {
+        event: 'contest.reminder',
+        minutesBefore,
+        contest: {
+            id: contest._id,
+            name: contest.name,
+            platform: contest.platform,
+            url: contest.url,
+            startTime: new Date(contest.startTime).toISOString(),
+            endTime: new Date(contest.endTime).toISOString()
+        }
+    };
+};
+
+// --- Webhook target checks ---
+// Webhook URLs come from users, so the server must not be made to call
+// loopback, private or link-local addresses (cloud metadata endpoints
+// included). Set WEBHOOK_ALLOW_PRIVATE_HOSTS=true to allow them, e.g. for a
+// bot running on the same network.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+const allowPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+export const isPrivateAddress = (address) => {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Returns why the URL cannot be used as a webhook, or null if it can.
+export const checkWebhookUrl = async (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return 'is not a valid URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'must use http or https';
+    if (allowPrivateHosts()) return null;
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    try {
+        const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+        if (addresses.some(a => isPrivateAddress(a.address))) return 'points to a private or local address';
+    } catch {
+        return 'has a host name that does not resolve';
+    }
+    return null;
+};
+
+// DNS lookup for webhook requests that refuses private answers, so a host
+// cannot pass the check above and then resolve somewhere internal.
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!allowPrivateHosts() && addresses.some(a => isPrivateAddress(a.address))) {
+            return callback(new Error(`${hostname} resolves to a private or local address.`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+export const sendWebhookReminder = async (webhook, contest, minutesBefore, user = null) => {
+    const problem = await checkWebhookUrl(webhook.url);
+    if (problem) throw new Error(`Webhook URL ${problem}.`);
+    await http.post(webhook.url, buildWebhookPayload(webhook.format, contest, minutesBefore, user), {
+        timeout: 10000,
+        // A redirect could point anywhere, including an internal address
+        maxRedirects: 0,
+        lookup: publicOnlyLookup
+    });
+};
+
+// Every enabled delivery target of a user, as { channel, target, send }.
+const getTargets = (user) => {
+    const { email, webhooks } = user.reminderSettings;
+    const targets = [];
+    if (email.enabled && email.address) {
+        targets.push({ channel: 'email', target: email.address, send: (contest, m) => sendEmailReminder(email.address, contest, m, user) });
+    }
+    for (const webhook of webhooks) {
+        targets.push({ channel: 'webhook', target: webhook.url, send: (contest, m) => sendWebhookReminder(webhook, contest, m, user) });
+    }
+    return targets;
+};
+
+// Claims a send slot by inserting its log entry first. The unique index makes
+// a second attempt for the same user, contest, target and offset fail, so a
+// reminder is never delivered twice. Returns false if already claimed.
+const claimReminder = async (entry) => {
+    try {
+        await ReminderLog.create(entry);
+        return true;
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+// Of the offsets a contest starting in `minutesLeft` minutes has reached,
+// `current` is the one to send now and `passed` the larger ones that went by
+// unsent, e.g. because the contest was bookmarked shortly before it starts.
+// Null while no offset has been reached.
+export const getDueReminder = (offsets, minutesLeft) => {
+    const reached = offsets.filter(m => minutesLeft <= m).sort((a, b) => a - b);
+    if (reached.length === 0) return null;
+    return { current: reached[0], passed: reached.slice(1) };
+};
+
+// --- Scheduled Job ---
+// Sends a reminder for every bookmarked contest whose start is within one of
+// the user's offsets. Runs every minute. Only the closest offset is sent, with
+// the real time left; offsets already passed are recorded as sent.
+export const sendDueReminders = async () => {
+    try {
+        const users = await User.find({
+            $or: [{ 'reminderSettings.email.enabled': true }, { 'reminderSettings.webhooks.0': { $exists: true } }],
+            'savedContests.0': { $exists: true }
+        });
+        if (users.length === 0) return;
+
+        const now = new Date();
+        for (const user of users) {
+            const targets = getTargets(user);
+            const offsets = user.reminderSettings.minutesBefore;
+            if (targets.length === 0 || offsets.length === 0) continue;
+
+            const horizon = new Date(now.getTime() + Math.max(...offsets) * 60 * 1000);
+            const contests = await Contest.find({
+                _id: { $in: user.savedContests },
+                status: 'Upcoming',
+                startTime: { $gt: now, $lte: horizon }
+            }).lean();
+
+            for (const contest of contests) {
+                const minutesLeft = (contest.startTime - now) / (60 * 1000);
+                const due = getDueReminder(offsets, minutesLeft);
+                if (!due) continue;
+                for (const { channel, target, send } of targets) {
+                    const entryFor = (minutesBefore) => ({ user: user._id, contest: contest._id, channel, target, minutesBefore });
+                    for (const minutesBefore of due.passed) {
+                        await claimReminder(entryFor(minutesBefore));
+                    }
+                    const entry = entryFor(due.current);
+                    if (!(await claimReminder(entry))) continue;
+                    try {
+                        await send(contest, Math.max(1, Math.round(minutesLeft)));
+                        console.log(`Sent ${channel} reminder for "${contest.name}" to user ${user.id}.`);
+                    } catch (error) {
+                        // Release the slot so the next run retries.
+                        await ReminderLog.deleteOne(entry);
+                        console.error(`Failed to send ${channel} reminder for "${contest.name}" to user ${user.id}:`, error.message);
+                    }
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error in sendDueReminders job:', error);
+    }
+};
+
+// Sends a sample reminder to each of the user's channels so they can check the setup.
+export const sendTestReminders = async (user) => {
+    const sample = {
+        _id: 'test',
+        name: 'Sample Contest',
+        platform: 'Contest Tracker',
+        url: process.env.FRONTEND_URL,
+        startTime: new Date(Date.now() + 30 * 60 * 1000),
+        endTime: new Date(Date.now() + 150 * 60 * 1000)
+    };
+    const results = [];
+    for (const { channel, target, send } of getTargets(user)) {
+        try {
+            await send(sample, 30);
+            results.push({ channel, target, ok: true });
+        } catch (error) {
+            results.push({ channel, target, ok: false, error: error.message });
+        }
+    }
+    return results;
+};
@@ -0,0 +1,81 @@
+import { User, Contest } from './models.js';
+import { updateContestEvent, deleteContestEvent } from './googleCalendar.js';
+import { notifyUser } from './notifications.js';
+import { formatContestTime } from './helpers.js';
+import { publishContestEvent } from './events.js';
+
+const contestKey = (contest) => `${contest.platform}:${contest.externalId}`;
+
+// Compares freshly fetched contests with the stored upcoming ones.
+// Only platforms whose fetch succeeded are considered, so an outage is never
+// mistaken for every contest on that platform being cancelled. A stored
+// contest that has already started is expected to drop out of the feed.
+export const detectScheduleChanges = async (fetchedContests, healthyPlatforms, now = new Date()) => {
+    const stored = await Contest.find({
+        platform: { $in: healthyPlatforms },
+        status: 'Upcoming',
+        externalId: { $type: 'string' }
+    }).lean();
+    const fetchedByKey = new Map(fetchedContests.map(c => [contestKey(c), c]));
+
+    const rescheduled = [];
+    const cancelled = [];
+    for (const contest of stored) {
+        const fresh = fetchedByKey.get(contestKey(contest));
+        if (fresh) {
+            if (fresh.startTime.getTime() !== contest.startTime.getTime() || fresh.endTime.getTime() !== contest.endTime.getTime()) {
+                rescheduled.push({ before: contest, after: { ...contest, ...fresh } });
+            }
+        } else if (contest.startTime > now) {
+            cancelled.push(contest);
+        }
+    }
+    return { rescheduled, cancelled };
+};
+
+const findAffectedUsers = (contestId) => User.find({
+    $or: [{ 'calendarEvents.contest': contestId }, { savedContests: contestId }]
+});
+
+const findCalendarEntry = (user, contestId) => user.calendarEvents.find(e => e.contest.equals(contestId));
+
+// Moves or deletes the Google Calendar events of every affected user and
+// leaves each of them an in-app notification.
+export const propagateScheduleChanges = async ({ rescheduled, cancelled }) => {
+    for (const { before, after } of rescheduled) {
+        console.log(`"${before.name}" was rescheduled from ${before.startTime.toISOString()} to ${after.startTime.toISOString()}.`);
+        const users = await findAffectedUsers(before._id);
+        for (const user of users) {
+            const calendarEntry = findCalendarEntry(user, before._id);
+            if (calendarEntry) {
+                try {
+                    await updateContestEvent(user, calendarEntry, after);
+                } catch (error) {
+                    console.error(`Failed to move calendar event for user ${user.id}:`, error.message);
+                }
+            }
+            await notifyUser(user._id, `"${after.name}" was rescheduled to ${formatContestTime(after.startTime, user)}.`, before._id);
+        }
+    }
+
+    for (const contest of cancelled) {
+        console.log(`"${contest.name}" is no longer listed by ${contest.platform}; marking it as cancelled.`);
+        await Contest.updateOne({ _id: contest._id }, { $set: { status: 'Cancelled' } });
+        publishContestEvent('contest-updated', { ...contest, status: 'Cancelled' });
+        const users = await findAffectedUsers(contest._id);
+        for (const user of users) {
+            const calendarEntry = findCalendarEntry(user, contest._id);
+            if (calendarEntry) {
+                try {
+                    await deleteContestEvent(user, calendarEntry);
+                    await User.updateOne({ _id: user._id }, {
+                        $pull: { calendarEvents: { contest: contest._id }, addedToCalendar: contest._id }
+                    });
+                } catch (error) {
+                    console.error(`Failed to delete calendar event for user ${user.id}:`, error.message);
+                }
+            }
+            await notifyUser(user._id, `"${contest.name}" was cancelled or removed by ${contest.platform}.`, contest._id);
+        }
+    }
+};
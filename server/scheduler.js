@@ -0,0 +1,134 @@
+// Runs scheduled jobs so that each run happens on exactly one server
+// instance. node-schedule still fires the ticks in every process, but a tick
+// only runs the job if it claims the job's lease in MongoDB, which also moves
+// the persisted `nextRunAt` forward so the other instances' ticks find
+// nothing to do.
+import os from 'os';
+import schedule from 'node-schedule';
+import { ScheduledJob } from './models.js';
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+// Ticks on different instances land a little apart; a due run may be
+// claimed this early.
+const CLOCK_SKEW_MS = 1000;
+
+const jobs = new Map();
+
+// Registers a job. `rule` is anything node-schedule accepts (a cron string
+// or { rule, tz }). `runOnFirstStart` runs it right away the first time the
+// job is ever seen; afterwards `nextRunAt` decides. The lease is renewed
+// while the job runs, so `leaseMs` only needs to cover a crashed instance.
+export const defineJob = (name, rule, handler, { leaseMs = DEFAULT_LEASE_MS, runOnFirstStart = false } = {}) => {
+    jobs.set(name, { name, rule, handler, leaseMs, runOnFirstStart, scheduled: null });
+};
+
+export const getJobNames = () => [...jobs.keys()];
+
+const getNextInvocation = (job) => {
+    const next = job.scheduled?.nextInvocation();
+    return next ? new Date(next) : null;
+};
+
+// Claims the job's lease for this instance. `force` (manual runs) ignores
+// `nextRunAt` and leaves it alone. Returns the claim time, or null when
+// another instance holds the lease or the run is not due.
+const claim = async (job, { force = false, triggeredBy = 'schedule' } = {}) => {
+    const now = new Date();
+    const filter = {
+        name: job.name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    };
+    const update = { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + job.leaseMs), lastRunAt: now, lastTriggeredBy: triggeredBy };
+    if (!force) {
+        filter.nextRunAt = { $lte: new Date(now.getTime() + CLOCK_SKEW_MS) };
+        update.nextRunAt = getNextInvocation(job);
+    }
+    const claimed = await ScheduledJob.findOneAndUpdate(filter, { $set: update });
+    return claimed ? now : null;
+};
+
+// Runs a claimed job, renewing the lease meanwhile, and releases it with the
+// outcome. Never throws.
+const runClaimed = async (job, startedAt) => {
+    const renew = setInterval(() => {
+        ScheduledJob.updateOne(
+            { name: job.name, lockedBy: INSTANCE_ID },
+            { $set: { lockedUntil: new Date(Date.now() + job.leaseMs) } }
+        ).catch(error => console.error(`Failed to renew the lease of ${job.name}:`, error.message));
+    }, job.leaseMs / 2);
+
+    let lastStatus = 'success';
+    let lastError = null;
+    try {
+        const result = await job.handler();
+        if (result?.status) {
+            lastStatus = result.status;
+            lastError = result.error || null;
+        }
+    } catch (error) {
+        console.error(`Error in ${job.name} job:`, error);
+        lastStatus = 'failed';
+        lastError = error.message;
+    } finally {
+        clearInterval(renew);
+    }
+
+    const finishedAt = new Date();
+    await ScheduledJob.updateOne({ name: job.name, lockedBy: INSTANCE_ID }, {
+        $set: {
+            lockedBy: null,
+            lockedUntil: null,
+            lastFinishedAt: finishedAt,
+            lastDurationMs: finishedAt - startedAt,
+            lastStatus,
+            lastError
+        }
+    }).catch(error => console.error(`Failed to release the lease of ${job.name}:`, error.message));
+};
+
+const tick = async (job) => {
+    try {
+        const startedAt = await claim(job);
+        if (startedAt) await runClaimed(job, startedAt);
+    } catch (error) {
+        console.error(`Failed to claim ${job.name}:`, error.message);
+    }
+};
+
+// Schedules every registered job in this process and catches up on runs
+// that were due while no instance was up. A missed job runs once, however
+// many of its runs were missed.
+export const startScheduler = async () => {
+    for (const job of jobs.values()) {
+        job.scheduled = schedule.scheduleJob(job.rule, () => tick(job));
+        await ScheduledJob.updateOne(
+            { name: job.name },
+            { $setOnInsert: { nextRunAt: job.runOnFirstStart ? new Date() : getNextInvocation(job) } },
+            { upsert: true }
+        ).catch(error => {
+            // Another instance starting at the same time inserted it first
+            if (error.code !== 11000) throw error;
+        });
+        // Pull the next run forward if the rule changed to a more frequent one
+        const next = getNextInvocation(job);
+        if (next) await ScheduledJob.updateOne({ name: job.name, nextRunAt: { $gt: next } }, { $set: { nextRunAt: next } });
+    }
+    for (const job of jobs.values()) {
+        tick(job);
+    }
+};
+
+// Starts a run now on behalf of an admin. Resolves once the lease is claimed
+// (or refused) and leaves the job running in the background.
+export const triggerJob = async (name, triggeredBy) => {
+    const job = jobs.get(name);
+    if (!job) return { status: 404, message: `Unknown job "${name}".` };
+    const startedAt = await claim(job, { force: true, triggeredBy });
+    if (!startedAt) return { status: 409, message: `${name} is already running.` };
+    runClaimed(job, startedAt);
+    return { status: 202, message: `${name} started.` };
+};
+
+export const getScheduledJobs = () => ScheduledJob.find({ name: { $in: getJobNames() } }).sort({ name: 1 }).lean();
@@ -0,0 +1,69 @@
+// One-off migration: backfills Contest.externalId from each stored URL,
+// merges documents that turn out to be the same contest, and repoints user
+// bookmarks and calendar entries at the surviving document.
+//
+// Usage: npm run migrate:external-ids
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { User, Contest } from '../models.js';
+import { getPlatformByName } from '../platforms/index.js';
+
+dotenv.config();
+
+const USER_CONTEST_FIELDS = ['savedContests', 'addedToCalendar'];
+
+// Moves every user reference from `fromId` to `toId`.
+const repointUserReferences = async (fromId, toId) => {
+    for (const field of USER_CONTEST_FIELDS) {
+        await User.updateMany({ [field]: fromId }, { $addToSet: { [field]: toId } });
+        await User.updateMany({ [field]: fromId }, { $pull: { [field]: fromId } });
+    }
+};
+
+const migrate = async () => {
+    const contests = await Contest.find({}).sort({ _id: 1 });
+    const groups = new Map();
+    let unresolved = 0;
+
+    for (const contest of contests) {
+        const platform = getPlatformByName(contest.platform);
+        const externalId = contest.externalId || (platform?.parseExternalId && contest.url ? platform.parseExternalId(contest.url) : null);
+        if (!externalId) {
+            unresolved++;
+            continue;
+        }
+        const key = `${contest.platform}:${externalId}`;
+        if (!groups.has(key)) groups.set(key, { externalId, contests: [] });
+        groups.get(key).contests.push(contest);
+    }
+
+    let merged = 0;
+    for (const { externalId, contests: group } of groups.values()) {
+        // The most recently created document holds the latest name and times.
+        const keeper = group[group.length - 1];
+        const duplicates = group.slice(0, -1);
+
+        for (const duplicate of duplicates) {
+            if (!keeper.solutionUrl && duplicate.solutionUrl) {
+                keeper.solutionUrl = duplicate.solutionUrl;
+            }
+            await repointUserReferences(duplicate._id, keeper._id);
+            await Contest.deleteOne({ _id: duplicate._id });
+            merged++;
+        }
+
+        keeper.externalId = externalId;
+        await keeper.save();
+    }
+
+    await Contest.syncIndexes();
+    console.log(`Assigned external ids to ${groups.size} contests, merged ${merged} duplicates, ${unresolved} left without an id.`);
+};
+
+mongoose.connect(process.env.MONGO_URI)
+    .then(migrate)
+    .then(() => mongoose.disconnect())
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    });
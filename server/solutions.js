@@ -0,0 +1,183 @@
+import http from './http.js';
+import { createDailyBudget } from './quota.js';
+
+// --- YouTube Solution Finder ---
+// Searches YouTube for solution videos of a finished contest and ranks every
+// result by how likely it is to cover that exact contest.
+
+const YOUTUBE_API_URL = 'https://www.googleapis.com/youtube/v3/search';
+const MAX_RESULTS = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each search costs 100 units of the project's daily YouTube quota (10,000
+// by default, set YOUTUBE_DAILY_QUOTA if yours differs), and so does each
+// retry. Searches stop once the budget is spent and resume after the quota
+// resets at midnight Pacific.
+const SEARCH_COST = 100;
+const youtubeQuota = createDailyBudget({
+    name: 'youtube',
+    limit: Number(process.env.YOUTUBE_DAILY_QUOTA) || 10000,
+    timeZone: 'America/Los_Angeles'
+});
+
+export const hasYouTubeQuota = async () => await youtubeQuota.remaining() >= SEARCH_COST;
+export const getYouTubeQuotaRemaining = () => youtubeQuota.remaining();
+
+// Candidates scoring below this are dropped; the best one becomes
+// `solutionUrl` only if it reaches MIN_CONFIDENCE.
+export const MIN_SCORE = 0.3;
+export const MIN_CONFIDENCE = 0.5;
+
+// Solution videos usually appear within two days of the contest. A search
+// made sooner is repeated once after that; later searches are final, so a
+// contest with only low-confidence matches does not spend quota every day.
+export const SOLUTION_SEARCH_SETTLE_MS = 2 * DAY_MS;
+
+// Channels known for reliable editorial videos. Extend with a comma-separated
+// YOUTUBE_CHANNEL_ALLOWLIST.
+const DEFAULT_CHANNEL_ALLOWLIST = [
+    'CodeNCode', 'Colin Galen', 'Errichto Algorithms', 'Priyansh Agarwal', 'TLE Eliminators',
+    'Aryan Mittal', 'codestorywithMIK', 'take U forward', 'NeetCode', 'NeetCodeIO', 'SecondThread',
+    'Luv', 'Kartikey Singh', 'Striver', 'Algorithms Conquered'
+];
+
+const channelAllowlist = new Set([
+    ...DEFAULT_CHANNEL_ALLOWLIST,
+    ...(process.env.YOUTUBE_CHANNEL_ALLOWLIST || '').split(',').map(c => c.trim()).filter(Boolean)
+].map(c => c.toLowerCase()));
+
+export const buildSearchQuery = (contestName, platform) => {
+    if (platform === 'Codeforces') {
+        const roundMatch = contestName.match(/Round.*?(\d+)/);
+        const divMatch = contestName.match(/Div\.?\s*(\d+)/i);
+        
+        if (roundMatch) {
+            let query = `Codeforces Round ${roundMatch[1]}`;
+            if (divMatch) {
+                query += ` (Div ${divMatch[1]}) solution`;
+            }
+            return query;
+        }
+    }
+
+    if (platform === 'LeetCode') {
+        const typeMatch = contestName.match(/(Weekly|Biweekly)/i);
+        const numberMatch = contestName.match(/(\d+)/);
+
+        if (typeMatch && numberMatch) {
+            const contestType = typeMatch[1].charAt(0).toUpperCase() + typeMatch[1].slice(1).toLowerCase();
+            return `LeetCode ${contestType} Contest ${numberMatch[1]} solution`;
+        }
+    }
+
+    return `${contestName} solution`;
+};
+
+// Words that say nothing about which contest a video covers
+const STOP_WORDS = new Set(['solution', 'solutions', 'the', 'a', 'of', 'and', 'for', 'to', 'in', 'div', 'contest', 'round']);
+
+const tokenize = (text) => text.toLowerCase()
+    .replace(/&amp;/g, '&')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+
+// Share of the query's words that appear in the title, from 0 to 1
+export const titleSimilarity = (query, title) => {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) return 0;
+    const titleTokens = new Set(tokenize(title));
+    return queryTokens.filter(token => titleTokens.has(token)).length / queryTokens.length;
+};
+
+// The round (or weekly/biweekly contest) number and division of a contest name
+export const extractContestNumbers = (text) => ({
+    round: (text.match(/(?:round|contest|weekly|biweekly)\D{0,20}?(\d{2,4})/i) || text.match(/\b(\d{3,4})\b/) || [])[1] || null,
+    div: (text.match(/div\.?\s*(\d)/i) || [])[1] || null,
+});
+
+// Confidence from 0 to 1 that a search result is a solution video for the
+// contest, or 0 when it cannot be (published before the contest ended).
+export const scoreCandidate = (item, { name, platform, endTime }) => {
+    const { title, channelTitle, publishedAt } = item.snippet;
+    const daysAfterEnd = (new Date(publishedAt) - new Date(endTime)) / DAY_MS;
+    if (daysAfterEnd < 0) return 0;
+
+    let score = 0.4 * titleSimilarity(buildSearchQuery(name, platform), title);
+
+    // The right round number is the strongest signal; a different one means
+    // the video is about another round.
+    const wanted = extractContestNumbers(name);
+    const found = extractContestNumbers(title);
+    if (wanted.round && found.round) score += wanted.round === found.round ? 0.3 : -0.5;
+    if (wanted.div && found.div) score += wanted.div === found.div ? 0.1 : -0.3;
+
+    if (channelAllowlist.has((channelTitle || '').toLowerCase())) score += 0.15;
+
+    if (daysAfterEnd <= 7) score += 0.05;
+    else if (daysAfterEnd > 30) score -= 0.2;
+
+    return Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100;
+};
+
+// Search results for a contest, best first, as stored in `contest.solutions`
+export const rankSolutionCandidates = (items, contest) => items
+    .filter(item => item.id?.videoId && item.snippet)
+    .map(item => ({
+        videoId: item.id.videoId,
+        title: item.snippet.title,
+        channelTitle: item.snippet.channelTitle,
+        publishedAt: new Date(item.snippet.publishedAt),
+        score: scoreCandidate(item, contest)
+    }))
+    .filter(candidate => candidate.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+
+// Ranked solution videos for a finished contest; empty when nothing matches
+// and null when the search itself fails or the quota budget is spent.
+export const findYouTubeSolutions = async (contest) => {
+    const searchQuery = buildSearchQuery(contest.name, contest.platform);
+    if (!(await youtubeQuota.tryConsume(SEARCH_COST))) {
+        console.warn(`Skipping YouTube search for "${searchQuery}": daily quota budget spent.`);
+        return null;
+    }
+
+    console.log(`Searching YouTube for: "${searchQuery}"`);
+
+    const params = {
+        part: 'snippet',
+        key: process.env.YOUTUBE_API_KEY,
+        maxResults: MAX_RESULTS,
+        type: 'video',
+        order: 'relevance',
+        publishedAfter: new Date(contest.endTime).toISOString(),
+        q: searchQuery,
+    };
+
+    try {
+        const response = await http.get(YOUTUBE_API_URL, { params, beforeRetry: () => youtubeQuota.tryConsume(SEARCH_COST) });
+        const solutions = rankSolutionCandidates(response.data.items || [], contest);
+        if (solutions.length === 0) {
+            console.log(`No matching video found for query: "${searchQuery}"`);
+        } else {
+            console.log(`Found ${solutions.length} candidate videos, best: "${solutions[0].title}" (${solutions[0].score})`);
+        }
+        return solutions;
+    } catch (error) {
+        if (error.response?.data?.error?.errors?.some(e => e.reason === 'quotaExceeded')) await youtubeQuota.exhaust();
+        console.error('Error fetching from YouTube API:', error.response?.data?.error?.message || error.message);
+        return null;
+    }
+};
+
+// Stores the ranked videos on the contest, marks it as searched and keeps
+// `solutionUrl` pointing at the best one if it is confident enough. Returns
+// whether `solutionUrl` was set.
+export const applySolutions = (contest, solutions, now = new Date()) => {
+    contest.solutions = solutions;
+    contest.solutionsSearchedAt = now;
+    if (solutions.length > 0 && solutions[0].score >= MIN_CONFIDENCE) {
+        contest.solutionUrl = solutions[0].videoId;
+        return true;
+    }
+    return false;
+};
@@ -0,0 +1,80 @@
+import { Contest, ContestSubmission } from './models.js';
+import { escapeRegExp } from './helpers.js';
+
+// --- Community Contest Submissions ---
+
+// Each user may submit this many contests per day.
+export const SUBMISSIONS_PER_DAY = 5;
+// Submissions must be for contests within the next year.
+const MAX_DAYS_AHEAD = 365;
+// Contests on the same platform starting this close together with similar
+// names are flagged as possible duplicates.
+const DUPLICATE_WINDOW_MS = 3 * 60 * 60 * 1000;
+const DUPLICATE_NAME_SIMILARITY = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Host and path only, so http/https, "www.", trailing slashes, queries and
+// fragments do not hide a duplicate.
+export const normalizeUrl = (url) => {
+    try {
+        const { hostname, pathname } = new URL(url);
+        return `${hostname.replace(/^www\./, '')}${pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch {
+        return null;
+    }
+};
+
+const nameTokens = (name) => new Set(name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+
+// Share of the words in either contest name that appear in both, from 0 to 1
+// (Jaccard index). A one-word name only matches a name of one or two words.
+export const nameSimilarity = (a, b) => {
+    const tokensA = nameTokens(a);
+    const tokensB = nameTokens(b);
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return shared / (tokensA.size + tokensB.size - shared);
+};
+
+// Checks a submission that passed `parseContestInput` against the rules
+// contests added by admins do not need. Returns an error message or null.
+export const checkSubmissionWindow = ({ startTime, endTime }, now = new Date()) => {
+    if (endTime <= now) return 'That contest is already over.';
+    if (startTime - now > MAX_DAYS_AHEAD * DAY_MS) return `Contests can be submitted at most ${MAX_DAYS_AHEAD} days ahead.`;
+    return null;
+};
+
+// Whether the user has used up today's submissions
+export const isOverSubmissionLimit = async (userId, now = new Date()) => {
+    const recent = await ContestSubmission.countDocuments({
+        submitter: userId,
+        createdAt: { $gte: new Date(now.getTime() - DAY_MS) }
+    });
+    return recent >= SUBMISSIONS_PER_DAY;
+};
+
+// Existing visible contests and pending submissions that look like the same
+// event. `exact` and `pendingExact` have the same URL; `similar` are contests
+// on the same platform with a similar name starting around the same time.
+export const findDuplicates = async ({ name, platform, url, startTime }) => {
+    const normalizedUrl = normalizeUrl(url);
+    // Pre-filter on the last path segment, the most specific part of the URL
+    const urlPattern = { $regex: escapeRegExp(normalizedUrl.split('/').pop()), $options: 'i' };
+    const [nearby, sameUrl, pending] = await Promise.all([
+        Contest.find({
+            hidden: { $ne: true },
+            startTime: { $gte: new Date(startTime.getTime() - DUPLICATE_WINDOW_MS), $lte: new Date(startTime.getTime() + DUPLICATE_WINDOW_MS) }
+        }).lean(),
+        Contest.find({ hidden: { $ne: true }, url: urlPattern }).lean(),
+        ContestSubmission.find({ status: 'pending', url: urlPattern }).lean()
+    ]);
+    const exact = sameUrl.filter(c => normalizeUrl(c.url) === normalizedUrl);
+    const pendingExact = pending.filter(s => normalizeUrl(s.url) === normalizedUrl);
+    const similar = nearby.filter(c =>
+        !exact.some(e => e._id.equals(c._id)) &&
+        c.platform.toLowerCase() === platform.toLowerCase() &&
+        nameSimilarity(c.name, name) >= DUPLICATE_NAME_SIMILARITY
+    );
+    return { exact, pendingExact, similar };
+};
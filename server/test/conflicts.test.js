@@ -0,0 +1,114 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { recommendContest, findScheduleConflicts } from '../conflicts.js';
+
+// A contest starting `start` and ending `end`, both 'HH:MM' on October 25, 2025 (UTC)
+const contest = (_id, platform, start, end) => ({
+    _id,
+    name: `${platform} ${_id}`,
+    platform,
+    url: `https://example.com/${_id}`,
+    startTime: new Date(`2025-10-25T${start}:00Z`),
+    endTime: new Date(`2025-10-25T${end}:00Z`)
+});
+
+describe('recommendContest', () => {
+    const codeforces = contest('cf', 'Codeforces', '14:35', '16:35');
+    const atcoder = contest('ac', 'AtCoder', '12:00', '15:00');
+
+    test('keeps the platform the user ranks higher', () => {
+        const { keep, drop, reason } = recommendContest(atcoder, codeforces, { platformPriority: ['Codeforces', 'AtCoder'] });
+        assert.equal(keep, codeforces);
+        assert.equal(drop, atcoder);
+        assert.equal(reason, 'You rank Codeforces above AtCoder.');
+    });
+
+    test('ranks listed platforms above unlisted ones', () => {
+        assert.equal(recommendContest(atcoder, codeforces, { platformPriority: ['Codeforces'] }).keep, codeforces);
+    });
+
+    test('then keeps the contest already in the calendar', () => {
+        const { keep, reason } = recommendContest(atcoder, codeforces, { calendarIds: new Set(['cf']) });
+        assert.equal(keep, codeforces);
+        assert.equal(reason, 'It is already in your calendar.');
+    });
+
+    test('then keeps the one that starts first', () => {
+        const { keep, reason } = recommendContest(codeforces, atcoder);
+        assert.equal(keep, atcoder);
+        assert.equal(reason, 'It starts first.');
+    });
+});
+
+describe('findScheduleConflicts', () => {
+    test('reports overlapping contests with the overlap in minutes', () => {
+        const [conflict, ...rest] = findScheduleConflicts([
+            contest('cf', 'Codeforces', '14:35', '16:35'),
+            contest('ac', 'AtCoder', '12:00', '15:00')
+        ]);
+        assert.equal(rest.length, 0);
+        assert.equal(conflict.type, 'overlap');
+        assert.equal(conflict.minutes, 25);
+        assert.deepEqual(conflict.contests.map(c => c._id), ['ac', 'cf']);
+        assert.deepEqual(conflict.recommendation, { keep: 'ac', drop: 'cf', reason: 'It starts first.' });
+    });
+
+    test('counts a contest inside another as overlapping for its whole length', () => {
+        const [conflict] = findScheduleConflicts([
+            contest('long', 'CodeChef', '14:00', '17:00'),
+            contest('short', 'LeetCode', '14:30', '16:00')
+        ]);
+        assert.equal(conflict.type, 'overlap');
+        assert.equal(conflict.minutes, 90);
+    });
+
+    test('reports a break shorter than the minimum gap', () => {
+        const contests = [
+            contest('lc', 'LeetCode', '14:30', '16:00'),
+            contest('cf', 'Codeforces', '16:10', '18:10')
+        ];
+        const [conflict] = findScheduleConflicts(contests);
+        assert.equal(conflict.type, 'gap');
+        assert.equal(conflict.minutes, 10);
+        assert.deepEqual(findScheduleConflicts(contests, { minGapMinutes: 10 }), []);
+    });
+
+    test('treats back-to-back contests as a gap of zero minutes', () => {
+        const contests = [
+            contest('lc', 'LeetCode', '14:30', '16:00'),
+            contest('cf', 'Codeforces', '16:00', '18:00')
+        ];
+        const [conflict] = findScheduleConflicts(contests);
+        assert.equal(conflict.type, 'gap');
+        assert.equal(conflict.minutes, 0);
+        assert.deepEqual(findScheduleConflicts(contests, { minGapMinutes: 0 }), []);
+    });
+
+    test('passes platform priority and calendar membership to the recommendation', () => {
+        const contests = [
+            contest('ac', 'AtCoder', '12:00', '15:00'),
+            contest('cf', 'Codeforces', '14:35', '16:35')
+        ];
+        assert.equal(findScheduleConflicts(contests, { platformPriority: ['Codeforces'] })[0].recommendation.keep, 'cf');
+        assert.equal(findScheduleConflicts(contests, { calendarIds: new Set(['cf']) })[0].recommendation.keep, 'cf');
+        assert.equal(findScheduleConflicts(contests, { platformPriority: ['AtCoder'], calendarIds: new Set(['cf']) })[0].recommendation.keep, 'ac');
+    });
+
+    test('ignores long challenges', () => {
+        const challenge = {
+            ...contest('long', 'CodeChef', '00:00', '00:00'),
+            endTime: new Date('2025-11-01T00:00:00Z')
+        };
+        assert.deepEqual(findScheduleConflicts([challenge, contest('cf', 'Codeforces', '14:35', '16:35')]), []);
+    });
+
+    test('reports every clashing pair in a chain', () => {
+        const conflicts = findScheduleConflicts([
+            contest('a', 'AtCoder', '12:00', '13:40'),
+            contest('b', 'LeetCode', '13:30', '15:00'),
+            contest('c', 'Codeforces', '14:50', '16:50'),
+            contest('d', 'CodeChef', '18:00', '20:00')
+        ]);
+        assert.deepEqual(conflicts.map(c => c.contests.map(x => x._id).join('-')), ['a-b', 'b-c']);
+    });
+});
@@ -0,0 +1,49 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseContestInput } from '../curation.js';
+
+const fetched = {
+    name: 'Codeforces Round 1050 (Div. 2)',
+    platform: 'Codeforces',
+    externalId: '2140',
+    url: 'https://codeforces.com/contests/2140',
+    startTime: new Date('2025-10-21T14:35:00Z'),
+    endTime: new Date('2025-10-21T16:35:00Z')
+};
+
+describe('parseContestInput', () => {
+    test('keeps fields left out of an edit', () => {
+        const { values } = parseContestInput({ name: ' Codeforces Round 1050 ' }, fetched);
+        assert.equal(values.name, 'Codeforces Round 1050');
+        assert.equal(values.platform, 'Codeforces');
+        assert.equal(values.duration, '2h');
+    });
+
+    test('refuses to move a fetched contest to another platform', () => {
+        const { error } = parseContestInput({ platform: 'Codeforces Gym' }, fetched);
+        assert.match(error, /platform of a fetched contest cannot be changed/);
+        assert.equal(parseContestInput({ platform: ' Codeforces ' }, fetched).error, undefined);
+    });
+
+    test('lets manual contests change platform', () => {
+        const manual = { ...fetched, externalId: undefined, platform: 'ICPC' };
+        assert.equal(parseContestInput({ platform: 'ICPC Asia' }, manual).values.platform, 'ICPC Asia');
+    });
+
+    test('refuses control characters', () => {
+        for (const body of [
+            { url: 'https://example.com/contest\r\nATTACH:https://evil.test' },
+            { url: 'https://example.com/con\ttest' },
+            { name: 'Round 1\nDESCRIPTION:Free prizes' },
+            { platform: 'ICPC\u0000' }
+        ]) {
+            assert.match(parseContestInput(body, fetched).error, /cannot contain control characters/, JSON.stringify(body));
+        }
+    });
+
+    test('stores the URL as parsed', () => {
+        const { values } = parseContestInput({ url: 'HTTPS://Example.com/contests/../round 1' }, fetched);
+        assert.equal(values.url, 'https://example.com/round%201');
+        assert.equal(parseContestInput({ name: 'Round 1' }, { ...fetched, url: 'https://codeforces.com' }).values.url, 'https://codeforces.com');
+    });
+});
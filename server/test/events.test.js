@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { publishContestEvent, streamContestEvents } from '../events.js';
+
+// Opens a stream on a stand-in request/response pair and collects its events
+const openStream = () => {
+    const req = new EventEmitter();
+    const events = [];
+    const res = {
+        writeHead: () => {},
+        write: (chunk) => {
+            const match = chunk.match(/^event: (.+)\ndata: (.+)\n\n$/);
+            if (match) events.push({ type: match[1], data: JSON.parse(match[2]) });
+        }
+    };
+    streamContestEvents(req, res);
+    return { events, close: () => req.emit('close') };
+};
+
+const contest = {
+    _id: '652f1a0000000000000000c1',
+    name: 'Codeforces Round 1051 (Div. 2)',
+    platform: 'Codeforces',
+    externalId: '2143',
+    startTime: new Date('2025-10-22T14:35:00Z'),
+    endTime: new Date('2025-10-22T16:35:00Z'),
+    status: 'Upcoming',
+    url: 'https://codeforces.com/contests/2143',
+    source: 'scraper',
+    overrides: ['name'],
+    hidden: false,
+    mergedInto: null
+};
+
+test('sends only the public fields of visible contests', () => {
+    const stream = openStream();
+    publishContestEvent('contest-updated', contest);
+    stream.close();
+    assert.deepEqual(stream.events, [{
+        type: 'contest-updated',
+        data: {
+            _id: contest._id,
+            name: contest.name,
+            platform: 'Codeforces',
+            startTime: '2025-10-22T14:35:00.000Z',
+            endTime: '2025-10-22T16:35:00.000Z',
+            status: 'Upcoming',
+            url: contest.url
+        }
+    }]);
+});
+
+test('announces hidden contests as removed, with nothing but their id', () => {
+    const stream = openStream();
+    publishContestEvent('contest-updated', { ...contest, hidden: true, mergedInto: '652f1a0000000000000000c2' });
+    stream.close();
+    assert.deepEqual(stream.events, [{ type: 'contest-removed', data: { _id: contest._id } }]);
+});
+
+test('stops sending once the client disconnects', () => {
+    const stream = openStream();
+    stream.close();
+    publishContestEvent('contest-created', contest);
+    assert.deepEqual(stream.events, []);
+});
@@ -0,0 +1,7 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+// Recorded API responses live in test/fixtures; tests never touch the network.
+export const loadFixture = (path) => readFileSync(fileURLToPath(new URL(`./fixtures/${path}`, import.meta.url)), 'utf8');
+
+export const loadJsonFixture = (path) => JSON.parse(loadFixture(path));
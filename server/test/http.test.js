@@ -0,0 +1,123 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import http, { isRetryable, getBackoffDelay, clearHttpCache } from '../http.js';
+
+// A local API stand-in. Each test queues the responses it wants; every
+// request is recorded with the time it arrived.
+let server;
+let baseUrl;
+let responses = [];
+const requests = [];
+
+before(async () => {
+    server = createServer((req, res) => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, at: Date.now() });
+        const { status = 200, headers = {}, body = { ok: true } } = responses.shift() || {};
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(status === 304 ? undefined : JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    responses = [];
+    requests.length = 0;
+    clearHttpCache();
+});
+
+describe('retries', () => {
+    test('retries 5xx responses after the Retry-After delay', async () => {
+        responses = [{ status: 503, headers: { 'Retry-After': '1' } }, { body: { contests: [1, 2] } }];
+        const response = await http.get(`${baseUrl}/contests`, { retries: 2 });
+        assert.deepEqual(response.data, { contests: [1, 2] });
+        assert.equal(requests.length, 2);
+        assert.ok(requests[1].at - requests[0].at >= 1000);
+    });
+
+    test('gives up after the allowed retries', async () => {
+        responses = [{ status: 500, headers: { 'Retry-After': '1' } }, { status: 502, headers: { 'Retry-After': '1' } }];
+        await assert.rejects(http.get(`${baseUrl}/contests`, { retries: 1 }), error => error.response.status === 502);
+        assert.equal(requests.length, 2);
+    });
+
+    test('does not retry client errors or POSTs by default', async () => {
+        responses = [{ status: 404 }];
+        await assert.rejects(http.get(`${baseUrl}/missing`), error => error.response.status === 404);
+        responses = [{ status: 503 }];
+        await assert.rejects(http.post(`${baseUrl}/hook`, { text: 'hi' }), error => error.response.status === 503);
+        assert.equal(requests.length, 2);
+    });
+
+    test('asks beforeRetry before each retry and stops when it declines', async () => {
+        responses = [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 429 }];
+        const asked = [];
+        await assert.rejects(
+            http.get(`${baseUrl}/search`, { retries: 3, beforeRetry: async (retry) => { asked.push(retry); return false; } }),
+            error => error.response.status === 429
+        );
+        assert.deepEqual(asked, [1]);
+        assert.equal(requests.length, 1);
+    });
+
+    test('classifies errors and backs off exponentially', () => {
+        assert.equal(isRetryable({ response: { status: 429 } }), true);
+        assert.equal(isRetryable({ response: { status: 500 } }), true);
+        assert.equal(isRetryable({ response: { status: 403 } }), false);
+        assert.equal(isRetryable({ code: 'ECONNRESET' }), true);
+        assert.equal(isRetryable({ code: 'ERR_CANCELED' }), false);
+        assert.deepEqual([0, 1, 2].map(attempt => getBackoffDelay(attempt, null, () => 0)), [1000, 2000, 4000]);
+        assert.equal(getBackoffDelay(10, null, () => 0), 30000);
+        assert.equal(getBackoffDelay(0, { response: { headers: { 'retry-after': '5' } } }), 5000);
+    });
+});
+
+describe('per-host rate limit', () => {
+    test('spaces requests to the same host', async () => {
+        await Promise.all([1, 2, 3].map(n => http.get(`${baseUrl}/page/${n}`)));
+        assert.equal(requests.length, 3);
+        for (let i = 1; i < requests.length; i++) {
+            // 200 ms for hosts without their own interval, minus timer jitter
+            assert.ok(requests[i].at - requests[i - 1].at >= 190, `request ${i} came too soon`);
+        }
+    });
+});
+
+describe('response cache', () => {
+    test('revalidates with the ETag and serves the cached body on 304', async () => {
+        responses = [
+            { headers: { ETag: '"v1"' }, body: { contests: ['A'] } },
+            { status: 304, headers: { ETag: '"v1"' } }
+        ];
+        const first = await http.get(`${baseUrl}/contests`, { cache: true, params: { page: 1 } });
+        const second = await http.get(`${baseUrl}/contests`, { cache: true, params: { page: 1 } });
+        assert.equal(first.fromCache, undefined);
+        assert.deepEqual(second.data, { contests: ['A'] });
+        assert.equal(second.fromCache, true);
+        assert.equal(requests[0].headers['if-none-match'], undefined);
+        assert.equal(requests[1].headers['if-none-match'], '"v1"');
+    });
+
+    test('replaces the cached body when the resource changed', async () => {
+        responses = [
+            { headers: { ETag: '"v1"' }, body: { contests: ['A'] } },
+            { headers: { ETag: '"v2"' }, body: { contests: ['A', 'B'] } }
+        ];
+        await http.get(`${baseUrl}/contests`, { cache: true });
+        const second = await http.get(`${baseUrl}/contests`, { cache: true });
+        assert.deepEqual(second.data, { contests: ['A', 'B'] });
+        assert.equal(second.fromCache, undefined);
+    });
+
+    test('does not ask again while the entry is fresh', async () => {
+        responses = [{ body: { problems: 3 } }];
+        await http.get(`${baseUrl}/problems`, { cache: { ttlMs: 60000 } });
+        const second = await http.get(`${baseUrl}/problems`, { cache: { ttlMs: 60000 } });
+        assert.deepEqual(second.data, { problems: 3 });
+        assert.equal(second.fromCache, true);
+        assert.equal(requests.length, 1);
+    });
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ICAL from 'ical.js';
+import { buildCalendar } from '../ical.js';
+
+const NOW = new Date('2025-10-20T08:00:00Z');
+
+const contests = [
+    {
+        _id: '652f1a0000000000000000a1',
+        name: 'Codeforces Round 1050 (Div. 2); rated, with hacks',
+        platform: 'Codeforces',
+        url: 'https://codeforces.com/contests/2140',
+        status: 'Upcoming',
+        startTime: new Date('2025-10-21T14:35:00Z'),
+        endTime: new Date('2025-10-21T16:35:00Z')
+    },
+    {
+        _id: '652f1a0000000000000000a2',
+        // Long enough to fold, with multi-byte characters near the fold points
+        name: 'ICPC Asia Regional — 東京大会 Mirror\\Open Division, a very long contest name that needs folding',
+        platform: 'Kattis',
+        url: 'https://open.kattis.com/contests/icpc-tokyo-mirror',
+        status: 'Cancelled',
+        startTime: new Date('2025-11-02T01:00:00Z'),
+        endTime: new Date('2025-11-02T06:00:00Z')
+    }
+];
+
+const build = () => buildCalendar({ name: 'My bookmarks, all platforms', contests, reminderMinutes: [15, 60], now: NOW });
+
+const parse = (text) => new ICAL.Component(ICAL.parse(text));
+
+test('uses CRLF line endings and folds lines at 75 octets', () => {
+    const text = build();
+    assert.ok(text.endsWith('\r\n'));
+    assert.ok(!/[^\r]\n/.test(text), 'every newline is preceded by CR');
+    for (const line of text.split('\r\n')) {
+        assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+    }
+    assert.ok(text.includes('\r\n '), 'the long summary is folded');
+});
+
+test('parses back to one event per contest with the same UID, times and text', () => {
+    const calendar = parse(build());
+    // ical.js leaves X- properties raw, so the TEXT escaping is still visible
+    assert.equal(calendar.getFirstPropertyValue('x-wr-calname'), 'My bookmarks\\, all platforms');
+
+    const events = calendar.getAllSubcomponents('vevent').map(e => new ICAL.Event(e));
+    assert.equal(events.length, contests.length);
+    events.forEach((event, i) => {
+        const contest = contests[i];
+        assert.equal(event.uid, `${contest._id}@contest-tracker`);
+        assert.equal(event.summary, contest.name);
+        assert.equal(event.startDate.toJSDate().getTime(), contest.startTime.getTime());
+        assert.equal(event.endDate.toJSDate().getTime(), contest.endTime.getTime());
+        assert.equal(event.startDate.zone.tzid, 'UTC');
+        assert.equal(event.description, `${contest.platform} contest. Visit the contest page: ${contest.url}`);
+    });
+});
+
+test('marks cancelled contests and adds one alarm per reminder', () => {
+    const [upcoming, cancelled] = parse(build()).getAllSubcomponents('vevent');
+    assert.equal(upcoming.getFirstPropertyValue('status'), 'CONFIRMED');
+    assert.equal(cancelled.getFirstPropertyValue('status'), 'CANCELLED');
+    const triggers = upcoming.getAllSubcomponents('valarm').map(a => a.getFirstPropertyValue('trigger').toSeconds());
+    assert.deepEqual(triggers, [-15 * 60, -60 * 60]);
+});
+
+test('produces a valid empty calendar', () => {
+    const calendar = parse(buildCalendar({ name: 'Nothing yet', contests: [], now: NOW }));
+    assert.equal(calendar.getAllSubcomponents('vevent').length, 0);
+    assert.equal(calendar.getFirstPropertyValue('version'), '2.0');
+});
+
+test('keeps line breaks in a URL or name from injecting properties or events', () => {
+    const injected = {
+        ...contests[0],
+        name: 'Round 1\r\nATTACH:https://evil.test/name',
+        url: 'https://x.test/contest\r\nATTACH:https://evil.test/a\r\nEND:VEVENT\r\nBEGIN:VEVENT\r\nUID:forged@evil.test\r\nSUMMARY:Forged'
+    };
+    const text = buildCalendar({ name: 'Public feed', contests: [injected], reminderMinutes: [], now: NOW });
+    assert.ok(!/^(ATTACH|UID:forged|BEGIN:VEVENT\r\nUID:forged)/m.test(text.replace(/\r\n /g, '')));
+
+    const events = parse(text).getAllSubcomponents('vevent');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].getFirstPropertyValue('uid'), `${contests[0]._id}@contest-tracker`);
+    assert.equal(events[0].getFirstProperty('attach'), null);
+    assert.equal(events[0].getFirstPropertyValue('summary'), 'Round 1\nATTACH:https://evil.test/name');
+    assert.equal(events[0].getFirstPropertyValue('url'),
+        'https://x.test/contestATTACH:https://evil.test/aEND:VEVENTBEGIN:VEVENTUID:forged@evil.testSUMMARY:Forged');
+});
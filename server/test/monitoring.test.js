@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FAILURE_ALERT_THRESHOLD, createSourceStats, findRunAlerts } from '../monitoring.js';
+
+const job = 'fetchAndStoreContests';
+
+const source = (name, ok, count = 0) => ({ name, ok, count, error: ok ? null : 'Request failed' });
+
+// A run of the job; `sources` as built by `source`
+const run = (status, sources = []) => ({ job, status, error: status === 'failed' ? 'Mongo timed out' : null, sources });
+
+// `count` runs, newest first, as passed to `findRunAlerts`
+const history = (count, make) => Array.from({ length: count }, make);
+
+describe('findRunAlerts', () => {
+    test('alerts when the job fails as many runs in a row as the threshold', () => {
+        const previous = history(FAILURE_ALERT_THRESHOLD - 1, () => run('failed'));
+        assert.deepEqual(findRunAlerts(run('failed'), previous, { expectsItems: true }), [
+            `${job} failed ${FAILURE_ALERT_THRESHOLD} runs in a row: Mongo timed out`
+        ]);
+    });
+
+    test('stays quiet below the threshold and after the alert was sent', () => {
+        const below = history(FAILURE_ALERT_THRESHOLD - 2, () => run('failed'));
+        assert.deepEqual(findRunAlerts(run('failed'), below, { expectsItems: true }), []);
+        const alerted = history(FAILURE_ALERT_THRESHOLD, () => run('failed'));
+        assert.deepEqual(findRunAlerts(run('failed'), alerted, { expectsItems: true }), []);
+    });
+
+    test('starts a new streak once the job recovers', () => {
+        const recovered = [
+            ...history(FAILURE_ALERT_THRESHOLD - 2, () => run('failed')),
+            run('success'),
+            ...history(FAILURE_ALERT_THRESHOLD, () => run('failed'))
+        ];
+        assert.deepEqual(findRunAlerts(run('failed'), recovered, { expectsItems: true }), []);
+        assert.deepEqual(findRunAlerts(run('success'), recovered, { expectsItems: true }), []);
+        const again = [...history(FAILURE_ALERT_THRESHOLD - 1, () => run('failed')), run('success')];
+        assert.equal(findRunAlerts(run('failed'), again, { expectsItems: true }).length, 1);
+    });
+
+    test('counts failures of each source separately', () => {
+        const previous = history(FAILURE_ALERT_THRESHOLD - 1, () => run('partial', [source('Codeforces', false), source('AtCoder', true, 12)]));
+        const current = run('partial', [source('Codeforces', false), source('AtCoder', true, 12)]);
+        assert.deepEqual(findRunAlerts(current, previous, { expectsItems: true }), [
+            `Codeforces failed ${FAILURE_ALERT_THRESHOLD} runs of ${job} in a row: Request failed`
+        ]);
+    });
+
+    test('only counts runs the source took part in', () => {
+        const previous = [
+            run('success', [source('AtCoder', true, 12)]),
+            ...history(FAILURE_ALERT_THRESHOLD - 1, () => run('partial', [source('Codeforces', false)]))
+        ];
+        assert.equal(findRunAlerts(run('partial', [source('Codeforces', false)]), previous, { expectsItems: true }).length, 1);
+    });
+
+    test('alerts when a source suddenly returns zero contests', () => {
+        const previous = [run('success', [source('Kattis', true, 7)])];
+        assert.deepEqual(findRunAlerts(run('success', [source('Kattis', true, 0)]), previous, { expectsItems: true }), [
+            `Kattis returned no contests in ${job}, down from 7.`
+        ]);
+    });
+
+    test('does not alert on zero contests that were zero before or not expected', () => {
+        const current = run('success', [source('Kattis', true, 0)]);
+        assert.deepEqual(findRunAlerts(current, [run('success', [source('Kattis', true, 0)])], { expectsItems: true }), []);
+        assert.deepEqual(findRunAlerts(current, [run('partial', [source('Kattis', false)])], { expectsItems: true }), []);
+        assert.deepEqual(findRunAlerts(current, [run('success', [source('Kattis', true, 7)])], { expectsItems: false }), []);
+    });
+});
+
+describe('createSourceStats', () => {
+    test('adds up the calls of each source and keeps the last error', async () => {
+        const stats = createSourceStats();
+        await stats.track('Codeforces', async () => [1, 2, 3], result => result.length);
+        await stats.track('Codeforces', async () => null);
+        await assert.rejects(stats.track('AtCoder', async () => { throw new Error('socket hang up'); }), /socket hang up/);
+        assert.deepEqual(stats.list().map(({ latencyMs, ...rest }) => rest), [
+            { name: 'Codeforces', ok: false, calls: 2, failures: 1, count: 3, error: 'Request failed' },
+            { name: 'AtCoder', ok: false, calls: 1, failures: 1, count: 0, error: 'socket hang up' }
+        ]);
+    });
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import atcoder, { normalize } from '../../platforms/atcoder.js';
+import { loadFixture } from '../helpers.js';
+
+test('reads only the upcoming table and skips its header row', () => {
+    const contests = normalize(loadFixture('platforms/atcoder.html'));
+    assert.deepEqual(contests.map(c => c.externalId), ['abc428', 'ahc056']);
+});
+
+test('converts the +0900 start time and HH:MM duration', () => {
+    const [abc] = normalize(loadFixture('platforms/atcoder.html'));
+    assert.deepEqual(abc, {
+        name: 'AtCoder Beginner Contest 428',
+        platform: 'AtCoder',
+        externalId: 'abc428',
+        duration: '1h 40m',
+        startTime: new Date('2025-10-25T12:00:00Z'),
+        endTime: new Date('2025-10-25T13:40:00Z'),
+        status: 'Upcoming',
+        url: 'https://atcoder.jp/contests/abc428'
+    });
+});
+
+test('handles multi-day durations and entities in names', () => {
+    const [, ahc] = normalize(loadFixture('platforms/atcoder.html'));
+    assert.equal(ahc.name, 'AtCoder Heuristic Contest 056 <Sponsored>');
+    assert.equal(ahc.duration, '10d');
+    assert.equal(ahc.endTime.toISOString(), '2025-11-11T03:00:00.000Z');
+});
+
+test('fails loudly when the page layout changes', () => {
+    assert.throws(() => normalize('<html><body>Maintenance</body></html>'), /missing the upcoming contests table/);
+});
+
+test('recovers the contest id from stored urls', () => {
+    assert.equal(atcoder.parseExternalId('https://atcoder.jp/contests/abc428/tasks'), 'abc428');
+});
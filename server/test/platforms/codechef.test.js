@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import codechef, { normalize } from '../../platforms/codechef.js';
+import { loadJsonFixture } from '../helpers.js';
+
+test('maps only future contests', () => {
+    const contests = normalize(loadJsonFixture('platforms/codechef.json'));
+    assert.deepEqual(contests.map(c => c.externalId), ['START209', 'START210']);
+});
+
+test('reads the ISO times with their IST offset', () => {
+    const [contest] = normalize(loadJsonFixture('platforms/codechef.json'));
+    assert.equal(contest.startTime.toISOString(), '2025-10-22T14:30:00.000Z');
+    assert.equal(contest.duration, '2h');
+    assert.equal(contest.url, 'https://www.codechef.com/START209');
+});
+
+test('rejects an error response', () => {
+    assert.throws(() => normalize({ status: 'error', message: 'Too many requests' }), /Unexpected CodeChef status/);
+});
+
+test('recovers the contest code from stored urls', () => {
+    assert.equal(codechef.parseExternalId('https://www.codechef.com/START209'), 'START209');
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import codeforces, { normalize } from '../../platforms/codeforces.js';
+import { loadJsonFixture } from '../helpers.js';
+
+test('keeps only contests that have not started', () => {
+    const contests = normalize(loadJsonFixture('platforms/codeforces.json'));
+    assert.deepEqual(contests.map(c => c.externalId), ['2140', '2139']);
+});
+
+test('maps a contest to the stored shape', () => {
+    const [contest] = normalize(loadJsonFixture('platforms/codeforces.json'));
+    assert.deepEqual(contest, {
+        name: 'Codeforces Round 1050 (Div. 2)',
+        platform: 'Codeforces',
+        externalId: '2140',
+        duration: '2h',
+        startTime: new Date(1761057300 * 1000),
+        endTime: new Date((1761057300 + 7200) * 1000),
+        status: 'Upcoming',
+        url: 'https://codeforces.com/contests/2140'
+    });
+});
+
+test('rejects a failed API response', () => {
+    assert.throws(() => normalize({ status: 'FAILED', comment: 'Call limit exceeded' }), /Unexpected Codeforces status/);
+});
+
+test('recovers the contest id from stored urls', () => {
+    assert.equal(codeforces.parseExternalId('https://codeforces.com/contests/2140'), '2140');
+    assert.equal(codeforces.parseExternalId('https://codeforces.com/contest/2139/problem/A'), '2139');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import geeksforgeeks, { normalize } from '../../platforms/geeksforgeeks.js';
+import { loadJsonFixture } from '../helpers.js';
+
+test('reads offset-less timestamps as IST', () => {
+    const [weekly] = normalize(loadJsonFixture('platforms/geeksforgeeks.json'));
+    assert.deepEqual(weekly, {
+        name: 'GfG Weekly Contest 228',
+        platform: 'GeeksforGeeks',
+        externalId: 'gfg-weekly-228-rated-contest',
+        duration: '1h 30m',
+        startTime: new Date('2025-10-26T13:30:00Z'),
+        endTime: new Date('2025-10-26T15:00:00Z'),
+        status: 'Upcoming',
+        url: 'https://practice.geeksforgeeks.org/contest/gfg-weekly-228-rated-contest'
+    });
+});
+
+test('keeps explicit offsets as they are', () => {
+    const [contest] = normalize({ results: { upcoming: [{ name: 'X', slug: 'x', start_time: '2025-10-26T19:00:00Z', end_time: '2025-10-26T20:00:00Z' }] } });
+    assert.equal(contest.startTime.toISOString(), '2025-10-26T19:00:00.000Z');
+});
+
+test('rejects a response without upcoming events', () => {
+    assert.throws(() => normalize({ detail: 'Not found.' }), /missing upcoming events/);
+});
+
+test('recovers the slug from stored urls', () => {
+    assert.equal(geeksforgeeks.parseExternalId('https://practice.geeksforgeeks.org/contest/job-a-thon-45-hiring-challenge'), 'job-a-thon-45-hiring-challenge');
+});
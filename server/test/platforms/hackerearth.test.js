@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import hackerearth, { normalize } from '../../platforms/hackerearth.js';
+import { loadJsonFixture } from '../helpers.js';
+
+test('keeps only upcoming events', () => {
+    const contests = normalize(loadJsonFixture('platforms/hackerearth.json'));
+    assert.deepEqual(contests.map(c => c.name), ["October Circuits '25", 'Data Structures & Algorithms Hiring Challenge']);
+});
+
+test('uses the event path as the external id and UTC times', () => {
+    const [, hiring] = normalize(loadJsonFixture('platforms/hackerearth.json'));
+    assert.equal(hiring.externalId, '/challenges/hiring/dsa-hiring-challenge-oct-25');
+    assert.equal(hiring.startTime.toISOString(), '2025-10-26T04:30:00.000Z');
+    assert.equal(hiring.duration, '3h');
+});
+
+test('rejects a response without events', () => {
+    assert.throws(() => normalize({}), /missing the events list/);
+});
+
+test('recovers the id from stored urls with or without a trailing slash', () => {
+    assert.equal(hackerearth.parseExternalId('https://www.hackerearth.com/challenges/competitive/october-circuits-25'), '/challenges/competitive/october-circuits-25');
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import kattis, { normalize } from '../../platforms/kattis.js';
+import { loadFixture } from '../helpers.js';
+
+const NOW = new Date('2025-10-20T00:00:00Z');
+
+test('reads the upcoming table and drops contests that already started', () => {
+    const contests = normalize(loadFixture('platforms/kattis.html'), NOW);
+    assert.deepEqual(contests.map(c => c.externalId), ['nwerc25', 'uiuc-fall25']);
+});
+
+test('parses UTC start times with or without seconds and H:MM:SS lengths', () => {
+    const [nwerc, uiuc] = normalize(loadFixture('platforms/kattis.html'), NOW);
+    assert.deepEqual(nwerc, {
+        name: 'NWERC 2025',
+        platform: 'Kattis',
+        externalId: 'nwerc25',
+        duration: '5h',
+        startTime: new Date('2025-11-23T09:00:00Z'),
+        endTime: new Date('2025-11-23T14:00:00Z'),
+        status: 'Upcoming',
+        url: 'https://open.kattis.com/contests/nwerc25'
+    });
+    assert.equal(uiuc.startTime.toISOString(), '2025-11-08T17:30:00.000Z');
+    assert.equal(uiuc.duration, '3h 30m');
+});
+
+test('accepts absolute contest links', () => {
+    const contests = normalize(loadFixture('platforms/kattis.html'), new Date('2025-10-01T00:00:00Z'));
+    const mirror = contests.find(c => c.externalId === 'ncpc25-mirror');
+    assert.equal(mirror.name, 'NCPC 2025 & Mirror');
+});
+
+test('fails loudly when the page layout changes', () => {
+    assert.throws(() => normalize('<html><body>No contests here</body></html>', NOW), /missing the upcoming contests table/);
+});
+
+test('recovers the contest id from stored urls', () => {
+    assert.equal(kattis.parseExternalId('https://open.kattis.com/contests/nwerc25/problems'), 'nwerc25');
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import leetcode, { normalize } from '../../platforms/leetcode.js';
+import { loadJsonFixture } from '../helpers.js';
+
+test('maps every upcoming contest', () => {
+    const contests = normalize(loadJsonFixture('platforms/leetcode.json'));
+    assert.equal(contests.length, 2);
+    assert.deepEqual(contests[0], {
+        name: 'Weekly Contest 473',
+        platform: 'LeetCode',
+        externalId: 'weekly-contest-473',
+        duration: '1h 30m',
+        startTime: new Date(1761445800 * 1000),
+        endTime: new Date((1761445800 + 5400) * 1000),
+        status: 'Upcoming',
+        url: 'https://leetcode.com/contest/weekly-contest-473'
+    });
+});
+
+test('rejects a response without upcomingContests', () => {
+    assert.throws(() => normalize({ errors: [{ message: 'rate limited' }] }), /missing upcomingContests/);
+});
+
+test('recovers the contest slug from stored urls', () => {
+    assert.equal(leetcode.parseExternalId('https://leetcode.com/contest/biweekly-contest-168'), 'biweekly-contest-168');
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import topcoder, { normalize } from '../../platforms/topcoder.js';
+import { loadJsonFixture } from '../helpers.js';
+
+const NOW = new Date('2025-10-20T00:00:00Z');
+
+test('keeps only challenges that start after now', () => {
+    const contests = normalize(loadJsonFixture('platforms/topcoder.json'), NOW);
+    assert.deepEqual(contests.map(c => c.name), ['Single Round Match 867']);
+    assert.equal(contests[0].duration, '1h 30m');
+    assert.equal(contests[0].url, 'https://www.topcoder.com/challenges/4f2b1c3e-9d7a-4e61-8a52-0c6f1b2d3e4f');
+});
+
+test('rejects a payload that is not a list', () => {
+    assert.throws(() => normalize({ message: 'Unauthorized' }, NOW), /not a list of challenges/);
+});
+
+test('recovers the challenge id from stored urls', () => {
+    assert.equal(topcoder.parseExternalId('https://www.topcoder.com/challenges/a1b2c3d4-0000-4a5b-9c8d-112233445566'), 'a1b2c3d4-0000-4a5b-9c8d-112233445566');
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeProblems, parseEditorialUrl } from '../../problems/codeforces.js';
+import { loadFixture, loadJsonFixture } from '../helpers.js';
+
+test('maps each problem to the stored shape', () => {
+    const problems = normalizeProblems(loadJsonFixture('problems/codeforces-standings.json'));
+    assert.equal(problems.length, 3);
+    assert.deepEqual(problems[1], {
+        index: 'B',
+        name: 'Another Divisibility Problem',
+        url: 'https://codeforces.com/contest/2140/problem/B',
+        rating: 1100,
+        difficulty: null,
+        tags: ['math', 'number theory']
+    });
+});
+
+test('leaves the rating empty until Codeforces assigns it', () => {
+    const problems = normalizeProblems(loadJsonFixture('problems/codeforces-standings.json'));
+    assert.equal(problems[2].rating, null);
+});
+
+test('rejects a failed API response', () => {
+    assert.throws(() => normalizeProblems({ status: 'FAILED', comment: 'contestId: Contest with id 99999 not found' }), /Unexpected Codeforces status/);
+});
+
+test('finds the tutorial among the contest materials', () => {
+    assert.equal(parseEditorialUrl(loadFixture('problems/codeforces-contest.html')), 'https://codeforces.com/blog/entry/146512');
+});
+
+test('accepts absolute links and the Editorial title', () => {
+    assert.equal(
+        parseEditorialUrl('<a href="https://codeforces.com/blog/entry/146600">Editorial</a>'),
+        'https://codeforces.com/blog/entry/146600'
+    );
+});
+
+test('has no editorial before one is posted', () => {
+    const html = loadFixture('problems/codeforces-contest.html').replace(/<li>\s*<span><a href="\/blog\/entry\/146512"[\s\S]*?<\/li>/, '');
+    assert.equal(parseEditorialUrl(html), null);
+});
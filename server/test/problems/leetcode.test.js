@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeProblems } from '../../problems/leetcode.js';
+import { loadJsonFixture } from '../helpers.js';
+
+test('numbers the questions and adds their difficulty and tags', () => {
+    const problems = normalizeProblems(loadJsonFixture('problems/leetcode-info.json'), loadJsonFixture('problems/leetcode-questions.json'));
+    assert.deepEqual(problems.map(p => p.index), ['Q1', 'Q2', 'Q3']);
+    assert.deepEqual(problems[1], {
+        index: 'Q2',
+        name: 'Longest Subsequence With Non-Zero Bitwise XOR',
+        url: 'https://leetcode.com/problems/longest-subsequence-with-non-zero-bitwise-xor/',
+        rating: null,
+        difficulty: 'Medium',
+        tags: ['Array', 'Bit Manipulation']
+    });
+});
+
+test('keeps a question whose details are missing', () => {
+    const [, , problem] = normalizeProblems(loadJsonFixture('problems/leetcode-info.json'), loadJsonFixture('problems/leetcode-questions.json'));
+    assert.equal(problem.name, 'Remove K-Balanced Substrings');
+    assert.equal(problem.difficulty, null);
+    assert.deepEqual(problem.tags, []);
+});
+
+test('rejects contest info without questions', () => {
+    assert.throws(() => normalizeProblems({ error: 'Contest not found' }, { data: {} }), /missing the contest questions/);
+});
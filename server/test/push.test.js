@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import webpush from 'web-push';
+import { getVapidPublicKey, sendPushToUser, pushContestStarted } from '../push.js';
+
+// Before VAPID_SUBJECT was required, the subject fell back to FRONTEND_URL,
+// which web-push rejects when it is a plain http: URL.
+const keys = webpush.generateVAPIDKeys();
+process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+process.env.FRONTEND_URL = 'http://localhost:5173';
+delete process.env.VAPID_SUBJECT;
+
+test('push stays off without a valid VAPID_SUBJECT, and sends are skipped instead of throwing', async () => {
+    assert.equal(getVapidPublicKey(), null);
+    const user = { id: 'u1', _id: 'u1', pushSubscriptions: [{ endpoint: 'https://push.example.com/1', keys: { p256dh: 'x', auth: 'y' } }] };
+    await sendPushToUser(user, { title: 'Hello' });
+    await pushContestStarted({ _id: 'c1', name: 'Weekly Contest 470', platform: 'LeetCode', url: 'https://leetcode.com/contest/weekly-contest-470' });
+});
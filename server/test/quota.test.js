@@ -0,0 +1,150 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { QuotaUsage } from '../models.js';
+import http from '../http.js';
+import { getQuotaDay, createDailyBudget } from '../quota.js';
+
+test('quota days turn over at midnight in the reset timezone', () => {
+    // 06:59 UTC is still the previous day in Los Angeles (UTC-7 in October)
+    assert.equal(getQuotaDay(new Date('2025-10-21T06:59:00Z'), 'America/Los_Angeles'), '2025-10-20');
+    assert.equal(getQuotaDay(new Date('2025-10-21T07:00:00Z'), 'America/Los_Angeles'), '2025-10-21');
+    assert.equal(getQuotaDay(new Date('2025-10-21T06:59:00Z'), 'UTC'), '2025-10-21');
+});
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error collection: quotausages'), { code: 11000 });
+
+// In-memory QuotaUsage collection with the unique index on name and day, for
+// the update operators the budget uses
+const createUsageStore = () => {
+    const docs = [];
+    const matches = (doc, filter) => Object.entries(filter)
+        .every(([field, condition]) => condition?.$lte !== undefined ? doc[field] <= condition.$lte : doc[field] === condition);
+
+    const updateOne = async (filter, update, { upsert = false } = {}) => {
+        let doc = docs.find(d => matches(d, filter));
+        if (!doc) {
+            if (!upsert) return { matchedCount: 0, modifiedCount: 0 };
+            if (docs.some(d => d.name === filter.name && d.day === filter.day)) throw duplicateKeyError();
+            doc = { name: filter.name, day: filter.day, used: 0 };
+            docs.push(doc);
+        }
+        if (update.$inc) doc.used += update.$inc.used;
+        if (update.$max) doc.used = Math.max(doc.used, update.$max.used);
+        return { matchedCount: 1, modifiedCount: 1 };
+    };
+    const findOne = (filter) => ({ lean: async () => docs.find(d => matches(d, filter)) ?? null });
+    return { docs, updateOne, findOne };
+};
+
+const stubQuotaUsage = (t, store = createUsageStore()) => {
+    t.mock.method(QuotaUsage, 'updateOne', store.updateOne);
+    t.mock.method(QuotaUsage, 'findOne', store.findOne);
+    return store;
+};
+
+describe('createDailyBudget', () => {
+    const now = new Date('2025-10-21T12:00:00Z');
+
+    test('hands out units until the limit is reached', async (t) => {
+        stubQuotaUsage(t);
+        const budget = createDailyBudget({ name: 'youtube', limit: 250 });
+        assert.equal(await budget.tryConsume(100, now), true);
+        assert.equal(await budget.tryConsume(100, now), true);
+        assert.equal(await budget.tryConsume(100, now), false);
+        assert.equal(await budget.remaining(now), 50);
+        assert.equal(await budget.tryConsume(50, now), true);
+        assert.equal(await budget.remaining(now), 0);
+    });
+
+    test('refuses a cost above the limit without touching the store', async (t) => {
+        const store = stubQuotaUsage(t);
+        const budget = createDailyBudget({ name: 'youtube', limit: 250 });
+        assert.equal(await budget.tryConsume(300, now), false);
+        assert.equal(store.docs.length, 0);
+    });
+
+    test('starts over on the next quota day', async (t) => {
+        stubQuotaUsage(t);
+        const budget = createDailyBudget({ name: 'youtube', limit: 100, timeZone: 'America/Los_Angeles' });
+        assert.equal(await budget.tryConsume(100, new Date('2025-10-21T06:59:00Z')), true);
+        assert.equal(await budget.tryConsume(100, new Date('2025-10-21T06:59:30Z')), false);
+        assert.equal(await budget.tryConsume(100, new Date('2025-10-21T07:00:00Z')), true);
+    });
+
+    test('retries the update when another instance created the day first', async (t) => {
+        const store = createUsageStore();
+        // The other instance's insert lands between our lookup and our insert
+        t.mock.method(QuotaUsage, 'updateOne', async (filter, update, options) => {
+            if (options?.upsert) {
+                store.docs.push({ name: filter.name, day: filter.day, used: 100 });
+                throw duplicateKeyError();
+            }
+            return store.updateOne(filter, update, options);
+        });
+        const budget = createDailyBudget({ name: 'youtube', limit: 250 });
+        assert.equal(await budget.tryConsume(100, now), true);
+        assert.equal(store.docs[0].used, 200);
+    });
+
+    test('refuses after the race when the other instance used up the rest', async (t) => {
+        const store = createUsageStore();
+        t.mock.method(QuotaUsage, 'updateOne', async (filter, update, options) => {
+            if (options?.upsert) {
+                store.docs.push({ name: filter.name, day: filter.day, used: 200 });
+                throw duplicateKeyError();
+            }
+            return store.updateOne(filter, update, options);
+        });
+        const budget = createDailyBudget({ name: 'youtube', limit: 250 });
+        assert.equal(await budget.tryConsume(100, now), false);
+        assert.equal(store.docs[0].used, 200);
+    });
+
+    test('lets other errors through', async (t) => {
+        t.mock.method(QuotaUsage, 'updateOne', async () => { throw new Error('connection closed'); });
+        const budget = createDailyBudget({ name: 'youtube', limit: 250 });
+        await assert.rejects(budget.tryConsume(100, now), /connection closed/);
+    });
+
+    test('spends the rest of the day when exhausted', async (t) => {
+        stubQuotaUsage(t);
+        const budget = createDailyBudget({ name: 'youtube', limit: 250 });
+        await budget.tryConsume(100, now);
+        await budget.exhaust(now);
+        assert.equal(await budget.remaining(now), 0);
+        assert.equal(await budget.tryConsume(1, now), false);
+    });
+});
+
+describe('charging retries', () => {
+    let server;
+    let baseUrl;
+    let requestCount = 0;
+
+    before(async () => {
+        server = createServer((req, res) => {
+            requestCount += 1;
+            res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '1' });
+            res.end(JSON.stringify({ error: { message: 'Backend Error' } }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    test('stops retrying once a retry would go over the budget', async (t) => {
+        const store = stubQuotaUsage(t);
+        const budget = createDailyBudget({ name: 'youtube', limit: 250 });
+        // The first search, as findYouTubeSolutions reserves it
+        assert.equal(await budget.tryConsume(100), true);
+        await assert.rejects(
+            http.get(`${baseUrl}/youtube/v3/search`, { retries: 3, beforeRetry: () => budget.tryConsume(100) }),
+            error => error.response.status === 503
+        );
+        // One retry fit in the budget, the second did not
+        assert.equal(requestCount, 2);
+        assert.equal(store.docs[0].used, 200);
+    });
+});
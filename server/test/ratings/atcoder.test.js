@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHistory } from '../../ratings/atcoder.js';
+import { loadJsonFixture } from '../helpers.js';
+
+test('keeps only rated contests', () => {
+    const history = normalizeHistory(loadJsonFixture('ratings/atcoder.json'));
+    assert.deepEqual(history.map(h => h.externalContestId), ['abc415', 'abc417']);
+});
+
+test('takes the contest id from the screen name', () => {
+    const [contest] = normalizeHistory(loadJsonFixture('ratings/atcoder.json'));
+    assert.deepEqual(contest, {
+        externalContestId: 'abc415',
+        contestName: 'AtCoder Beginner Contest 415',
+        rank: 4021,
+        oldRating: 0,
+        newRating: 412,
+        date: new Date('2025-07-19T13:40:00Z')
+    });
+});
+
+test('rejects a payload that is not a list', () => {
+    assert.throws(() => normalizeHistory({ error: 'Not Found' }), /not a list/);
+});
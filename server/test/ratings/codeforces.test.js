@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHistory } from '../../ratings/codeforces.js';
+import { loadJsonFixture } from '../helpers.js';
+
+test('maps each rating change to a participation', () => {
+    const history = normalizeHistory(loadJsonFixture('ratings/codeforces.json'));
+    assert.equal(history.length, 2);
+    assert.deepEqual(history[1], {
+        externalContestId: '2133',
+        contestName: 'Educational Codeforces Round 181 (Rated for Div. 2)',
+        rank: 1456,
+        oldRating: 1388,
+        newRating: 1502,
+        date: new Date(1756153200 * 1000)
+    });
+});
+
+test('rejects a failed API response', () => {
+    assert.throws(() => normalizeHistory({ status: 'FAILED', comment: 'handle: User with handle nobody not found' }), /Unexpected Codeforces status/);
+});
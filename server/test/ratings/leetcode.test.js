@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHistory } from '../../ratings/leetcode.js';
+import { loadJsonFixture } from '../helpers.js';
+
+test('skips contests the user did not attend', () => {
+    const history = normalizeHistory(loadJsonFixture('ratings/leetcode.json'));
+    assert.deepEqual(history.map(h => h.externalContestId), ['weekly-contest-460', 'weekly-contest-461']);
+});
+
+test('takes the old rating from the previous attended contest', () => {
+    const [first, second] = normalizeHistory(loadJsonFixture('ratings/leetcode.json'));
+    assert.deepEqual(first, {
+        externalContestId: 'weekly-contest-460',
+        contestName: 'Weekly Contest 460',
+        rank: 8213,
+        oldRating: 1500,
+        newRating: 1562,
+        date: new Date(1753583400 * 1000)
+    });
+    assert.equal(second.oldRating, 1562);
+    assert.equal(second.newRating, 1610);
+});
+
+test('rejects a response without the history', () => {
+    assert.throws(() => normalizeHistory({ errors: [{ message: 'User not found' }], data: { userContestRankingHistory: null } }), /missing the contest history/);
+});
@@ -0,0 +1,146 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { SMTPServer } from 'smtp-server';
+import { getDueReminder, isPrivateAddress, checkWebhookUrl, sendWebhookReminder, sendEmailReminder } from '../reminders.js';
+
+const contest = {
+    _id: '652f1a0000000000000000b1',
+    name: 'AtCoder Beginner Contest 426',
+    platform: 'AtCoder',
+    url: 'https://atcoder.jp/contests/abc426',
+    startTime: new Date('2025-10-04T12:00:00Z'),
+    endTime: new Date('2025-10-04T13:40:00Z')
+};
+
+// Starts a Node server (or an object wrapping one in `.server`) on a free local port
+const listen = (server) => new Promise(resolve => {
+    const { server: inner = server } = server;
+    server.listen(0, '127.0.0.1', () => resolve(inner.address().port));
+});
+
+describe('getDueReminder', () => {
+    test('is null before the largest offset is reached', () => {
+        assert.equal(getDueReminder([60, 15], 61), null);
+    });
+
+    test('sends the offset just reached', () => {
+        assert.deepEqual(getDueReminder([60, 15], 59.5), { current: 60, passed: [] });
+    });
+
+    test('sends only the smallest offset when several have passed', () => {
+        // Bookmarked ten minutes before the start with 1 day, 1 hour and 15 minute reminders
+        assert.deepEqual(getDueReminder([1440, 15, 60], 10), { current: 15, passed: [60, 1440] });
+    });
+});
+
+describe('isPrivateAddress', () => {
+    test('flags loopback, private, link-local and unique-local addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+            '::1', '::', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1']) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+    });
+
+    test('lets public addresses through', () => {
+        for (const address of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+});
+
+describe('checkWebhookUrl', () => {
+    test('rejects other schemes and local targets', async () => {
+        assert.equal(await checkWebhookUrl('ftp://example.com/hook'), 'must use http or https');
+        assert.equal(await checkWebhookUrl('not a url'), 'is not a valid URL');
+        for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://localhost/hook']) {
+            assert.equal(await checkWebhookUrl(url), 'points to a private or local address', url);
+        }
+    });
+
+    test('accepts a public address', async () => {
+        assert.equal(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+    });
+});
+
+describe('sendWebhookReminder', () => {
+    let server;
+    let port;
+    const received = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ method: req.method, url: req.url, body: JSON.parse(body) });
+                res.writeHead(204).end();
+            });
+        });
+        port = await listen(server);
+    });
+
+    after(() => server.close());
+
+    afterEach(() => {
+        delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+        received.length = 0;
+    });
+
+    test('posts the Discord payload with the real time left', async () => {
+        process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+        await sendWebhookReminder({ url: `http://127.0.0.1:${port}/hook`, format: 'discord' }, contest, 7);
+        assert.equal(received.length, 1);
+        assert.equal(received[0].method, 'POST');
+        assert.equal(received[0].url, '/hook');
+        assert.match(received[0].body.content, /^AtCoder Beginner Contest 426 \(AtCoder\) starts in 7 minutes, at .+ https:\/\/atcoder\.jp\/contests\/abc426$/);
+    });
+
+    test('refuses to call a local address', async () => {
+        await assert.rejects(
+            sendWebhookReminder({ url: `http://127.0.0.1:${port}/hook`, format: 'generic' }, contest, 15),
+            /private or local address/
+        );
+        await assert.rejects(
+            sendWebhookReminder({ url: `http://localhost:${port}/hook`, format: 'generic' }, contest, 15),
+            /private or local address/
+        );
+        assert.equal(received.length, 0);
+    });
+});
+
+describe('sendEmailReminder', () => {
+    let server;
+    const messages = [];
+
+    before(async () => {
+        server = new SMTPServer({
+            authOptional: true,
+            disabledCommands: ['STARTTLS'],
+            onData(stream, session, callback) {
+                let data = '';
+                stream.on('data', chunk => { data += chunk; });
+                stream.on('end', () => {
+                    messages.push({ to: session.envelope.rcptTo.map(r => r.address), data });
+                    callback();
+                });
+            }
+        });
+        const port = await listen(server);
+        // Read when the transport is first created
+        process.env.SMTP_HOST = '127.0.0.1';
+        process.env.SMTP_PORT = String(port);
+    });
+
+    after(() => server.close());
+
+    test('delivers the reminder through SMTP', async () => {
+        await sendEmailReminder('coder@example.com', contest, 60, { timezone: 'Asia/Tokyo', locale: 'en-US' });
+        assert.equal(messages.length, 1);
+        assert.deepEqual(messages[0].to, ['coder@example.com']);
+        assert.match(messages[0].data, /Subject: Starting soon: AtCoder Beginner Contest 426/);
+        // The body is quoted-printable, so the line may be soft-wrapped
+        assert.match(messages[0].data, /starts in 1 hour, at Sat, Oct 4,/);
+        assert.match(messages[0].data, /9:00 PM GMT\+9\. https:\/\/atcoder\.jp\/contests\/abc426/);
+    });
+});
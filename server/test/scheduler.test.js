@@ -0,0 +1,146 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import schedule from 'node-schedule';
+import { ScheduledJob } from '../models.js';
+
+// Once a year, so no tick fires while the tests run
+const YEARLY = '0 0 1 1 *';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A query condition on one field, for the operators the scheduler uses
+const matchesCondition = (value, condition) => {
+    if (condition instanceof Date) return value?.getTime() === condition.getTime();
+    if (condition && typeof condition === 'object') {
+        if ('$lt' in condition) return value != null && value < condition.$lt;
+        if ('$lte' in condition) return value != null && value <= condition.$lte;
+        if ('$gt' in condition) return value != null && value > condition.$gt;
+    }
+    return (value ?? null) === condition;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => field === '$or'
+    ? condition.some(alternative => matches(doc, alternative))
+    : matchesCondition(doc[field], condition));
+
+// In-memory ScheduledJob collection shared by every "instance" in a test.
+// Each operation finds and writes without yielding, like the single-document
+// atomic updates in MongoDB.
+const stubScheduledJob = (t, docs) => {
+    t.mock.method(ScheduledJob, 'findOneAndUpdate', async (filter, update) => {
+        const doc = docs.find(d => matches(d, filter));
+        if (!doc) return null;
+        const before = { ...doc };
+        Object.assign(doc, update.$set);
+        return before;
+    });
+    t.mock.method(ScheduledJob, 'updateOne', async (filter, update, { upsert = false } = {}) => {
+        const doc = docs.find(d => matches(d, filter));
+        if (doc) {
+            Object.assign(doc, update.$set);
+            return { matchedCount: 1, modifiedCount: update.$set ? 1 : 0 };
+        }
+        if (upsert) docs.push({ name: filter.name, ...update.$setOnInsert, ...update.$set });
+        return { matchedCount: 0, modifiedCount: 0 };
+    });
+};
+
+// Each import with its own query string is a separate copy of the module,
+// standing in for the scheduler of another server instance.
+let instanceCount = 0;
+const startInstance = () => import(`../scheduler.js?instance=${++instanceCount}`);
+
+const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), 'timed out waiting');
+};
+
+after(() => schedule.gracefulShutdown());
+
+describe('leases', () => {
+    test('a second instance cannot claim a job while the first runs it', async (t) => {
+        const docs = [{ name: 'fetchAndStoreContests', nextRunAt: new Date(Date.now() + DAY_MS), lockedBy: null, lockedUntil: null }];
+        stubScheduledJob(t, docs);
+        let finish;
+        let runs = 0;
+        const handler = () => {
+            runs += 1;
+            return new Promise(resolve => { finish = resolve; });
+        };
+        const [first, second] = await Promise.all([startInstance(), startInstance()]);
+        first.defineJob('fetchAndStoreContests', YEARLY, handler);
+        second.defineJob('fetchAndStoreContests', YEARLY, handler);
+
+        assert.equal((await first.triggerJob('fetchAndStoreContests', 'admin@example.com')).status, 202);
+        assert.deepEqual(await second.triggerJob('fetchAndStoreContests', 'admin@example.com'), {
+            status: 409,
+            message: 'fetchAndStoreContests is already running.'
+        });
+        assert.equal(docs[0].lockedBy, first.INSTANCE_ID);
+        assert.ok(docs[0].lockedUntil > new Date());
+        assert.equal(runs, 1);
+
+        finish({ status: 'partial', error: 'Kattis: Request failed' });
+        await waitFor(() => docs[0].lockedBy === null);
+        assert.equal(docs[0].lastStatus, 'partial');
+        assert.equal(docs[0].lastError, 'Kattis: Request failed');
+        assert.equal((await second.triggerJob('fetchAndStoreContests', 'admin@example.com')).status, 202);
+        assert.equal(runs, 2);
+        finish();
+        await waitFor(() => docs[0].lockedBy === null);
+    });
+
+    test('takes over the lease of an instance that crashed', async (t) => {
+        const docs = [{ name: 'updateContestStatuses', nextRunAt: new Date(Date.now() + DAY_MS), lockedBy: 'old-host:4242', lockedUntil: new Date(Date.now() - 1000) }];
+        stubScheduledJob(t, docs);
+        const instance = await startInstance();
+        instance.defineJob('updateContestStatuses', YEARLY, async () => {});
+        assert.equal((await instance.triggerJob('updateContestStatuses', 'admin@example.com')).status, 202);
+        await waitFor(() => docs[0].lastStatus === 'success');
+    });
+});
+
+describe('startScheduler', () => {
+    test('runs an overdue job once however many instances start', async (t) => {
+        const docs = [{ name: 'syncAllUpsolves', nextRunAt: new Date(Date.now() - 2 * DAY_MS), lockedBy: null, lockedUntil: null }];
+        stubScheduledJob(t, docs);
+        let runs = 0;
+        const instances = await Promise.all([startInstance(), startInstance()]);
+        for (const instance of instances) {
+            instance.defineJob('syncAllUpsolves', YEARLY, async () => { runs += 1; });
+        }
+        await Promise.all(instances.map(instance => instance.startScheduler()));
+        await waitFor(() => docs[0].lastFinishedAt);
+        assert.equal(runs, 1);
+        // Moved on to the next scheduled run, not the ones that were missed
+        assert.equal(docs[0].nextRunAt.getMonth(), 0);
+        assert.equal(docs[0].nextRunAt.getDate(), 1);
+        assert.ok(docs[0].nextRunAt > new Date());
+    });
+
+    test('leaves a job alone until its next run is due', async (t) => {
+        const nextRunAt = new Date(Date.now() + DAY_MS);
+        const docs = [{ name: 'syncAllRatingHistories', nextRunAt, lockedBy: null, lockedUntil: null }];
+        stubScheduledJob(t, docs);
+        let runs = 0;
+        const instance = await startInstance();
+        instance.defineJob('syncAllRatingHistories', YEARLY, async () => { runs += 1; });
+        await instance.startScheduler();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(runs, 0);
+        assert.equal(docs[0].nextRunAt, nextRunAt);
+    });
+
+    test('runs a new job on its first start when asked to', async (t) => {
+        const docs = [];
+        stubScheduledJob(t, docs);
+        let runs = 0;
+        const instance = await startInstance();
+        instance.defineJob('refreshRecentProblemSets', YEARLY, async () => { runs += 1; }, { runOnFirstStart: true });
+        await instance.startScheduler();
+        await waitFor(() => docs[0]?.lastFinishedAt);
+        assert.equal(runs, 1);
+        assert.ok(docs[0].nextRunAt > new Date());
+    });
+});
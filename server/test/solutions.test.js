@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadJsonFixture } from './helpers.js';
+import { scoreCandidate, rankSolutionCandidates, applySolutions, buildSearchQuery, MIN_CONFIDENCE, MIN_SCORE } from '../solutions.js';
+
+const codeforcesRound = {
+    name: 'Codeforces Round 1050 (Div. 2)',
+    platform: 'Codeforces',
+    endTime: new Date('2025-10-21T16:35:00Z')
+};
+const leetcodeWeekly = {
+    name: 'Weekly Contest 470',
+    platform: 'LeetCode',
+    endTime: new Date('2025-10-12T04:00:00Z')
+};
+
+const codeforcesResults = loadJsonFixture('youtube/codeforces-round-1050.json').items;
+const leetcodeResults = loadJsonFixture('youtube/leetcode-weekly-470.json').items;
+const byVideoId = (items, videoId) => items.find(item => item.id.videoId === videoId);
+
+describe('buildSearchQuery', () => {
+    test('normalizes Codeforces and LeetCode contest names', () => {
+        assert.equal(buildSearchQuery(codeforcesRound.name, 'Codeforces'), 'Codeforces Round 1050 (Div 2) solution');
+        assert.equal(buildSearchQuery(leetcodeWeekly.name, 'LeetCode'), 'LeetCode Weekly Contest 470 solution');
+    });
+});
+
+describe('scoreCandidate', () => {
+    test('is fully confident in a trusted channel covering the right round and division', () => {
+        assert.equal(scoreCandidate(byVideoId(codeforcesResults, 'cf1050tle01'), codeforcesRound), 1);
+    });
+
+    test('penalizes the other division of the same round', () => {
+        const score = scoreCandidate(byVideoId(codeforcesResults, 'cf1050d1003'), codeforcesRound);
+        assert.equal(score, 0.47);
+        assert.ok(score < MIN_CONFIDENCE);
+    });
+
+    test('rules out other rounds and videos published before the contest ended', () => {
+        assert.equal(scoreCandidate(byVideoId(codeforcesResults, 'cf1049old04'), codeforcesRound), 0);
+        assert.equal(scoreCandidate(byVideoId(leetcodeResults, 'lc471wrng03'), leetcodeWeekly), 0);
+    });
+
+    test('lowers videos published long after the contest', () => {
+        assert.equal(scoreCandidate(byVideoId(leetcodeResults, 'lc470late01'), leetcodeWeekly), 0.37);
+    });
+});
+
+describe('rankSolutionCandidates', () => {
+    test('keeps videos above the minimum score, best first', () => {
+        const ranked = rankSolutionCandidates(codeforcesResults, codeforcesRound);
+        assert.deepEqual(ranked.map(c => [c.videoId, c.score]), [['cf1050tle01', 1], ['cf1050yt002', 0.85], ['cf1050d1003', 0.47]]);
+        assert.ok(ranked.every(c => c.score >= MIN_SCORE));
+        assert.deepEqual(ranked[0], {
+            videoId: 'cf1050tle01',
+            title: 'Codeforces Round 1050 (Div. 2) | Problems A-D Solutions',
+            channelTitle: 'TLE Eliminators',
+            publishedAt: new Date('2025-10-21T18:10:03Z'),
+            score: 1
+        });
+    });
+
+    test('skips results that are not videos', () => {
+        const ranked = rankSolutionCandidates(codeforcesResults, codeforcesRound);
+        assert.ok(ranked.every(c => c.videoId));
+        assert.equal(ranked.length, 3);
+    });
+});
+
+describe('applySolutions', () => {
+    const now = new Date('2025-10-14T08:00:00Z');
+
+    test('links the best video when it is confident enough', () => {
+        const contest = { ...leetcodeWeekly, solutionUrl: null };
+        assert.equal(applySolutions(contest, rankSolutionCandidates(leetcodeResults, leetcodeWeekly), now), true);
+        assert.equal(contest.solutionUrl, 'lc470mik002');
+        assert.equal(contest.solutions.length, 2);
+        assert.equal(contest.solutionsSearchedAt, now);
+    });
+
+    test('keeps low-confidence matches without linking them, but records the search', () => {
+        const contest = { ...leetcodeWeekly, solutionUrl: null };
+        const lowConfidence = leetcodeResults.filter(item => item.id.videoId !== 'lc470mik002');
+        assert.equal(applySolutions(contest, rankSolutionCandidates(lowConfidence, leetcodeWeekly), now), false);
+        assert.equal(contest.solutionUrl, null);
+        assert.deepEqual(contest.solutions.map(c => c.videoId), ['lc470late01']);
+        assert.equal(contest.solutionsSearchedAt, now);
+    });
+
+    test('records a search that found nothing', () => {
+        const contest = { ...leetcodeWeekly, solutionUrl: null };
+        assert.equal(applySolutions(contest, [], now), false);
+        assert.equal(contest.solutionsSearchedAt, now);
+    });
+});
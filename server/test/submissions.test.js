@@ -0,0 +1,114 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Contest, ContestSubmission } from '../models.js';
+import { nameSimilarity, findDuplicates } from '../submissions.js';
+
+describe('nameSimilarity', () => {
+    test('is 1 for the same words in any case or punctuation', () => {
+        assert.equal(nameSimilarity('Codeforces Round 1050 (Div. 2)', 'codeforces round #1050 div 2'), 1);
+    });
+
+    test('divides the shared words by all distinct words', () => {
+        // Shares "codeforces" and "round" out of seven distinct words
+        assert.equal(nameSimilarity('Codeforces Round 1050 (Div. 2)', 'Educational Codeforces Round 183'), 2 / 7);
+    });
+
+    test('does not let a one-word name match every name containing it', () => {
+        assert.equal(nameSimilarity('Codeforces', 'Codeforces Round 1050 (Div. 2)'), 1 / 5);
+        assert.equal(nameSimilarity('Codeforces', 'Codeforces'), 1);
+    });
+
+    test('is 0 when a name has no words', () => {
+        assert.equal(nameSimilarity('---', 'Codeforces Round 1050'), 0);
+    });
+});
+
+// Documents matching the few operators `findDuplicates` queries with
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition?.$ne !== undefined) return value !== condition.$ne;
+    if (condition?.$regex !== undefined) return new RegExp(condition.$regex, condition.$options).test(value);
+    if (condition?.$gte !== undefined) return value >= condition.$gte && value <= condition.$lte;
+    return value === condition;
+});
+
+// Stands in for `Model.find(filter).lean()` over `docs`
+const fakeFind = (docs) => (filter) => ({ lean: async () => docs.filter(doc => matches(doc, filter)) });
+
+const stored = (fields) => ({ _id: new mongoose.Types.ObjectId(), platform: 'Codeforces', ...fields });
+
+describe('findDuplicates', () => {
+    const round = stored({
+        name: 'Codeforces Round 1050 (Div. 2)',
+        url: 'https://codeforces.com/contests/2140',
+        startTime: new Date('2025-10-21T14:35:00Z')
+    });
+    const educational = stored({
+        name: 'Educational Codeforces Round 183 (Rated for Div. 2)',
+        url: 'https://codeforces.com/contests/2139',
+        startTime: new Date('2025-10-21T15:35:00Z')
+    });
+    const hidden = stored({
+        name: 'Codeforces Round 1050 (Div. 2)',
+        url: 'https://codeforces.com/contests/2140',
+        startTime: new Date('2025-10-21T14:35:00Z'),
+        hidden: true
+    });
+    const pending = { _id: new mongoose.Types.ObjectId(), status: 'pending', url: 'http://www.codeforces.com/contests/2140/' };
+    const rejected = { _id: new mongoose.Types.ObjectId(), status: 'rejected', url: 'https://codeforces.com/contests/2140' };
+
+    const stubModels = (t) => {
+        t.mock.method(Contest, 'find', fakeFind([round, educational, hidden]));
+        t.mock.method(ContestSubmission, 'find', fakeFind([pending, rejected]));
+    };
+
+    test('finds visible contests and pending submissions with the same URL', async (t) => {
+        stubModels(t);
+        const { exact, pendingExact, similar } = await findDuplicates({
+            name: 'CF Round 1050',
+            platform: 'Codeforces',
+            url: 'https://codeforces.com/contests/2140?locale=en',
+            startTime: new Date('2025-10-25T12:00:00Z')
+        });
+        assert.deepEqual(exact, [round]);
+        assert.deepEqual(pendingExact, [pending]);
+        assert.deepEqual(similar, []);
+    });
+
+    test('finds contests on the same platform with a similar name nearby', async (t) => {
+        stubModels(t);
+        const { exact, similar } = await findDuplicates({
+            name: 'Codeforces Round #1050 Div 2',
+            platform: 'codeforces',
+            url: 'https://codeforces.com/blog/entry/146418',
+            startTime: new Date('2025-10-21T16:00:00Z')
+        });
+        assert.deepEqual(exact, []);
+        // The educational round starts nearby but shares too few words
+        assert.deepEqual(similar, [round]);
+    });
+
+    test('does not list a contest both as exact and similar', async (t) => {
+        stubModels(t);
+        const { exact, similar } = await findDuplicates({
+            name: 'Codeforces Round 1050 (Div. 2)',
+            platform: 'Codeforces',
+            url: 'https://codeforces.com/contests/2140',
+            startTime: new Date('2025-10-21T14:35:00Z')
+        });
+        assert.deepEqual(exact, [round]);
+        assert.deepEqual(similar, []);
+    });
+
+    test('ignores similar names on other platforms', async (t) => {
+        stubModels(t);
+        const { similar } = await findDuplicates({
+            name: 'Codeforces Round 1050 (Div. 2)',
+            platform: 'AtCoder',
+            url: 'https://atcoder.jp/contests/abc426',
+            startTime: new Date('2025-10-21T14:35:00Z')
+        });
+        assert.deepEqual(similar, []);
+    });
+});
@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyCodeforcesSubmissions } from '../upsolve.js';
+import { loadJsonFixture } from './helpers.js';
+
+const submission = (index, participantType, verdict = 'OK') => ({
+    problem: { contestId: 2140, index },
+    author: { participantType },
+    verdict
+});
+
+describe('classifyCodeforcesSubmissions', () => {
+    test('sorts accepted problems into solved in the contest and upsolved after it', () => {
+        const statuses = classifyCodeforcesSubmissions(loadJsonFixture('upsolve/codeforces-submissions.json'));
+        assert.deepEqual(Object.fromEntries(statuses), {
+            '2140:C': 'upsolved',
+            '2140:B': 'solved',
+            '2140:A': 'solved',
+            // A virtual participation is practice, not the real round
+            '2139:A': 'upsolved',
+            '2139:B': 'solved'
+        });
+    });
+
+    test('leaves problems without an accepted submission to do', () => {
+        const statuses = classifyCodeforcesSubmissions(loadJsonFixture('upsolve/codeforces-submissions.json'));
+        // D only had a time limit exceeded during the round
+        assert.equal(statuses.has('2140:D'), false);
+    });
+
+    test('counts a problem solved in the contest even if it was resubmitted later', () => {
+        for (const result of [
+            [submission('E', 'PRACTICE'), submission('E', 'CONTESTANT')],
+            [submission('E', 'CONTESTANT'), submission('E', 'PRACTICE')]
+        ]) {
+            assert.equal(classifyCodeforcesSubmissions({ status: 'OK', result }).get('2140:E'), 'solved');
+        }
+    });
+
+    test('rejects a failed API response', () => {
+        assert.throws(() => classifyCodeforcesSubmissions({ status: 'FAILED', comment: 'handle: User with handle nobody not found' }), /Unexpected Codeforces status/);
+    });
+});
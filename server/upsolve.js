@@ -0,0 +1,108 @@
+import http from './http.js';
+import { User, Contest, ContestParticipation, UpsolveEntry } from './models.js';
+
+export const UPSOLVE_STATUSES = ['solved', 'upsolved', 'todo'];
+
+const SUBMISSION_COUNT = 1000;
+
+// Accepted Codeforces submissions by problem ('<contestId>:<index>'): 'solved'
+// if accepted while competing in the round, otherwise 'upsolved'.
+export const classifyCodeforcesSubmissions = (payload) => {
+    if (payload.status !== 'OK') {
+        throw new Error(`Unexpected Codeforces status: ${payload.status}`);
+    }
+    const statuses = new Map();
+    payload.result
+        .filter(s => s.verdict === 'OK' && s.problem?.contestId)
+        .forEach(s => {
+            const key = `${s.problem.contestId}:${s.problem.index}`;
+            const duringContest = s.author?.participantType === 'CONTESTANT' || s.author?.participantType === 'OUT_OF_COMPETITION';
+            if (duringContest) statuses.set(key, 'solved');
+            else if (!statuses.has(key)) statuses.set(key, 'upsolved');
+        });
+    return statuses;
+};
+
+// Past contests on the user's upsolve list: ones they took part in, bookmarked,
+// or already have progress on.
+const findTrackedContests = async (user) => {
+    const [participations, entries] = await Promise.all([
+        ContestParticipation.find({ user: user._id, contest: { $ne: null } }, { contest: 1 }).lean(),
+        UpsolveEntry.distinct('contest', { user: user._id })
+    ]);
+    const ids = [...participations.map(p => p.contest), ...user.savedContests, ...entries];
+    return Contest.find({ _id: { $in: ids }, status: 'Past', 'problems.0': { $exists: true } })
+        .sort({ startTime: -1 })
+        .lean();
+};
+
+// Every tracked contest with its problems and the user's status for each.
+export const getUpsolveList = async (user) => {
+    const contests = await findTrackedContests(user);
+    const entries = await UpsolveEntry.find({ user: user._id, contest: { $in: contests.map(c => c._id) } }).lean();
+    const statusOf = new Map(entries.map(e => [`${e.contest}:${e.problemIndex}`, e.status]));
+    return contests.map(contest => ({
+        contest: {
+            _id: contest._id,
+            name: contest.name,
+            platform: contest.platform,
+            url: contest.url,
+            startTime: contest.startTime,
+            solutionUrl: contest.solutionUrl,
+            editorialUrl: contest.editorialUrl
+        },
+        problems: contest.problems.map(problem => ({
+            ...problem,
+            status: statusOf.get(`${contest._id}:${problem.index}`) || 'todo'
+        }))
+    }));
+};
+
+// Marks tracked Codeforces problems solved or upsolved from the linked
+// handle's submissions. Never downgrades a problem already marked solved.
+// Returns how many statuses changed.
+export const syncCodeforcesUpsolves = async (user) => {
+    const handle = user.handles?.codeforces;
+    if (!handle) return 0;
+    const response = await http.get('https://codeforces.com/api/user.status', {
+        params: { handle, from: 1, count: SUBMISSION_COUNT }
+    });
+    const accepted = classifyCodeforcesSubmissions(response.data);
+    const contests = (await findTrackedContests(user)).filter(c => c.platform === 'Codeforces' && c.externalId);
+    const existing = await UpsolveEntry.find({ user: user._id, contest: { $in: contests.map(c => c._id) } }).lean();
+    const current = new Map(existing.map(e => [`${e.contest}:${e.problemIndex}`, e.status]));
+
+    const updates = [];
+    contests.forEach(contest => contest.problems.forEach(problem => {
+        const status = accepted.get(`${contest.externalId}:${problem.index}`);
+        const previous = current.get(`${contest._id}:${problem.index}`);
+        if (!status || status === previous || previous === 'solved') return;
+        updates.push({
+            updateOne: {
+                filter: { user: user._id, contest: contest._id, problemIndex: problem.index },
+                update: { $set: { status, source: 'codeforces', updatedAt: new Date() } },
+                upsert: true
+            }
+        });
+    }));
+    if (updates.length > 0) await UpsolveEntry.bulkWrite(updates);
+    return updates.length;
+};
+
+// Scheduled job: syncs upsolve progress for everyone with a Codeforces handle.
+export const syncAllUpsolves = async () => {
+    console.log('Running scheduled job: Syncing upsolve progress...');
+    try {
+        const users = await User.find({ 'handles.codeforces': { $nin: [null, ''] } });
+        for (const user of users) {
+            try {
+                await syncCodeforcesUpsolves(user);
+            } catch (error) {
+                console.error(`Failed to sync upsolves for user ${user.id}:`, error.message);
+            }
+        }
+        console.log(`Synced upsolve progress for ${users.length} users.`);
+    } catch (error) {
+        console.error('Error in syncAllUpsolves job:', error);
+    }
+};